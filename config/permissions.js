@@ -0,0 +1,105 @@
+// config/permissions.js
+// Access policy: every permission the API checks, and what each AccessTypes value is granted.
+// Routes only ever ask checkAccess for a permission, never for a role.
+
+// Permission catalogue
+const PERMISSIONS = {
+    'auth.login': 'Sign in with email and password',
+    'auth.password.change': 'Reset or change the account password',
+    'profile.update': 'Edit own profile details',
+    'profile.image.update': 'Change own profile image',
+    'profile.change.review': 'Approve or reject profile changes requested by users',
+
+    'form.create': 'Create events and forms',
+    'form.update': 'Edit events and forms',
+    'form.delete': 'Delete events and forms',
+    'form.register': 'Register for events',
+    'form.team.read': 'View own registration team',
+    'form.analytics.read': 'View registration analytics of events',
+
+    'registration.read': 'Download event registrations',
+    'attendance.code.read': 'Get own attendance QR code',
+    'attendance.mark': 'Mark attendance by scanning QR codes',
+    'attendance.export': 'Export attendance sheets',
+
+    'certificate.manage': 'Create certificate events and templates',
+    'certificate.send': 'Email certificates to the attendees of any event',
+
+    'blog.publish': 'Create and edit blogs',
+    'blog.delete': 'Delete blogs',
+
+    'member.create': 'Add or update members',
+    'member.delete': 'Remove members from the team',
+    'member.department.manage': 'Add, promote, demote and remove members of own department, below own rank',
+    'team.order.manage': 'Set the order members are shown in on the team page',
+    'alumni.profile.update': 'Edit own alumni network profile and who can see it',
+    'user.read': 'Look up any user',
+    'user.delete': 'Delete user accounts',
+    'user.merge': 'Merge duplicate accounts into one',
+    'session.manage': 'View and end sessions of other users',
+    'user.impersonate': 'View the app as another user, read-only and audited',
+    'security.locks.manage': 'View and clear login locks',
+    'apiKey.manage': 'Mint and revoke API keys',
+    'permission.read': 'View the access policy and effective permissions of users',
+    'role.change.propose': 'Propose role changes for members of own department',
+    'role.change.approve': 'Approve or reject proposed role changes',
+    'role.change.read': 'View every role change request',
+    'audit.read': 'View the audit log of every department',
+};
+
+// Grants every permission, including ones added later
+const ALL_PERMISSIONS = '*';
+
+// Bundles shared by several roles
+const ACCOUNT = ['auth.login', 'auth.password.change', 'profile.update', 'certificate.manage'];
+const PARTICIPANT = [...ACCOUNT, 'form.register', 'form.team.read', 'attendance.code.read'];
+const MEMBER = [...ACCOUNT, 'profile.image.update'];
+const SENIOR_EXECUTIVE = [...MEMBER, 'attendance.mark'];
+const DEPUTY_DIRECTOR = [...SENIOR_EXECUTIVE, 'member.department.manage', 'role.change.propose'];
+const DIRECTOR = [...SENIOR_EXECUTIVE, 'form.analytics.read'];
+const DEPARTMENT_DIRECTOR = [...DIRECTOR, 'member.department.manage', 'role.change.propose'];
+const LEADERSHIP = [...DIRECTOR, 'role.change.approve', 'role.change.read'];
+
+// Every AccessTypes value has an entry, a missing one is reported at startup
+const ROLE_PERMISSIONS = {
+    ADMIN: [ALL_PERMISSIONS],
+
+    PRESIDENT: LEADERSHIP,
+    VICEPRESIDENT: LEADERSHIP,
+
+    USER: PARTICIPANT,
+
+    DIRECTOR_TECHNICAL: DEPARTMENT_DIRECTOR,
+    DIRECTOR_CREATIVE: DEPARTMENT_DIRECTOR,
+    DIRECTOR_MARKETING: DEPARTMENT_DIRECTOR,
+    DIRECTOR_OPERATIONS: DEPARTMENT_DIRECTOR,
+    DIRECTOR_PR_AND_FINANCE: DEPARTMENT_DIRECTOR,
+    // HR keeps the record of every role change
+    DIRECTOR_HUMAN_RESOURCE: [...DEPARTMENT_DIRECTOR, 'role.change.read'],
+
+    DEPUTY_DIRECTOR_TECHNICAL: DEPUTY_DIRECTOR,
+    DEPUTY_DIRECTOR_CREATIVE: DEPUTY_DIRECTOR,
+    DEPUTY_DIRECTOR_MARKETING: DEPUTY_DIRECTOR,
+    DEPUTY_DIRECTOR_OPERATIONS: DEPUTY_DIRECTOR,
+    DEPUTY_DIRECTOR_PR_AND_FINANCE: DEPUTY_DIRECTOR,
+    DEPUTY_DIRECTOR_HUMAN_RESOURCE: [...DEPUTY_DIRECTOR, 'role.change.read'],
+
+    SENIOR_EXECUTIVE_TECHNICAL: SENIOR_EXECUTIVE,
+    SENIOR_EXECUTIVE_CREATIVE: [...SENIOR_EXECUTIVE, 'blog.publish', 'blog.delete'],
+    SENIOR_EXECUTIVE_MARKETING: SENIOR_EXECUTIVE,
+    SENIOR_EXECUTIVE_OPERATIONS: SENIOR_EXECUTIVE,
+    SENIOR_EXECUTIVE_PR_AND_FINANCE: SENIOR_EXECUTIVE,
+    SENIOR_EXECUTIVE_HUMAN_RESOURCE: [...SENIOR_EXECUTIVE, 'role.change.read'],
+
+    TECHNICAL: MEMBER,
+    CREATIVE: MEMBER,
+    MARKETING: MEMBER,
+    OPERATIONS: MEMBER,
+    PR_AND_FINANCE: MEMBER,
+    HUMAN_RESOURCE: MEMBER,
+
+    ALUMNI: [...MEMBER, 'alumni.profile.update'],
+    EX_MEMBER: MEMBER,
+};
+
+module.exports = { PERMISSIONS, ALL_PERMISSIONS, ROLE_PERMISSIONS };
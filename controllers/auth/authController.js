@@ -1,17 +1,24 @@
 const { register } = require('./registerController');
 const { login } = require('./loginController');
 const { logout } = require('./logoutController');
+const { refresh } = require('./refreshController');
 const { forgetPassword } = require('./forgetPassword');
 const { changePassword } = require('./changePassword');
 const { verifyEmail } = require('./verifyEmailController');
+const { resendOtp } = require('./resendOtp');
+const { requestMagicLink, consumeMagicLink } = require('./magicLink');
 const { googleAuth } = require('./google/googleAuthentication');
 
 module.exports = {
     register,
     login,
     logout,
+    refresh,
     forgetPassword,
     changePassword,
     verifyEmail,
+    resendOtp,
+    requestMagicLink,
+    consumeMagicLink,
     googleAuth
 };
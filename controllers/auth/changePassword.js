@@ -5,6 +5,8 @@ const expressAsyncHandler = require('express-async-handler');
 const { ApiError } = require('../../utils/error/ApiError');
 const verifyOtp = require('../../utils/otp/verifyOtp');
 const updateUser = require('../../utils/user/updateUser');
+const { revokeUserSessions } = require('../../utils/session/revokeSessions');
+const { getClientInfo } = require('../../utils/request/getClientInfo');
 
 //@description     Changing Password
 //@route           POST /api/user/changePassword
@@ -24,15 +26,18 @@ const changePassword = expressAsyncHandler(async (req, res, next) => {
             next(new ApiError(409,"Conflict : New Password and confirm Password did not match!!"))
         }
 
+        // checkAccess resolved the account, the OTP went to its current email even when an old merged one was given
+        const accountEmail = req.user.email;
+
         //verify OTP -> Assuming that unique user constaint is handeleted in verifyEmailController
-        const isValidOTP = await verifyOtp( email, otp, OtpPurpose.FORGOT_PASSWORD, false)
+        const isValidOTP = await verifyOtp( accountEmail, otp, OtpPurpose.FORGOT_PASSWORD, false, getClientInfo(req).ip)
         // console.log("passing step2");
         // console.log("is valid otp", isValidOTP);
         // console.log("passing step 3");
 
         if (!isValidOTP.id) {
             console.log("invalid otp");
-            return next(new ApiError(isValidOTP.status,"Invalid OTP"))
+            return next(new ApiError(isValidOTP.status, isValidOTP.message, [{ code: isValidOTP.code }]))
         }
         const samePass = await bcrypt.compare(newPassword, req.user.password);
         console.log(samePass);
@@ -42,11 +47,15 @@ const changePassword = expressAsyncHandler(async (req, res, next) => {
         }
 
         const hashedPassword = await bcrypt.hash(newPassword, 10);
-        const user = await updateUser({email : email},{password : hashedPassword})
+        const user = await updateUser({email : accountEmail},{password : hashedPassword})
         console.log("step 4");
         if(!user){
            return next( new ApiError(400, "error creating user"))
         }
+
+        // A new password ends every existing session of the user
+        await revokeUserSessions(user.id, 'PASSWORD_CHANGED');
+
         res.status(200).json({ status:"OK", message: "Password has been changed successfully !!" });
         console.log("Password changed successfully");
 
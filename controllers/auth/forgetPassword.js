@@ -1,10 +1,8 @@
-const { PrismaClient, OtpPurpose } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { OtpPurpose } = require("@prisma/client");
 const expressAsyncHandler = require("express-async-handler");
 const { ApiError } = require("../../utils/error/ApiError");
-const generateOtp = require("../../utils/otp/generateOTP");
 const sendOtpToMail = require("../../utils/email/generateOtpAndSendMail");
-const verifyOTP = require("../../utils/otp/verifyOtp");
+const findUserByEmail = require("../../utils/user/findUserByEmail");
 
 // SET OTP validity in minutes
 const validity = 15;
@@ -20,10 +18,8 @@ const forgetPassword = expressAsyncHandler(async (req, res, next) => {
     }
 
 
-    // Only existing users can apply for Forget Password
-    const existingUser = await prisma.user.findUnique({
-        where: { email: email },
-    });
+    // Only existing users can apply for Forget Password, emails of merged accounts reset the account they were merged into
+    const existingUser = await findUserByEmail(email);
 
     if (!existingUser) {
         return next(new ApiError(400, "User not found!"));
@@ -35,27 +31,16 @@ const forgetPassword = expressAsyncHandler(async (req, res, next) => {
         const template = 'forgotPassword'
         const subject = 'OTP for setting new password'
         const placeholders = { validity : validity };
-        sendOtpToMail(email, OtpPurpose.FORGOT_PASSWORD ,template, subject, true, placeholders);
-
-        res.json({ message: `OTP sent successfully to ${email}. Valid for ${validity} mins` });
-        console.log("Cahnge the logic in forgotPassword Controller to delete the otp");
-
-        // Set auto-delete for the OTP after validity ends
-        setTimeout(async () => {
-            try {
-                const deletedOTP = await pirisma.otp.delete({
-                    where: { email: email },
-                });
-                if (process.env.DEBUG === "true") {
-                    console.log(`OTP Deleted for ${ email } : ${ deletedOTP }`);
-                }
-            } catch (error) {
-                console.error('Error deleting expired OTP:', error);
-            }
-        }, 60000 * validity);
+        const sentOtp = await sendOtpToMail(existingUser.email, OtpPurpose.FORGOT_PASSWORD ,template, subject, true, placeholders, validity);
+
+        // The OTP expires through the TTL index on otp.expiresAt
+        res.json({ message: `OTP sent successfully to ${existingUser.email}. Valid for ${validity} mins`, code: sentOtp.code, resendAvailableIn: sentOtp.resendAvailableIn });
 
     } catch (error) {
         console.error('Error in forgot password process:', error);
+        if (error instanceof ApiError) {
+            return next(error);
+        }
         next(new ApiError(500, "Error in forgot password process"));
     }
 });
@@ -1,96 +1,62 @@
-const { PrismaClient, AccessTypes } = require('@prisma/client');
+const { PrismaClient, AuthProvider } = require('@prisma/client');
 const prisma = new PrismaClient();
-const jwt = require('jsonwebtoken');
 const expressAsyncHandler = require('express-async-handler');
 const { ApiError } = require('../../../utils/error/ApiError');
-const { OAuth2Client } = require('google-auth-library');
 const createUser = require('../../../utils/user/createUser');
-const axios = require('axios');
+const findUserByEmail = require('../../../utils/user/findUserByEmail');
+const { getRollNumberProfile } = require('../../../utils/user/rollNumber');
+const verifyGoogleIdToken = require('../../../utils/google/verifyGoogleIdToken');
+const createSession = require('../../../utils/session/createSession');
+const { setAuthCookies } = require('../../../utils/session/authCookies');
+const getTwoFactorState = require('../../../utils/twoFactor/getTwoFactorState');
+const { signTwoFactorChallenge } = require('../../../utils/twoFactor/challenge');
 
 // Control Variables
 const sendMailFlag = true;
 
-//@description     Login or Register a User using Google
-//@route           POST /api/auth/googleLogin
+//@description     Login or Register a User using a Google ID token
+//@route           POST /api/auth/googleAuth
 //@access          Public
 const googleAuth = expressAsyncHandler(async (req, res, next) => {
     console.log("Entering google login");
-    const { access_token } = req.body;
+    // Google Identity Services sends the ID token as `credential`
+    const idToken = req.body.credential || req.body.idToken;
     let statusCode=200;
 
-    if (!access_token) {
-        return next(new ApiError(400, "Missing fields: access_token"));
-    }
-
     try {
-        // Verify the Google access token and get user info
-        const googleResponse = await axios.get(
-            `https://www.googleapis.com/oauth2/v3/userinfo?access_token=${access_token}`
-        );
-
-        console.log("Google response:", googleResponse.data);
-
-        const { email, name, given_name, family_name, picture, hd } = googleResponse.data;
+        // Verify the signature and audience of the ID token
+        const { sub, email, name, given_name, family_name, picture } = await verifyGoogleIdToken(idToken);
 
-
-        let user = await prisma.user.findUnique({
-            where: { email: email }
+        // Accounts are matched on the linked Google subject, never on the email alone
+        let user = await prisma.user.findFirst({
+            where: { identities: { some: { provider: AuthProvider.GOOGLE, subject: sub } } }
         });
 
+        if (!user) {
+            // An existing account has to link Google itself after signing in some other way
+            const existingUser = await findUserByEmail(email);
+            if (existingUser) {
+                console.log(`Google login refused, account not linked -> ${email}`);
+                return next(new ApiError(409, "An account with this email already exists. Sign in with your password or a sign-in link and link Google from your account", [{ code: "ACCOUNT_LINK_REQUIRED", provider: AuthProvider.GOOGLE }]));
+            }
+        }
+
         if (!user) {
             // If user not found, register the user
             let data = {
                 name : (given_name ? given_name + " " : "") + (family_name ? family_name : "") || name,
                 email,
                 img: picture,
+                createdWith: AuthProvider.GOOGLE,
+                identities: [{ provider: AuthProvider.GOOGLE, subject: sub, email }],
             };
 
-            function getOrdinalYear(year) {
-                switch (year) {
-                    case 1:
-                        return '1st Year';
-                    case 2:
-                        return '2nd Year';
-                    case 3:
-                        return '3rd Year';
-                    case 4:
-                        return '4th Year';
-                    case 5:
-                        return '5th Year';
-                    default:
-                        return `Passout`; // This case should not occur since max is 4th
-                }
-            }
-
-            if (hd === 'kiit.ac.in') {
-                const rollNumber = email.split('@')[0];
-                const startYear = parseInt(`20${rollNumber.substring(0, 2)}`, 10);
-                const currentYear = new Date().getFullYear();
-                const numericYearOfStudy = Math.min(5, currentYear - startYear + 1); // Max 4 years
-                const year = getOrdinalYear(numericYearOfStudy);
-                const schoolCode = rollNumber.substring(2, 4);
-
-                let schoolName;
-                switch (schoolCode) {
-                    case '05':
-                        schoolName = 'Computer Science and Engineering';
-                        break;
-                    // Add more cases for other school
-                    default:
-                        schoolName = null;
-                        break;
-                }
-
-                data = {
-                    ...data,
-                    college: "Kalinga Institute of Industrial Technology",
-                    rollNumber,
-                    year,
-                    school: schoolName
-                };
+            // KIIT accounts get their roll number, school and study year from the email
+            const rollNumberProfile = getRollNumberProfile({ email });
+            if (rollNumberProfile) {
+                data = { ...data, ...rollNumberProfile };
             }
 
-
             console.log("Data:", data);
 
             user = await createUser(data, sendMailFlag);
@@ -103,19 +69,22 @@ const googleAuth = expressAsyncHandler(async (req, res, next) => {
             console.log("User registered successfully:", user);
         }
 
-        // Generate the JWT Token
-        const token = jwt.sign(
-            { id: user.id, email: user.email, loginTime: new Date().toISOString() },
-            process.env.JWT_SECRET,
-            { expiresIn: '7h' }
-        );
-
-        // Send the token as an HTTP-only cookie
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-        });
+        // Accounts with two-factor authentication finish the login in /api/auth/twoFactor/verify
+        const twoFactor = await getTwoFactorState(user);
+        if (twoFactor.enabled) {
+            console.log(`Two-factor challenge issued through Google -> ${user.email}`);
+            return res.status(200).json({
+                message: "TWO_FACTOR_REQUIRED",
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(user, 'GOOGLE')
+            });
+        }
+
+        // Start a new session with a short lived access token and a rotating refresh token
+        const { accessToken, refreshToken } = await createSession(user, req);
+
+        // Send both tokens as HTTP-only cookies
+        setAuthCookies(res, { accessToken, refreshToken });
 
         // Delete the password field before sending the data
         delete user.password;
@@ -124,28 +93,23 @@ const googleAuth = expressAsyncHandler(async (req, res, next) => {
         res.status(statusCode).json({
             message: "LOGGED IN",
             user,
-            token
+            token: accessToken,
+            refreshToken,
+            twoFactorSetupRequired: twoFactor.setupRequired
         });
 
         console.log(`Successfully ${user.id ? "LOGGED IN" : "registered"} through Google! -> ${user.email}`);
     }
     catch (error) {
-        if (error.response) {
-            // Error response from the Google API
-            const { status, data } = error.response;
-            console.error("Google API Error:", data);
-            next(new ApiError(status || 500, data.error || "Google API error"));
-        } else if (error.request) {
-            // No response received from the Google API
-            console.error("Google API No Response:", error.request);
-            next(new ApiError(503, "No response from Google API"));
+        if (error instanceof ApiError) {
+            return next(error);
         } else if (error.code === 'P1001') {
             // Prisma database connection error
             console.error("Database Connection Error:", error.message);
             next(new ApiError(503, "Database connection error"));
         } else {
             // General error handling
-            console.error("Google API Request Error:", error.message);
+            console.error("Google login error:", error.message);
             next(new ApiError(500, "Internal server request"));
         }
     }
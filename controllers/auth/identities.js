@@ -0,0 +1,100 @@
+const { PrismaClient, AuthProvider } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../utils/error/ApiError');
+const verifyGoogleIdToken = require('../../utils/google/verifyGoogleIdToken');
+
+// Providers that can be linked to an account, the password is always part of the account itself
+const LINKABLE_PROVIDERS = [AuthProvider.GOOGLE];
+
+const toIdentityResponse = (user) => ({
+    createdWith: user.createdWith || null,
+    identities: (user.identities || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt }))
+});
+
+//@description     List the sign-in providers linked to the current account
+//@route           GET /api/auth/identities
+//@access          Signed in user
+const getIdentities = expressAsyncHandler(async (req, res, next) => {
+    try {
+        res.status(200).json({ success: true, ...toIdentityResponse(req.user) });
+    } catch (error) {
+        console.error('Error fetching linked identities:', error);
+        next(new ApiError(500, 'Error fetching linked identities', error));
+    }
+});
+
+//@description     Link a Google account to the current account
+//@route           POST /api/auth/identities/google
+//@access          Signed in user
+const linkGoogle = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { sub, email } = await verifyGoogleIdToken(req.body.credential || req.body.idToken);
+
+        const current = (req.user.identities || []).find((identity) => identity.provider === AuthProvider.GOOGLE);
+        if (current && current.subject === sub) {
+            return res.status(200).json({ success: true, message: "Google account already linked", ...toIdentityResponse(req.user) });
+        }
+        if (current) {
+            return next(new ApiError(409, "A different Google account is already linked. Unlink it first"));
+        }
+
+        const owner = await prisma.user.findFirst({
+            where: { identities: { some: { provider: AuthProvider.GOOGLE, subject: sub } } },
+            select: { id: true }
+        });
+
+        if (owner) {
+            return next(new ApiError(409, "This Google account is linked to another account"));
+        }
+
+        const user = await prisma.user.update({
+            where: { id: req.user.id },
+            data: {
+                identities: { push: { provider: AuthProvider.GOOGLE, subject: sub, email } }
+            }
+        });
+
+        res.status(200).json({ success: true, message: "Google account linked", ...toIdentityResponse(user) });
+        console.log(`Google account ${email} linked -> ${user.email}`);
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error linking Google account:', error);
+        next(new ApiError(500, 'Error linking Google account', error));
+    }
+});
+
+//@description     Unlink a sign-in provider from the current account
+//@route           DELETE /api/auth/identities/:provider
+//@access          Signed in user
+const unlinkIdentity = expressAsyncHandler(async (req, res, next) => {
+    const provider = String(req.params.provider || '').toUpperCase();
+
+    try {
+        if (!LINKABLE_PROVIDERS.includes(provider)) {
+            return next(new ApiError(400, `Invalid provider, expected one of ${LINKABLE_PROVIDERS.join(', ')}`));
+        }
+
+        if (!(req.user.identities || []).some((identity) => identity.provider === provider)) {
+            return next(new ApiError(404, "Provider is not linked to this account"));
+        }
+
+        // Every account keeps its password (Google sign-ups get one by email), so it stays reachable
+        const user = await prisma.user.update({
+            where: { id: req.user.id },
+            data: {
+                identities: { deleteMany: { where: { provider } } }
+            }
+        });
+
+        res.status(200).json({ success: true, message: "Provider unlinked", ...toIdentityResponse(user) });
+        console.log(`${provider} unlinked -> ${user.email}`);
+    } catch (error) {
+        console.error('Error unlinking provider:', error);
+        next(new ApiError(500, 'Error unlinking provider', error));
+    }
+});
+
+module.exports = { getIdentities, linkGoogle, unlinkIdentity };
@@ -1,9 +1,14 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const expressAsyncHandler = require('express-async-handler');
 const { ApiError } = require('../../utils/error/ApiError');
+const createSession = require('../../utils/session/createSession');
+const { setAuthCookies } = require('../../utils/session/authCookies');
+const getTwoFactorState = require('../../utils/twoFactor/getTwoFactorState');
+const { signTwoFactorChallenge } = require('../../utils/twoFactor/challenge');
+const { recordFailedAttempt, recordSuccessfulAttempt } = require('../../utils/throttle/authThrottle');
+const { getClientInfo } = require('../../utils/request/getClientInfo');
 
 //@description     Login a User
 //@route           POST /api/auth/login
@@ -25,25 +30,33 @@ const login = expressAsyncHandler(async (req, res, next) => {
         const isPasswordValid = await bcrypt.compare(req.body.password, req.user.password);
 
         if (!isPasswordValid) {
+            await recordFailedAttempt('LOGIN', { email: req.user.email, ip: getClientInfo(req).ip });
             return next(new ApiError(401, 'Invalid password'));
         }
 
-        // Generate the JWT Token with only id, email, and login time
-        const token = jwt.sign({ id: req.user.id, email: req.user.email, loginTime: new Date().toISOString() }, process.env.JWT_SECRET, { expiresIn: '7h' });
+        await recordSuccessfulAttempt('LOGIN', { email: req.user.email });
 
-        // Send the token as an HTTP-only cookie
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: true,
-            // secure: process.env.NODE_ENV === 'production',
-            // sameSite: 'strict',
-            // maxAge: 3600000 // 1 hour in milliseconds
-        });
+        // Accounts with two-factor authentication finish the login in /api/auth/twoFactor/verify
+        const twoFactor = await getTwoFactorState(req.user);
+        if (twoFactor.enabled) {
+            console.log(`Two-factor challenge issued -> ${req.user.email}`);
+            return res.status(200).json({
+                message: "TWO_FACTOR_REQUIRED",
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(req.user, 'PASSWORD')
+            });
+        }
+
+        // Start a new session with a short lived access token and a rotating refresh token
+        const { accessToken, refreshToken } = await createSession(req.user, req);
+
+        // Send both tokens as HTTP-only cookies
+        setAuthCookies(res, { accessToken, refreshToken });
 
         //delete the password field before sending the data
         delete req.user.password
 
-        res.status(200).json({ message: "LOGGED IN", user: req.user, token: token });
+        res.status(200).json({ message: "LOGGED IN", user: req.user, token: accessToken, refreshToken, twoFactorSetupRequired: twoFactor.setupRequired });
         console.log(`Successfully LOGGEDIN !! -> ${req.user.email}`);
     } catch (error) {
         next(error);
@@ -1,11 +1,56 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const jwt = require('jsonwebtoken');
 const expressAsyncHandler = require('express-async-handler');
+const { hashToken } = require('../../utils/session/tokens');
+const { revokeSession } = require('../../utils/session/revokeSessions');
+const { clearAuthCookies } = require('../../utils/session/authCookies');
+
+// Find the session to end, from the refresh token if we have it, else from the (possibly expired) access token
+const findSessionId = async (req) => {
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    if (refreshToken) {
+        const session = await prisma.session.findUnique({
+            where: { refreshTokenHash: hashToken(refreshToken) },
+            select: { id: true }
+        });
+        if (session) {
+            return session.id;
+        }
+    }
+
+    let token = req.cookies?.token || req.headers['authorization'];
+    if (token) {
+        if (token.startsWith("Bearer ")) {
+            token = token.slice(7);
+        }
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+            return decoded.sid || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return null;
+};
 
 //@description     Logout a User
 //@route           POST /api/auth/logout
 //@access          Logged In user
 const logout = expressAsyncHandler(async (req, res) => {
-    // Clear the token cookie
-    res.clearCookie('token');
+    try {
+        const sessionId = await findSessionId(req);
+        if (sessionId) {
+            await revokeSession(sessionId, 'LOGOUT');
+        }
+    } catch (error) {
+        // Logging out should never fail from the user's point of view
+        console.error('Error revoking session on logout:', error);
+    }
+
+    // Clear the token cookies
+    clearAuthCookies(res);
     res.json({ message: "Logged out successfully" });
 });
 
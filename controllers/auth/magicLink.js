@@ -0,0 +1,163 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../utils/error/ApiError');
+const { sendMail } = require('../../utils/email/nodeMailer');
+const loadTemplate = require('../../utils/email/loadTemplate');
+const escapeHtml = require('../../utils/email/escapeHtml');
+const findUserByEmail = require('../../utils/user/findUserByEmail');
+const createSession = require('../../utils/session/createSession');
+const { setAuthCookies } = require('../../utils/session/authCookies');
+const getTwoFactorState = require('../../utils/twoFactor/getTwoFactorState');
+const { signTwoFactorChallenge } = require('../../utils/twoFactor/challenge');
+const { getClientInfo } = require('../../utils/request/getClientInfo');
+const {
+    BINDING_COOKIE,
+    MAGIC_LINK_TTL_MINUTES,
+    signMagicLinkToken,
+    verifyMagicLinkToken,
+    generateBinding,
+    isBindingMatch,
+    setBindingCookie,
+    clearBindingCookie
+} = require('../../utils/magicLink/magicLinkToken');
+
+// Same response whether or not the account exists, so the endpoint can't be used to probe emails
+const LINK_SENT_MESSAGE = "If an account exists for this email, a sign-in link has been sent";
+
+//@description     Email a single-use sign-in link bound to the requesting browser
+//@route           POST /api/auth/magicLink
+//@access          Public
+const requestMagicLink = expressAsyncHandler(async (req, res, next) => {
+    const { email } = req.body;
+
+    try {
+        if (!email) {
+            return next(new ApiError(400, "Missing fields: email"));
+        }
+
+        // Emails of merged accounts get a link to the account they were merged into
+        const user = await findUserByEmail(email);
+        const binding = generateBinding();
+
+        // Unknown emails get the same cookie and response, only no link is sent
+        if (!user) {
+            console.log(`Magic link requested for unknown email -> ${email}`);
+            setBindingCookie(res, binding.nonce);
+            return res.status(200).json({
+                success: true,
+                message: LINK_SENT_MESSAGE,
+                expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000)
+            });
+        }
+
+        const { ip, userAgent } = getClientInfo(req);
+
+        // Only the latest link for an account stays usable
+        await prisma.magicLink.deleteMany({
+            where: { userId: user.id, usedAt: null }
+        });
+
+        const magicLink = await prisma.magicLink.create({
+            data: {
+                userId: user.id,
+                email: user.email,
+                bindingHash: binding.hash,
+                ip,
+                userAgent,
+                // Stored explicitly, `usedAt: null` filters do not match a missing field on MongoDB
+                usedAt: null,
+                expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000)
+            }
+        });
+
+        const link = `${process.env.DOMAIN}/magicLink?token=${encodeURIComponent(signMagicLinkToken(magicLink))}`;
+        const template = loadTemplate('magicLink', {
+            name: escapeHtml(user.name || user.email),
+            link,
+            validity: MAGIC_LINK_TTL_MINUTES
+        });
+
+        await sendMail(user.email, 'Your FED KIIT sign-in link', template);
+
+        setBindingCookie(res, binding.nonce);
+
+        res.status(200).json({ success: true, message: LINK_SENT_MESSAGE, expiresAt: magicLink.expiresAt });
+        console.log(`Magic link sent -> ${user.email}`);
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error sending magic link:', error);
+        next(new ApiError(500, 'Error sending sign-in link', error));
+    }
+});
+
+//@description     Exchange a sign-in link for a session, same cookies and tokens as login
+//@route           POST /api/auth/magicLink/consume
+//@access          Public, from the browser that requested the link
+const consumeMagicLink = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const decoded = verifyMagicLinkToken(req.body.token);
+
+        const magicLink = await prisma.magicLink.findUnique({
+            where: { id: decoded.jti }
+        });
+
+        if (!magicLink || magicLink.usedAt || magicLink.expiresAt <= new Date()) {
+            return next(new ApiError(410, "Sign-in link has expired or was already used. Please request a new one"));
+        }
+
+        if (!isBindingMatch(magicLink, req.cookies?.[BINDING_COOKIE])) {
+            return next(new ApiError(403, "Sign-in link must be opened in the browser it was requested from"));
+        }
+
+        // Mark the link used before issuing anything, a concurrent request loses the race here
+        const { count } = await prisma.magicLink.updateMany({
+            where: { id: magicLink.id, usedAt: null },
+            data: { usedAt: new Date() }
+        });
+
+        if (count === 0) {
+            return next(new ApiError(410, "Sign-in link has expired or was already used. Please request a new one"));
+        }
+
+        clearBindingCookie(res);
+
+        const user = await prisma.user.findUnique({
+            where: { id: magicLink.userId }
+        });
+
+        if (!user || user.email !== magicLink.email) {
+            return next(new ApiError(404, 'User not found'));
+        }
+
+        // The link replaces the password only, two-factor accounts still finish in /api/auth/twoFactor/verify
+        const twoFactor = await getTwoFactorState(user);
+        if (twoFactor.enabled) {
+            console.log(`Two-factor challenge issued -> ${user.email}`);
+            return res.status(200).json({
+                message: "TWO_FACTOR_REQUIRED",
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(user, 'MAGIC_LINK')
+            });
+        }
+
+        const { accessToken, refreshToken } = await createSession(user, req);
+
+        setAuthCookies(res, { accessToken, refreshToken });
+
+        delete user.password;
+
+        res.status(200).json({ message: "LOGGED IN", user, token: accessToken, refreshToken, twoFactorSetupRequired: twoFactor.setupRequired });
+        console.log(`Successfully LOGGEDIN with magic link !! -> ${user.email}`);
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error consuming magic link:', error);
+        next(new ApiError(500, 'Error signing in with link', error));
+    }
+});
+
+module.exports = { requestMagicLink, consumeMagicLink };
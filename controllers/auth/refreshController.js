@@ -0,0 +1,32 @@
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../utils/error/ApiError');
+const rotateSession = require('../../utils/session/rotateSession');
+const { setAuthCookies, clearAuthCookies } = require('../../utils/session/authCookies');
+
+//@description     Exchange a refresh token for a new access token
+//@route           POST /api/auth/refresh
+//@access          Signed in user (refresh token in cookie or body)
+const refresh = expressAsyncHandler(async (req, res, next) => {
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+    try {
+        const { user, accessToken, refreshToken: nextRefreshToken } = await rotateSession(refreshToken, req);
+
+        setAuthCookies(res, { accessToken, refreshToken: nextRefreshToken });
+
+        delete user.password;
+
+        res.status(200).json({ message: "Token refreshed", user, token: accessToken, refreshToken: nextRefreshToken });
+    } catch (error) {
+        // Whatever went wrong, the cookies we hold are of no use anymore
+        clearAuthCookies(res);
+
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error refreshing session:', error);
+        next(new ApiError(500, 'Error refreshing session', error));
+    }
+});
+
+module.exports = { refresh };
@@ -1,11 +1,15 @@
 const { PrismaClient, OtpPurpose, AccessTypes } = require('@prisma/client');
 const prisma = new PrismaClient();
 // const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const expressAsyncHandler = require('express-async-handler');
 const { ApiError } = require('../../utils/error/ApiError');
 const createUser = require('../../utils/user/createUser');
+const findUserByEmail = require('../../utils/user/findUserByEmail');
+const { getRollNumberProfile } = require('../../utils/user/rollNumber');
 const verifyOTP = require('../../utils/otp/verifyOtp');
+const createSession = require('../../utils/session/createSession');
+const { setAuthCookies } = require('../../utils/session/authCookies');
+const { getClientInfo } = require('../../utils/request/getClientInfo');
 
 // Control Variables
 const sendMailFlag = false;
@@ -29,21 +33,14 @@ const register = expressAsyncHandler(async (req, res, next) => {
 
     try {
         // Check if the user is already registered 
-        const existingUser = await prisma.user.findUnique({
-            where: {
-                email: email
-            },
-            select: {
-                id: true
-            }
-        })
+        const existingUser = await findUserByEmail(email, { select: { id: true } })
 
         if (existingUser) {
             console.log("User already existing with this email", existingUser);
             return next(new ApiError(400, "User already registerd with this email!!"))
         }
         // Verify OTP -> Assuming that unique user constraint is handled in verifyEmailController
-        const isValidOTP = await verifyOTP(email, otp, OtpPurpose.EMAIL_VERIFICATION);
+        const isValidOTP = await verifyOTP(email, otp, OtpPurpose.EMAIL_VERIFICATION, false, getClientInfo(req).ip);
 
         // // Log the otp verification if on DEBUG mode
         // if (process.env.DEBUG === "true") {
@@ -55,7 +52,7 @@ const register = expressAsyncHandler(async (req, res, next) => {
 
         // Check if the OTP verification has failed
         if (!isValidOTP.id) {
-            return next(new ApiError(isValidOTP.status, isValidOTP.message));
+            return next(new ApiError(isValidOTP.status, isValidOTP.message, [{ code: isValidOTP.code }]));
         }
         //  Password is hashed from the frontend
         // // Hash the password
@@ -65,6 +62,13 @@ const register = expressAsyncHandler(async (req, res, next) => {
         // override the access type of the new user to USER
         data.access = AccessTypes.USER;
         data.editProfileCount = 5;
+        data.createdWith = 'PASSWORD';
+
+        // Study year, school and college follow from the roll number (or a KIIT email)
+        const rollNumberProfile = getRollNumberProfile(data);
+        if (rollNumberProfile) {
+            Object.assign(data, rollNumberProfile);
+        }
 
         // Create or update the unique user
         const newUser = await createUser(data, sendMailFlag);
@@ -73,21 +77,18 @@ const register = expressAsyncHandler(async (req, res, next) => {
             return next(new ApiError(400, "Error creating user"))
         }
 
-        // Generate the JWT Token
-        const token = jwt.sign({ id: newUser.id, email, loginTime: new Date().toISOString() }, process.env.JWT_SECRET, { expiresIn: '7h' });
+        // Start the first session of the new user
+        const { accessToken, refreshToken } = await createSession(newUser, req);
 
-        // Send the token as an HTTP-only cookie
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: true
-        });
+        // Send both tokens as HTTP-only cookies
+        setAuthCookies(res, { accessToken, refreshToken });
 
 
         // Delete the password before sending the new created user data 
         delete newUser.password;
 
         // Respond to the client immediately
-        res.status(201).json({ message: 'User created successfully', user : newUser, token: token });
+        res.status(201).json({ message: 'User created successfully', user : newUser, token: accessToken, refreshToken });
 
         // Log the registration success if in debug mode
         if (process.env.DEBUG === "true") {
@@ -0,0 +1,63 @@
+const { PrismaClient, OtpPurpose } = require("@prisma/client");
+const prisma = new PrismaClient();
+const expressAsyncHandler = require("express-async-handler");
+const { ApiError } = require("../../utils/error/ApiError");
+const findUserByEmail = require("../../utils/user/findUserByEmail");
+const sendOtpToMail = require("../../utils/email/generateOtpAndSendMail");
+const { OtpStatus } = require("../../utils/otp/otpStatus");
+
+//@description     Resend an OTP for email verification, forgot password, account deletion or email change
+//@route           POST /api/auth/resendOtp
+//@access          Public
+const resendOtp = expressAsyncHandler(async (req, res, next) => {
+    const { email, purpose } = req.body;
+
+    if (!email || !purpose) {
+        return next(new ApiError(400, "Missing fields: email, purpose"));
+    }
+
+    if (!Object.values(OtpPurpose).includes(purpose)) {
+        return next(new ApiError(400, `Invalid purpose. Allowed: ${Object.values(OtpPurpose).join(', ')}`));
+    }
+
+    try {
+        // Same account rules as the endpoints that send the first OTP
+        const existingUser = await findUserByEmail(email, { select: { id: true } });
+
+        if ((purpose === OtpPurpose.EMAIL_VERIFICATION || purpose === OtpPurpose.EMAIL_CHANGE) && existingUser) {
+            return next(new ApiError(400, "User already exists with this email. If you have forgot the password try reseting the password using forgot password"));
+        }
+        if ((purpose === OtpPurpose.FORGOT_PASSWORD || purpose === OtpPurpose.ACCOUNT_DELETION) && !existingUser) {
+            return next(new ApiError(400, "User not found!"));
+        }
+
+        // A resend reuses the template, placeholders and validity of the OTP that was requested first
+        const previousOtp = await prisma.otp.findFirst({
+            where: { email, for: purpose }
+        });
+
+        if (!previousOtp) {
+            return next(new ApiError(404, "No OTP was requested for this email. Please start again", [{ code: OtpStatus.NOT_FOUND }]));
+        }
+
+        const sentOtp = await sendOtpToMail(
+            email,
+            purpose,
+            previousOtp.template,
+            previousOtp.subject,
+            previousOtp.allowRetry,
+            { ...previousOtp.placeholders, validity: previousOtp.age },
+            previousOtp.age
+        );
+
+        res.status(sentOtp.status).json({ message: sentOtp.message, code: sentOtp.code, resendAvailableIn: sentOtp.resendAvailableIn });
+    } catch (error) {
+        console.error('Error resending OTP:', error);
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        next(new ApiError(500, "Error resending OTP", error));
+    }
+});
+
+module.exports = { resendOtp };
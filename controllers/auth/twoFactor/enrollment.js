@@ -0,0 +1,217 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const QRCode = require('qrcode');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { generateSecret, verifyTotp, buildOtpAuthUri } = require('../../../utils/twoFactor/totp');
+const { encryptSecret, decryptSecret } = require('../../../utils/twoFactor/secretCipher');
+const { generateRecoveryCodes } = require('../../../utils/twoFactor/recoveryCodes');
+const { isTwoFactorEligible, isTwoFactorMandatory, hasRecentTwoFactor } = require('../../../utils/twoFactor/policy');
+const verifySecondFactor = require('../../../utils/twoFactor/verifySecondFactor');
+const { revokeUserSessions } = require('../../../utils/session/revokeSessions');
+const { getClientInfo } = require('../../../utils/request/getClientInfo');
+
+//@description     Two-factor authentication status of the signed in user
+//@route           GET /api/auth/twoFactor/status
+//@access          Signed in user
+const getTwoFactorStatus = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const twoFactor = await prisma.twoFactor.findUnique({
+            where: { userId: req.user.id }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                enabled: Boolean(twoFactor?.enabled),
+                enabledAt: twoFactor?.enabledAt || null,
+                eligible: isTwoFactorEligible(req.user.access),
+                mandatory: isTwoFactorMandatory(req.user.access),
+                recentlyVerified: hasRecentTwoFactor(req.authSession),
+                remainingRecoveryCodes: twoFactor?.enabled ? twoFactor.recoveryCodeHashes.length : 0
+            }
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error fetching two-factor status:', error);
+        next(new ApiError(500, 'Error fetching two-factor status', error));
+    }
+});
+
+//@description     Start enrollment, returns the provisioning URI and its QR code
+//@route           POST /api/auth/twoFactor/setup
+//@access          ADMIN, PRESIDENT, VICEPRESIDENT and DIRECTOR_*
+const setupTwoFactor = expressAsyncHandler(async (req, res, next) => {
+    try {
+        if (!isTwoFactorEligible(req.user.access)) {
+            return next(new ApiError(403, "Two-factor authentication is only available for privileged roles"));
+        }
+
+        const existing = await prisma.twoFactor.findUnique({
+            where: { userId: req.user.id }
+        });
+
+        if (existing?.enabled) {
+            return next(new ApiError(400, "Two-factor authentication is already enabled"));
+        }
+
+        const secret = generateSecret();
+        const otpauthUri = buildOtpAuthUri(secret, req.user.email);
+
+        await prisma.twoFactor.upsert({
+            where: { userId: req.user.id },
+            update: { pendingSecret: encryptSecret(secret) },
+            create: { userId: req.user.id, pendingSecret: encryptSecret(secret) }
+        });
+
+        const qrCode = await QRCode.toDataURL(otpauthUri);
+
+        res.status(200).json({
+            success: true,
+            message: "Scan the QR code with your authenticator app and confirm with a code",
+            data: { secret, otpauthUri, qrCode }
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error starting two-factor setup:', error);
+        next(new ApiError(500, 'Error starting two-factor setup', error));
+    }
+});
+
+//@description     Confirm enrollment with a first code, returns the recovery codes once
+//@route           POST /api/auth/twoFactor/enable
+//@access          ADMIN, PRESIDENT, VICEPRESIDENT and DIRECTOR_*
+const enableTwoFactor = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return next(new ApiError(400, "Missing fields: code"));
+        }
+
+        const twoFactor = await prisma.twoFactor.findUnique({
+            where: { userId: req.user.id }
+        });
+
+        if (twoFactor?.enabled) {
+            return next(new ApiError(400, "Two-factor authentication is already enabled"));
+        }
+
+        if (!twoFactor?.pendingSecret) {
+            return next(new ApiError(400, "Start the two-factor setup first"));
+        }
+
+        const step = verifyTotp(decryptSecret(twoFactor.pendingSecret), code);
+        if (step === null) {
+            return next(new ApiError(401, "Invalid authentication code"));
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        await prisma.twoFactor.update({
+            where: { id: twoFactor.id },
+            data: {
+                secret: twoFactor.pendingSecret,
+                pendingSecret: null,
+                enabled: true,
+                enabledAt: new Date(),
+                lastUsedStep: step,
+                recoveryCodeHashes: { set: hashes }
+            }
+        });
+
+        // The current session just proved the second factor, every other one did not
+        if (req.authSession) {
+            await prisma.session.update({
+                where: { id: req.authSession.id },
+                data: { mfaVerifiedAt: new Date() }
+            });
+        }
+        await revokeUserSessions(req.user.id, 'TWO_FACTOR_ENABLED', req.authSession?.id);
+
+        console.log(`Two-factor authentication enabled for ${req.user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: "Two-factor authentication enabled. Store the recovery codes somewhere safe, they will not be shown again",
+            data: { recoveryCodes: codes }
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error enabling two-factor authentication:', error);
+        next(new ApiError(500, 'Error enabling two-factor authentication', error));
+    }
+});
+
+//@description     Turn off two-factor authentication
+//@route           POST /api/auth/twoFactor/disable
+//@access          Signed in user with two-factor enabled, unless mandatory for the role
+const disableTwoFactor = expressAsyncHandler(async (req, res, next) => {
+    try {
+        if (isTwoFactorMandatory(req.user.access)) {
+            return next(new ApiError(403, `Two-factor authentication is mandatory for ${req.user.access}`));
+        }
+
+        await verifySecondFactor(req.user, req.body, getClientInfo(req).ip);
+
+        await prisma.twoFactor.delete({
+            where: { userId: req.user.id }
+        });
+
+        console.log(`Two-factor authentication disabled for ${req.user.email}`);
+
+        res.status(200).json({ success: true, message: "Two-factor authentication disabled" });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error disabling two-factor authentication:', error);
+        next(new ApiError(500, 'Error disabling two-factor authentication', error));
+    }
+});
+
+//@description     Replace all recovery codes
+//@route           POST /api/auth/twoFactor/recoveryCodes
+//@access          Signed in user with two-factor enabled
+const regenerateRecoveryCodes = expressAsyncHandler(async (req, res, next) => {
+    try {
+        if (!req.body.code) {
+            return next(new ApiError(400, "Missing fields: code"));
+        }
+
+        await verifySecondFactor(req.user, { code: req.body.code }, getClientInfo(req).ip);
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        await prisma.twoFactor.update({
+            where: { userId: req.user.id },
+            data: { recoveryCodeHashes: { set: hashes } }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "New recovery codes generated, the old ones no longer work",
+            data: { recoveryCodes: codes }
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error generating recovery codes:', error);
+        next(new ApiError(500, 'Error generating recovery codes', error));
+    }
+});
+
+module.exports = {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
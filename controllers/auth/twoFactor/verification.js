@@ -0,0 +1,75 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { verifyTwoFactorChallenge } = require('../../../utils/twoFactor/challenge');
+const verifySecondFactor = require('../../../utils/twoFactor/verifySecondFactor');
+const createSession = require('../../../utils/session/createSession');
+const { setAuthCookies } = require('../../../utils/session/authCookies');
+const { getClientInfo } = require('../../../utils/request/getClientInfo');
+
+//@description     Second login step, exchanges the challenge and a code for a session
+//@route           POST /api/auth/twoFactor/verify
+//@access          Users who passed the first factor in login or googleAuth
+const verifyTwoFactorLogin = expressAsyncHandler(async (req, res, next) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    try {
+        const challenge = verifyTwoFactorChallenge(challengeToken);
+
+        const user = await prisma.user.findUnique({
+            where: { id: challenge.id }
+        });
+
+        if (!user) {
+            return next(new ApiError(404, 'User not found'));
+        }
+
+        const { method, remainingRecoveryCodes } = await verifySecondFactor(user, { code, recoveryCode }, getClientInfo(req).ip);
+
+        const { accessToken, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+
+        setAuthCookies(res, { accessToken, refreshToken });
+
+        delete user.password;
+
+        res.status(200).json({
+            message: "LOGGED IN",
+            user,
+            token: accessToken,
+            refreshToken,
+            ...(method === 'RECOVERY_CODE' ? { remainingRecoveryCodes } : {})
+        });
+        console.log(`Successfully LOGGEDIN with two-factor (${challenge.method}) !! -> ${user.email}`);
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error verifying two-factor login:', error);
+        next(new ApiError(500, 'Error verifying two-factor login', error));
+    }
+});
+
+//@description     Re-verify the second factor for the current session before a sensitive action
+//@route           POST /api/auth/twoFactor/stepUp
+//@access          Signed in user with two-factor enabled
+const stepUpTwoFactor = expressAsyncHandler(async (req, res, next) => {
+    try {
+        await verifySecondFactor(req.user, req.body, getClientInfo(req).ip);
+
+        const session = await prisma.session.update({
+            where: { id: req.authSession.id },
+            data: { mfaVerifiedAt: new Date() }
+        });
+
+        res.status(200).json({ success: true, message: "Second factor verified", verifiedAt: session.mfaVerifiedAt });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error verifying second factor:', error);
+        next(new ApiError(500, 'Error verifying second factor', error));
+    }
+});
+
+module.exports = { verifyTwoFactorLogin, stepUpTwoFactor };
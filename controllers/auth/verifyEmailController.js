@@ -1,8 +1,8 @@
-const { PrismaClient, OtpPurpose } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { OtpPurpose } = require("@prisma/client");
 const expressAsyncHandler = require("express-async-handler");
 const sendOtpToMail = require("../../utils/email/generateOtpAndSendMail");
 const { ApiError } = require("../../utils/error/ApiError");
+const findUserByEmail = require("../../utils/user/findUserByEmail");
 const { login } = require("./loginController");
 const { promises } = require("nodemailer/lib/xoauth2");
 
@@ -22,9 +22,7 @@ const verifyEmail = expressAsyncHandler(async (req, res, next) => {
         }
 
         // Check if the user already exists
-        const existingUser = await prisma.user.findUnique({
-            where: { email }
-        });
+        const existingUser = await findUserByEmail(email);
 
         if (existingUser) {
             if (process.env.DEBUG === "true") {
@@ -35,16 +33,16 @@ const verifyEmail = expressAsyncHandler(async (req, res, next) => {
 
         // Send OTP for email verification
         const sentOtp = await sendOtpToMail(email, OtpPurpose.EMAIL_VERIFICATION, 'registerUserOTP', 'OTP for registering on FED-KIIT', true, {}, validity);
-        if(!sentOtp.id){
-
-        }
-        res.status(sentOtp.status).json({message : sentOtp.message});
+        res.status(sentOtp.status).json({message : sentOtp.message, code: sentOtp.code, resendAvailableIn: sentOtp.resendAvailableIn});
 
         console.log("otp sent successfully", sentOtp)
 
 
     } catch (error) {
         console.error('Error in sending OTP process:', error);
+        if (error instanceof ApiError) {
+            return next(error);
+        }
         next(new ApiError(500, "Error in sending OTP process", error));
     }
 });
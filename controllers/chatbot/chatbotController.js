@@ -8,28 +8,19 @@ const { PrismaClient, AccessTypes } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { generateResponse, checkHealth } = require('./geminiService');
 const { buildPrompt, buildMessageWithContext, buildAlumniContext, requiresAuth } = require('./promptBuilder');
+const { getTeamHierarchy, flattenTeamHierarchy } = require('../../utils/team/teamHierarchy');
+const { getLastRoles, toAlumniCard } = require('../../utils/alumni/alumniProfile');
 
 /**
- * Fetch team members from database
- * @returns {Promise<Array>} Team members data
+ * Fetch team members in team page order, the same hierarchy GET /api/user/team serves
+ * @returns {Promise<Array>} Team members data with their role title and department
  */
 const fetchTeamData = async () => {
     try {
-        const users = await prisma.user.findMany({
-            where: {
-                access: {
-                    notIn: [AccessTypes.USER, AccessTypes.ADMIN, AccessTypes.ALUMNI]
-                }
-            },
-            select: {
-                id: true,
-                name: true,
-                access: true,
-                img: true,
-                extra: true
-            }
-        });
-        return users;
+        const { hierarchy } = await getTeamHierarchy();
+        return flattenTeamHierarchy(hierarchy).map(({ id, name, access, title, department, year, img, extra }) => ({
+            id, name, access, title, department, year, img, extra
+        }));
     } catch (error) {
         console.error('[Chatbot Controller] Error fetching team:', error);
         return [];
@@ -37,7 +28,7 @@ const fetchTeamData = async () => {
 };
 
 /**
- * Fetch alumni team members from database
+ * Fetch alumni from database, only the fields each alumnus made public
  * @returns {Promise<Array>} Alumni data
  */
 const fetchAlumniData = async () => {
@@ -49,12 +40,14 @@ const fetchAlumniData = async () => {
             select: {
                 id: true,
                 name: true,
-                access: true,
+                email: true,
                 img: true,
-                extra: true
+                extra: true,
+                alumniProfile: true
             }
         });
-        return alumni;
+        const lastRoles = await getLastRoles(alumni.map(user => user.id));
+        return alumni.map(user => toAlumniCard(user, lastRoles, null));
     } catch (error) {
         console.error('[Chatbot Controller] Error fetching alumni:', error);
         return [];
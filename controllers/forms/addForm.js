@@ -3,6 +3,8 @@ const prisma = new PrismaClient();
 const { ApiError } = require("../../utils/error/ApiError");
 const uploadimage = require("../../utils/image/uploadImage");
 const status = require("http-status");
+const { resolveCollaborators } = require("../../utils/form/formCollaborators");
+const { parseFormDefinition } = require("../../utils/form/formDefinition");
 
 const QrImageHeight = 150;
 const QrImageWidth = 400;
@@ -13,7 +15,7 @@ const FormImageWidth = 196.37;
 
 // @description     Add regForm
 // @route           POST /api/form/addForm
-// @access          Admins
+// @access          form.create
 const addForm = async (req, res, next) => {
   try {
     const {
@@ -36,25 +38,34 @@ const addForm = async (req, res, next) => {
       isEventPast,
     } = req.body;
 
-    const info = {
-      eventTitle,
-      eventdescription,
-      eventDate,
-      eventType,
-      eventAmount,
-      eventMaxReg,
-      relatedEvent,
-      participationType,
-      maxTeamSize,
-      minTeamSize,
-      regDateAndTime,
-      eventPriority,
-      successMessage,
-      isPublic: Boolean(isPublic) || false,
-      isRegistrationClosed: Boolean(isRegistrationClosed) || false,
-      isEventPast: Boolean(isEventPast) || false,
-      receiverDetails: { upi: upi, media: null },
-    };
+    // Rejects the whole definition with path level errors, before any image is uploaded
+    const { info, sections } = await parseFormDefinition({
+      info: {
+        eventTitle,
+        eventdescription,
+        eventDate,
+        eventType,
+        eventAmount,
+        eventMaxReg,
+        relatedEvent,
+        participationType,
+        maxTeamSize,
+        minTeamSize,
+        regDateAndTime,
+        eventPriority,
+        successMessage,
+        isPublic,
+        isRegistrationClosed,
+        isEventPast,
+        receiverDetails: { upi: upi, media: null },
+      },
+      sections: req.body.sections || "[]",
+    });
+
+    // Optional [{ email, capabilities }] of the people running the event
+    const collaborators = req.body.collaborators
+      ? await resolveCollaborators(req.body.collaborators, req.user)
+      : [];
 
     const eventImgFile = req.files
       ? req.files?.eventImg
@@ -84,7 +95,8 @@ const addForm = async (req, res, next) => {
     const newForm = await prisma.form.create({
       data: {
         info: info,
-        sections: JSON.parse(req.body.sections || "[]"),
+        sections,
+        collaborators,
       },
     });
 
@@ -94,6 +106,9 @@ const addForm = async (req, res, next) => {
       form: newForm,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return next(error);
+    }
     console.error("Error in creating form:", error);
     if (error.code === "P2002") {
       return next(
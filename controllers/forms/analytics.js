@@ -6,24 +6,9 @@ const expressAsyncHandler = require('express-async-handler');
 const status = require("http-status");
 
 // @description     Form analytics
-// @route           GET /api/form/formAnalytics/:id
-// @access          ADMIN
+// @route           GET /api/form/getFormAnalytics/:id
+// @access          form.analytics.read
 const analytics = expressAsyncHandler(async (req, res, next) => {
-
-  const allowedUsers = [
-    "ADMIN",
-    "PRESIDENT",
-    "VICEPRESIDENT",
-    "DIRECTOR_CREATIVE",
-    "DIRECTOR_TECHNICAL",
-    "DIRECTOR_MARKETING",
-    "DIRECTOR_OPERATIONS",
-    "DIRECTOR_SPONSORSHIP"
-  ]
-  if (!allowedUsers.includes(req.user.access) && req.user.email != "srex@fedkiit.com") {
-    return next(new ApiError(status.UNAUTHORIZED, "Access Denied"))
-  }
-
   try {
     console.log("entering form analytics")
     const { id: formId } = req.params;
@@ -0,0 +1,96 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ApiError } = require('../../utils/error/ApiError');
+const expressAsyncHandler = require('express-async-handler');
+const { resolveCollaborators } = require('../../utils/form/formCollaborators');
+const isObjectId = require('../../utils/validation/isObjectId');
+const { AuditActions, recordAudit } = require('../../utils/audit/recordAudit');
+
+const findForm = async (formId) => {
+    const form = isObjectId(formId)
+        ? await prisma.form.findUnique({
+            where: { id: formId },
+            select: { id: true, info: true, collaborators: true }
+        })
+        : null;
+
+    if (!form) {
+        throw new ApiError(404, 'Form not found');
+    }
+    return form;
+};
+
+// @description     List the collaborators of a form and their capabilities
+// @route           GET /api/form/collaborators/:id
+// @access          form.update
+const getCollaborators = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const form = await findForm(req.params.id);
+        res.status(200).json({ success: true, collaborators: form.collaborators });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error fetching collaborators:', error);
+        next(new ApiError(500, 'Error fetching collaborators', error));
+    }
+});
+
+// @description     Replace the collaborators of a form, body { collaborators: [{ email, capabilities }] }
+// @route           PUT /api/form/collaborators/:id
+// @access          form.update
+const setCollaborators = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const form = await findForm(req.params.id);
+        const collaborators = await resolveCollaborators(req.body.collaborators, req.user, form.collaborators);
+
+        await prisma.form.update({
+            where: { id: form.id },
+            data: { collaborators: { set: collaborators } }
+        });
+
+        await recordAudit(req, {
+            action: AuditActions.FORM_COLLABORATORS_CHANGED,
+            before: { collaborators: form.collaborators.map(({ email, capabilities }) => ({ email, capabilities })) },
+            after: { collaborators: collaborators.map(({ email, capabilities }) => ({ email, capabilities })) },
+            metadata: { formId: form.id, eventTitle: form.info?.eventTitle || null }
+        });
+
+        res.status(200).json({ success: true, message: 'Collaborators updated', collaborators });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        if (error instanceof SyntaxError) {
+            return next(new ApiError(400, 'Invalid JSON in collaborators'));
+        }
+        console.error('Error updating collaborators:', error);
+        next(new ApiError(500, 'Error updating collaborators', error));
+    }
+});
+
+// @description     Forms the signed in user collaborates on, with their capabilities
+// @route           GET /api/form/collaborating
+// @access          Signed in users
+const getCollaboratingForms = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const forms = await prisma.form.findMany({
+            where: { collaborators: { some: { userId: req.user.id } } },
+            select: { id: true, info: true, collaborators: true }
+        });
+
+        res.status(200).json({
+            success: true,
+            forms: forms.map(({ id, info, collaborators }) => ({
+                id,
+                info,
+                capabilities: collaborators.find(collaborator => collaborator.userId === req.user.id).capabilities
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching collaborating forms:', error);
+        next(new ApiError(500, 'Error fetching collaborating forms', error));
+    }
+});
+
+module.exports = { getCollaborators, setCollaborators, getCollaboratingForms };
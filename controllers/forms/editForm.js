@@ -4,6 +4,7 @@ const { ApiError } = require("../../utils/error/ApiError");
 const uploadimage = require("../../utils/image/uploadImage");
 const deleteImage = require("../../utils/image/deleteImage"); // Assuming a deleteImage function for deleting images
 const status = require("http-status");
+const { parseFormDefinition } = require("../../utils/form/formDefinition");
 
 const QrImageHeight = 150;
 const QrImageWidth = 400;
@@ -11,31 +12,35 @@ const QrImageWidth = 400;
 const FormImageHeight = 350.67;
 const FormImageWidth = 196.37;
 
+// Info fields an edit may change, ones left out keep their stored value
+const INFO_FIELDS = [
+  "eventTitle",
+  "eventdescription",
+  "eventDate",
+  "eventType",
+  "eventAmount",
+  "eventMaxReg",
+  "relatedEvent",
+  "participationType",
+  "maxTeamSize",
+  "minTeamSize",
+  "regDateAndTime",
+  "eventPriority",
+  "successMessage",
+  "isPublic",
+  "isRegistrationClosed",
+  "isEventPast",
+];
+
+// @description     Edit a form's info, images and sections. The result must be a valid form definition
+// @route           PUT /api/form/editForm/:id
+// @access          form.update or EDIT collaborator
 const editForm = async (req, res, next) => {
   const formId = req.params.id;
 
   try {
-    const {
-      eventTitle,
-      eventdescription,
-      eventDate,
-      eventType,
-      upi,
-      eventAmount,
-      eventMaxReg,
-      relatedEvent,
-      participationType,
-      maxTeamSize,
-      minTeamSize,
-      regDateAndTime,
-      eventPriority,
-      successMessage,
-      isPublic,
-      isRegistrationClosed,
-      isEventPast,
-      sections,
-    } = req.body;
-    // console.log("Sections",sections)
+    const { upi, sections } = req.body;
+
     // Fetch current form data
     const currentForm = await prisma.form.findUnique({
       where: { id: formId },
@@ -45,31 +50,33 @@ const editForm = async (req, res, next) => {
       return next(new ApiError(404, "Form not found"));
     }
 
-    // Initialize info object with current form info
-    const updatedInfo = {
-      ...currentForm.info,
-      eventTitle,
-      eventdescription,
-      eventDate,
-      eventType,
-      eventAmount,
-      eventMaxReg,
-      relatedEvent,
-      participationType,
-      maxTeamSize,
-      minTeamSize,
-      regDateAndTime,
-      eventPriority,
-      successMessage,
-      isPublic: isPublic === "true",
-      isRegistrationClosed: isRegistrationClosed === "true",
-      isEventPast: isEventPast === "true",
-      receiverDetails: {
-        ...currentForm.info.receiverDetails,
-        upi,
-      },
+    const editedInfo = { ...currentForm.info };
+    INFO_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        editedInfo[field] = req.body[field];
+      }
+    });
+    editedInfo.receiverDetails = {
+      ...currentForm.info.receiverDetails,
+      ...(upi !== undefined && { upi }),
     };
 
+    // Only what this edit changes is held to the schema. Problems of older forms elsewhere come back as warnings
+    const editedPaths = INFO_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => `info.${field}`);
+    if (upi !== undefined) editedPaths.push("info.receiverDetails.upi");
+    if (sections !== undefined) editedPaths.push("sections");
+    // Team sizes are checked against each other and the participation type
+    if (["info.participationType", "info.minTeamSize", "info.maxTeamSize"].some((path) => editedPaths.includes(path))) {
+      editedPaths.push("info.participationType", "info.minTeamSize", "info.maxTeamSize");
+    }
+    const isEdited = (path) => editedPaths.some((edited) => path === edited || path.startsWith(`${edited}.`) || path.startsWith(`${edited}[`));
+
+    const definition = await parseFormDefinition(
+      { info: editedInfo, sections: sections ?? currentForm.sections },
+      { formId, isEdited }
+    );
+    const updatedInfo = definition.info;
+
     // Handle image upload if present in the request
     const eventImgFile = req.files?.eventImg ? req.files.eventImg[0] : null;
     const qrmediaFile = req.files?.media ? req.files.media[0] : null;
@@ -108,31 +115,24 @@ const editForm = async (req, res, next) => {
     }
 
     // Perform the update operation
-    let updatedForm;
-    if (sections) {
-      updatedForm = await prisma.form.update({
-        where: { id: formId },
-        data: {
-          info: updatedInfo,
-          sections: { set: JSON.parse(sections) },
-        },
-      });
-    }
-    else {
-      updatedForm = await prisma.form.update({
-        where: { id: formId },
-        data: {
-          info: updatedInfo
-        },
-      });
-    }
+    const updatedForm = await prisma.form.update({
+      where: { id: formId },
+      data: {
+        info: updatedInfo,
+        ...(sections !== undefined && { sections: { set: definition.sections } }),
+      },
+    });
 
     res.json({
       success: true,
       message: "Form info and sections updated successfully",
       form: updatedForm,
+      warnings: definition.warnings,
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return next(error);
+    }
     console.error("Error updating form info and sections:", error);
     return next(
       new ApiError(500, "Error updating form info and sections", error)
@@ -5,6 +5,7 @@ const { deleteForm } = require('./deleteForm');
 const { getAllForms } = require('./getForm');
 const { contact } = require('./contact');
 const { analytics } = require('./analytics');
+const { getCollaborators, setCollaborators, getCollaboratingForms } = require('./collaborators');
 
 module.exports = {
     addForm,
@@ -12,5 +13,8 @@ module.exports = {
     deleteForm,
     getAllForms,
     contact,
-    analytics
+    analytics,
+    getCollaborators,
+    setCollaborators,
+    getCollaboratingForms
 };
@@ -19,6 +19,11 @@ const getAllForms = async (req, res, next) => {
             forms = await prisma.form.findMany({});
         }
 
+        // Who runs an event is not public
+        for (const form of [].concat(forms || [])) {
+            delete form.collaborators;
+        }
+
         // const filteredForms = forms.reduce((acc, form) => {
         //     // Filter out forms where isPublic is false
         //     if (!form.info.isPublic) return acc;
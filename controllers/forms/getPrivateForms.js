@@ -1,6 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { ApiError } = require('../../utils/error/ApiError');
+const { isTrue } = require('../../utils/form/formDefinition');
 
 //@description     Get all form details based on user access
 //@route           GET /api/form/getAllForms
@@ -12,7 +13,7 @@ const getAllForms = async (req, res, next) => {
         const filteredForms = forms.reduce((acc, form) => {
 
             // Remove sections from forms where isEventPast is true
-            form.sections = !(form.info.isEventPast || form.info.isRegistrationClosed) ? form.sections : null;
+            form.sections = !(isTrue(form.info.isEventPast) || isTrue(form.info.isRegistrationClosed)) ? form.sections : null;
 
             // Add the form to the accumulator
             acc.push(form);
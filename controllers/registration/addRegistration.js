@@ -7,23 +7,25 @@ const expressAsyncHandler = require("express-async-handler");
 const { sendMail } = require("../../utils/email/nodeMailer");
 const loadTemplate = require("../../utils/email/loadTemplate");
 const uploadImage = require("../../utils/image/uploadImage");
+const { isTrue } = require("../../utils/form/formDefinition");
+const validateFormData = require("./formDatavalidator");
 
-const validateCurrentForm = expressAsyncHandler(async (form, user, userSubmittedSections) => {
+const validateCurrentForm = async (form, user, userSubmittedSections, files) => {
     const { info, sections, formAnalytics } = form;
 
     const { eventMaxReg, isRegistrationClosed, isEventPast, isPublic } = info;
 
-    if (isRegistrationClosed === 'true' || isEventPast === 'true') {
+    if (isTrue(isRegistrationClosed) || isTrue(isEventPast)) {
         throw new ApiError(400, "Sorry ! Registration has been closed for this event. If you feel this is an error, kindly contact us on fedkiit@gmail.com");
     }
 
-    if (!isPublic && req.user.access != AccessTypes.ADMIN) {
+    if (!isTrue(isPublic) && user.access != AccessTypes.ADMIN) {
         throw new ApiError(401, "Registering to a private form is not allowed. If you feel this is an error, kindly contact us on fedkiit@gmail.com");
     }
 
     console.log(formAnalytics[0]?.regUserEmails)
     console.log(user.regForm)
-    const isAlreadyRegistered = formAnalytics[0]?.regUserEmails.includes(user.email) || user.regForm.includes(form._id);
+    const isAlreadyRegistered = formAnalytics[0]?.regUserEmails.includes(user.email) || user.regForm.includes(form.id);
     if (isAlreadyRegistered) {
         throw new ApiError(400, "User has already registered for this form. If you feel this is an error, kindly contact us on fedkiit@gmail.com");
     }
@@ -34,7 +36,13 @@ const validateCurrentForm = expressAsyncHandler(async (form, user, userSubmitted
         console.log(parseInt(eventMaxReg))
         throw new ApiError(400, "Maximum registration limit reached. If you feel this is an error, kindly contact us on fedkiit@gmail.com");
     }
-});
+
+    // Every answer is checked against the stored definition, problems come back keyed by section and field
+    const fieldErrors = validateFormData(userSubmittedSections, form, files);
+    if (Object.keys(fieldErrors).length > 0) {
+        throw new ApiError(400, "Some fields need to be corrected", [{ code: "INVALID_FIELDS", fields: fieldErrors }]);
+    }
+};
 
 
 const addRegistration = expressAsyncHandler(async (req, res, next) => {
@@ -43,17 +51,21 @@ const addRegistration = expressAsyncHandler(async (req, res, next) => {
 
     const { _id } = req.body;
     let sections = req.body.sections;
-    sections = JSON.parse(sections);
+    try {
+        sections = typeof sections === "string" ? JSON.parse(sections) : sections;
+    } catch (error) {
+        return next(new ApiError(400, "sections must be valid JSON"));
+    }
     console.log("un-filtered sections", sections);
 
-    // Filter out null values from sections
-    sections = sections.filter(section => section !== null);
-    console.log("filtered sections", sections);
-
     if (!_id || !sections || !Array.isArray(sections)) {
         return next(new ApiError(400, "All fields are required"));
     }
 
+    // Filter out null values from sections
+    sections = sections.filter(section => section !== null);
+    console.log("filtered sections", sections);
+
     try {
         const form = await prisma.form.findUnique({
             where: { id: _id },
@@ -65,7 +77,7 @@ const addRegistration = expressAsyncHandler(async (req, res, next) => {
             return next(new ApiError(404, "Form not found"));
         }
 
-        await validateCurrentForm(form, req.user, sections);
+        await validateCurrentForm(form, req.user, sections, req.files || []);
         console.log('form validation passed');
 
         const { info } = form;
@@ -330,8 +342,11 @@ const addRegistration = expressAsyncHandler(async (req, res, next) => {
         sendMail(req.user.email, subject, template);
     }
     catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
         console.error("Error during registration:", error);
-        next(new ApiError(error.stausCode || 500, error.message || "Error during registration process", error));
+        next(new ApiError(500, "Error during registration process", error));
     }
 
 });
@@ -1,141 +1,214 @@
-// Validator function
-function validateFormData(formData, formFields) {
-  // Initialize errors array to collect validation errors
-  let errors = [];
-
-  // Validate each section
-  formFields.sections.forEach(section => {
-    const sectionId = section.sectionId;
-
-    // Check if section exists in formData
-    if (!(sectionId in formData)) {
-      errors.push(`Section ${sectionId} is missing.`);
-      return; // Skip further validation for this section
+const { OPTION_TYPES, TEAM_SECTIONS, isTrue, toNumber, compilePattern } = require("../../utils/form/formDefinition");
+const { parseRollNumber } = require("../../utils/user/rollNumber");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d[\d\s-]{8,14}\d$/;
+
+const MAX_VALUE_LENGTH = 5000;
+
+const isBlank = (value) => value === undefined || value === null
+  || (typeof value === "string" && !value.trim())
+  || (Array.isArray(value) && value.length === 0);
+
+// `a operator b`, numerically when both sides are numbers
+const compare = (a, operator, b) => {
+  const left = toNumber(a) ?? a;
+  const right = toNumber(b) ?? b;
+  switch (operator) {
+    case "<": return left < right;
+    case "<=": return left <= right;
+    case ">": return left > right;
+    case ">=": return left >= right;
+    case "==": return String(left) === String(right);
+    case "!=": return String(left) !== String(right);
+    default: return false;
+  }
+};
+
+// A submitted section belongs to the form section with its _id, or else its name
+const findSection = (sections, submitted) =>
+  (submitted?._id && sections.find(section => section._id === submitted._id))
+  || sections.find(section => section.name === submitted?.name);
+
+const findTarget = (sections, key) => sections.find(section => section._id === key || section.name === key);
+
+// The sections a registrant passes through, following each section's conditions from the first one.
+// Create Team / Join Team are left out, a team registrant fills exactly one of them.
+const getSectionPath = (sections, submittedValues) => {
+  const path = [];
+  const visited = new Set();
+  let index = 0;
+
+  while (index >= 0 && index < sections.length && !visited.has(index)) {
+    const section = sections[index];
+    visited.add(index);
+    if (!TEAM_SECTIONS[section.name]) path.push(section);
+
+    const values = submittedValues.get(section) || {};
+    let next = null;
+    for (const condition of section.conditions || []) {
+      const { conditionType, conditionOn, condition: operator, conditionValue, destinationSection, fallbackSection } = condition;
+      if (conditionType === "default") {
+        next = destinationSection;
+      } else {
+        const value = values[conditionOn];
+        const subject = conditionType === "count" ? (Array.isArray(value) ? value.length : 0) : value;
+        if (compare(subject, operator, conditionValue)) {
+          next = destinationSection;
+        } else if (fallbackSection) {
+          next = fallbackSection;
+        }
+      }
+      if (next) break;
     }
 
-    // Validate each field in the section
-    section.fields.forEach(field => {
-      const fieldName = field.name;
-      const fieldValue = formData[sectionId][0][fieldName]; // Assuming single object per section
-
-      // Validate field based on its type
-      switch (field.type) {
-        case 'text':
-          // Check length validation
-          field.validation.forEach(validation => {
-            if (validation.condition === 'length') {
-              if (validation.operator === '<' && fieldValue.length >= validation.value) {
-                errors.push(`${field.label} should be less than ${validation.value} characters.`);
-              }
-            }
-          });
-          break;
-        case 'number':
-          // Check numeric value validation
-          field.validation.forEach(validation => {
-            if (validation.condition === 'value') {
-              if (validation.operator === '>' && fieldValue <= validation.value) {
-                errors.push(`${field.label} should be greater than ${validation.value}.`);
-              }
-              if (validation.operator === '<=' && fieldValue > validation.value) {
-                errors.push(`${field.label} should be less than or equal to ${validation.value}.`);
-              }
-            }
-          });
-          break;
-        case 'email':
-          // Check email format validation using regex pattern
-          field.validation.forEach(validation => {
-            if (validation.condition === 'regex') {
-              const pattern = new RegExp(validation.pattern);
-              if (!pattern.test(fieldValue)) {
-                errors.push(validation.message);
-              }
-            }
-          });
-          break;
-        case 'checkbox':
-          // Check count validation for checkbox options
-          field.validation.forEach(validation => {
-            if (validation.condition === 'count') {
-              const numOptions = fieldValue.length;
-              if (validation.operator === '>=' && numOptions < validation.value) {
-                errors.push(`Select at least ${validation.value} options for ${field.label}.`);
-              }
-            }
-          });
-          break;
-        default:
-          break;
+    index = next ? sections.indexOf(findTarget(sections, next)) : index + 1;
+  }
+
+  return path;
+};
+
+const checkRule = (rule, field, value) => {
+  const { condition, operator, pattern, message } = rule;
+  switch (condition) {
+    case "length":
+      return compare(String(value).length, operator, rule.value) ? null : message || `Must have ${operator} ${rule.value} characters`;
+    case "value":
+      return compare(value, operator, rule.value) ? null : message || `Must be ${operator} ${rule.value}`;
+    case "regex": {
+      // Forms saved before definitions were checked can hold a broken or slow pattern, the rule is skipped
+      const regex = compilePattern(pattern);
+      if (!regex) {
+        console.warn(`Skipped the regex rule of field ${field.name}, its pattern is invalid or unsafe`);
+        return null;
       }
-    });
+      return regex.test(String(value)) ? null : message || "Is not in the expected format";
+    }
+    case "count":
+      return compare(Array.isArray(value) ? value.length : 0, operator, rule.value) ? null : message || `Select ${operator} ${rule.value} options`;
+    default:
+      return null;
+  }
+};
+
+// What is wrong with `value` for `field`, null when it is fine
+const checkField = (field, value, files) => {
+  if (field.type === "file" || field.type === "image") {
+    const uploaded = files.some(file => file.fieldname === field.name || (field._id && file.fieldname === field._id));
+    if (!uploaded && isBlank(value)) return field.isRequired ? "Attach a file" : null;
+    if (!uploaded && typeof value !== "string") return "Must be an uploaded file";
+    return null;
+  }
+
+  if (isBlank(value)) return field.isRequired ? "Required" : null;
+
+  if (field.type === "checkbox") {
+    if (!Array.isArray(value)) return "Must be a list of options";
+    const unknown = value.filter(option => !(field.options || []).includes(option));
+    if (unknown.length > 0) return `Not an option: ${unknown.join(", ")}`;
+    if (new Set(value).size !== value.length) return "An option is picked more than once";
+  } else if (typeof value !== "string" && typeof value !== "number") {
+    return "Must be a single value";
+  } else if (String(value).length > MAX_VALUE_LENGTH) {
+    return `Must be at most ${MAX_VALUE_LENGTH} characters`;
+  } else if (OPTION_TYPES.includes(field.type)) {
+    if (!(field.options || []).includes(value)) return "Not one of the options";
+  } else if (field.type === "number") {
+    if (toNumber(value) === undefined) return "Must be a number";
+  } else if (field.type === "email") {
+    if (!EMAIL_PATTERN.test(String(value).trim())) return "Must be an email address";
+  } else if (field.type === "phone") {
+    if (!PHONE_PATTERN.test(String(value).trim())) return "Must be a phone number";
+  } else if (field.type === "rollNumber") {
+    if (!parseRollNumber(value)) return "Must be a KIIT roll number";
+  } else if (field.type === "url") {
+    try {
+      new URL(String(value));
+    } catch (error) {
+      return "Must be a link";
+    }
+  } else if (field.type === "date") {
+    if (Number.isNaN(new Date(value).getTime())) return "Must be a date";
+  }
+
+  // Forms saved before the schema named the list `validation`
+  for (const rule of field.validations || field.validation || []) {
+    const problem = checkRule(rule, field, value);
+    if (problem) return problem;
+  }
+  return null;
+};
+
+// Checks submitted sections against the stored form definition (see utils/form/formDefinition.js).
+// `files` are the uploads of the request. Returns { [section name]: { [field name]: message } }, empty when valid.
+function validateFormData(submittedSections, form, files = []) {
+  const sections = form.sections || [];
+  const errors = {};
+  const addError = (section, field, message) => {
+    errors[section] = { ...errors[section], [field]: message };
+  };
+
+  // Values of every submitted section, keyed by the form section they belong to
+  const submittedValues = new Map();
+
+  submittedSections.forEach((submitted, index) => {
+    const name = submitted?.name || `sections[${index}]`;
+    const section = findSection(sections, submitted);
+    if (!section) {
+      addError(name, "_section", "Not a section of this form");
+      return;
+    }
+    if (submittedValues.has(section)) {
+      addError(section.name, "_section", "Submitted more than once");
+      return;
+    }
+    if (!Array.isArray(submitted.fields)) {
+      addError(section.name, "_section", "Fields are missing");
+      return;
+    }
 
-    // Validate conditions for the section
-    section.conditions.forEach(condition => {
-      const { conditionType, conditionOn, condition, conditionValue, destinationSection, fallbackSection } = condition;
-
-      switch (conditionType) {
-        case 'value':
-          // Check value-based condition
-          if (formData[sectionId][0][conditionOn] <= conditionValue) {
-            // Check destination section existence
-            if (!(destinationSection in formData)) {
-              errors.push(`Destination section ${destinationSection} is missing.`);
-            }
-          } else {
-            // Check fallback section existence
-            if (!(fallbackSection in formData)) {
-              errors.push(`Fallback section ${fallbackSection} is missing.`);
-            }
-          }
-          break;
-        case 'count':
-          // Check count-based condition (not implemented in this example)
-          // Here you would check conditions based on the count of selected options, etc.
-          break;
-        case 'default':
-          // Default condition type (not implemented in this example)
-          break;
-        default:
-          break;
+    const values = {};
+    submitted.fields.forEach(entry => {
+      const field = (section.fields || []).find(candidate => candidate.name === entry?.name);
+      if (!field) {
+        addError(section.name, entry?.name || "_section", "Not a field of this form");
+      } else if (entry.name in values) {
+        addError(section.name, entry.name, "Submitted more than once");
+      } else {
+        values[entry.name] = entry.value;
       }
     });
+    submittedValues.set(section, values);
   });
 
-  return errors;
-}
-
-module.exports = validateFormData;
-
+  // Every section on the registrant's path must be there, with each of its fields checked
+  const expected = new Set(getSectionPath(sections, submittedValues));
+  submittedValues.forEach((values, section) => expected.add(section));
 
+  expected.forEach(section => {
+    const values = submittedValues.get(section);
+    if (!values) {
+      addError(section.name, "_section", "This section is missing");
+      return;
+    }
+    (section.fields || []).forEach(field => {
+      // addRegistration needs the team name or code whatever the form says
+      const isRequired = isTrue(field.isRequired) || TEAM_SECTIONS[section.name] === field.name;
+      const problem = checkField({ ...field, isRequired }, values[field.name], files);
+      if (problem) addError(section.name, field.name, problem);
+    });
+  });
 
+  // A team registrant creates a team or joins one, not both
+  if (form.info?.participationType === "Team") {
+    const teamSections = sections.filter(section => TEAM_SECTIONS[section.name]);
+    const filled = teamSections.filter(section => submittedValues.has(section));
+    if (teamSections.length > 0 && filled.length !== 1) {
+      addError(teamSections.map(section => section.name).join(" / "), "_section", "Fill in exactly one of these sections");
+    }
+  }
 
-    // const arrayOfFormSections = sections.map(section => section._id);
-    // const arrayOfFormFields = sections.flatMap(section => section.fields.map(field => field._id));
-
-    // console.log("Actual form sections", arrayOfFormSections);
-    // console.log("Actual form fields", arrayOfFormFields);
-
-    // let isFormSanitized = userSubmittedSections.every(section => {
-    //     if (!arrayOfFormSections.includes(section._id)) {
-    //         console.log("Manipulated section: " + section.name, section._id);
-    //         return false;
-    //     } else {
-    //         console.log("Entering field search for: ", section.name);
-    //         return section.fields.every(field => {
-    //             if (!arrayOfFormFields.includes(field._id)) {
-    //                 console.log("Manipulated field: " + field.name, field._id);
-    //                 return false;
-    //             }
-    //             return true;
-    //         });
-    //     }
-    // });
-
-    // console.log(isFormSanitized)
-
-    // if (!isFormSanitized) {
-    //     throw new ApiError(400, "Manipulated section/Field data");
-    // }
+  return errors;
+}
 
-    // console.log("correct sections value", isFormSanitized);
\ No newline at end of file
+module.exports = validateFormData;
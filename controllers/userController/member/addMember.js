@@ -1,4 +1,4 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, AccessTypes } = require('@prisma/client');
 const prisma = new PrismaClient();
 const expressAsyncHandler = require('express-async-handler');
 const { ApiError } = require('../../../utils/error/ApiError');
@@ -7,10 +7,17 @@ const deleteImage = require('../../../utils/image/deleteImage');
 const uploadImage = require('../../../utils/image/uploadImage');
 const fs = require("fs");
 const { json } = require('body-parser');
+const { hasPermission } = require('../../../utils/access/permissions');
+const { assertCanChangeAccess, parseDepartmentAccess } = require('../../../utils/access/departments');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+const { assertNoPendingRoleChange, proposeRoleChange } = require('../../../utils/roleChange/proposeRoleChange');
+
+// The only fields directors and deputy directors may set on members of their department
+const DEPARTMENT_EDITABLE_FIELDS = ['name', 'email', 'access', 'extra'];
 
 // @description     Update User Details
 // @route           PUT /api/user/addMember
-// @access          Admin
+// @access          member.create, or member.department.manage within own department
 const addMember = expressAsyncHandler(async (req, res, next) => {
     console.log("add member controller called");
 
@@ -19,7 +26,7 @@ const addMember = expressAsyncHandler(async (req, res, next) => {
         if (!req.body.email || !req.body.access) {
             return next(new ApiError(400, "Email and access are required"));
         }
-        let { password, extra, ...rest } = req.body;
+        let { password, extra, comment, ...rest } = req.body;
 
         // Handle CSV or non-CSV inputs for email and name
         const emails = req.body.email.includes(',') ? req.body.email.split(',') : [req.body.email];
@@ -33,6 +40,35 @@ const addMember = expressAsyncHandler(async (req, res, next) => {
         const accessType = req.body.access.toUpperCase().replace(/\s+/g, '_');
         console.log("req.access is ", accessType);
 
+        if (!Object.values(AccessTypes).includes(accessType)) {
+            return next(new ApiError(400, `Invalid access type ${accessType}`));
+        }
+
+        // Directors and deputy directors get here through member.department.manage
+        const departmentScoped = !hasPermission(req.user, 'member.create');
+        if (departmentScoped) {
+            rest = Object.fromEntries(Object.entries(rest).filter(([key]) => DEPARTMENT_EDITABLE_FIELDS.includes(key)));
+        }
+
+        // Current access of every target, checked up front so a batch is applied entirely or not at all
+        const previousUsers = {};
+        for (const email of emails.map(email => email.trim())) {
+            previousUsers[email] = await prisma.user.findUnique({
+                where: { email },
+                select: { id: true, email: true, access: true }
+            });
+
+            if (departmentScoped) {
+                assertCanChangeAccess(req.user, previousUsers[email]?.access || AccessTypes.USER, accessType);
+                if ((previousUsers[email]?.access || AccessTypes.USER) !== accessType) {
+                    await assertNoPendingRoleChange(email);
+                }
+            }
+        }
+
+        // Access changes by directors wait for PRESIDENT, VICEPRESIDENT or ADMIN approval
+        let roleChangeRequests = [];
+
         // Initialize an array to hold the results for all users
         let updatedUsers = [];
 
@@ -104,11 +140,38 @@ const addMember = expressAsyncHandler(async (req, res, next) => {
                 return next(new ApiError(400, 'Invalid JSON format in request body', error));
             }
 
+            const previous = previousUsers[email];
+            if (departmentScoped && (previous?.access || AccessTypes.USER) !== accessType) {
+                const { access, email: _email, ...changes } = rest;
+                if (!req.body.extra) {
+                    delete changes.extra;
+                }
+                roleChangeRequests.push(await proposeRoleChange(req, {
+                    email,
+                    previous,
+                    toAccess: accessType,
+                    changes,
+                    comment
+                }));
+                continue;
+            }
+
             // Create or update the user
             try {
                 const updatedUser = await createOrUpdateUser({ email: email }, rest);
-                delete updatedUser.password; // Remove password from the response
+                delete updatedUser.user.password; // Remove password from the response
                 updatedUsers.push(updatedUser);
+
+                await recordAudit(req, {
+                    action: !previous || previous.access === AccessTypes.USER
+                        ? AuditActions.MEMBER_ADDED
+                        : previous.access !== accessType ? AuditActions.MEMBER_ROLE_CHANGED : AuditActions.MEMBER_UPDATED,
+                    target: updatedUser.user,
+                    department: parseDepartmentAccess(accessType)?.department || null,
+                    before: previous ? { access: previous.access } : null,
+                    after: { access: accessType },
+                    metadata: { fields: Object.keys(rest), departmentScoped }
+                });
             } catch (error) {
                 console.error('Error updating user:', error);
 
@@ -121,8 +184,18 @@ const addMember = expressAsyncHandler(async (req, res, next) => {
         }
 
         // Return the response for all updated users
+        if (roleChangeRequests.length > 0) {
+            return res.status(202).json({
+                message: 'Role changes proposed, awaiting approval',
+                users: updatedUsers,
+                roleChangeRequests
+            });
+        }
         res.status(200).json({ message: 'Users updated successfully', users: updatedUsers });
     } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
         console.error('Error updating user:', error);
         next(new ApiError(500, 'Internal Server Error', error));
     }
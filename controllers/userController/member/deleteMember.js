@@ -3,10 +3,15 @@ const prisma = new PrismaClient();
 const expressAsyncHandler = require('express-async-handler');
 const { ApiError } = require('../../../utils/error/ApiError');
 const updateUser = require('../../../utils/user/updateUser');
+const { revokeUserSessions } = require('../../../utils/session/revokeSessions');
+const { hasPermission } = require('../../../utils/access/permissions');
+const { assertCanChangeAccess, parseDepartmentAccess } = require('../../../utils/access/departments');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+const { proposeRoleChange } = require('../../../utils/roleChange/proposeRoleChange');
 
 //@description     Delete Member Field
 //@route           DELETE /api/user/deleteMember/:value
-//@access          Admin
+//@access          member.delete, or member.department.manage within own department
 const deleteMember = expressAsyncHandler(async (req, res, next) => {
     try {
         // Check if value is provided
@@ -28,14 +33,44 @@ const deleteMember = expressAsyncHandler(async (req, res, next) => {
             return next(new ApiError(404, 'User not found'));
         }
 
+        // Directors and deputy directors only remove members of their department below their rank
+        const departmentScoped = !hasPermission(req.user, 'member.delete');
+        if (departmentScoped) {
+            assertCanChangeAccess(req.user, existingUser.access, AccessTypes.USER);
+
+            // Removal is applied once PRESIDENT, VICEPRESIDENT or ADMIN approve it
+            const request = await proposeRoleChange(req, {
+                email: existingUser.email,
+                previous: existingUser,
+                toAccess: AccessTypes.USER,
+                comment: req.body?.comment
+            });
+            return res.status(202).json({ success: true, message: "Removal proposed, awaiting approval", data: request });
+        }
+
         // Update the user to set the access field to USER
         const updatedUser = await updateUser({ id: existingUser.id }, { access: AccessTypes.USER });
 
+        // Sign the demoted member out everywhere so the old access does not linger
+        await revokeUserSessions(existingUser.id, 'ACCESS_REVOKED');
+
+        await recordAudit(req, {
+            action: AuditActions.MEMBER_REMOVED,
+            target: existingUser,
+            department: parseDepartmentAccess(existingUser.access)?.department || null,
+            before: { access: existingUser.access },
+            after: { access: AccessTypes.USER },
+            metadata: { departmentScoped }
+        });
+
         // Delete the password before sending the data
         delete updatedUser.password;
 
         res.status(200).json({ success: true, message: "Member changed to user type", user: updatedUser });
     } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
         console.error('Error deleting member', error);
         next(new ApiError(500, 'Error deleting member field', error));
     }
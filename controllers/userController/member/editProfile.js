@@ -8,14 +8,14 @@ const updateUser = require('../../../utils/user/updateUser');
 // @route           PUT /api/user/update
 // @access          Members and 5 times for USER
 const editProfile = expressAsyncHandler(async (req, res, next) => {
-    const { editProfileCount, email, password, access, github, linkedin, extra, ...rest } = req.body;
+    const { editProfileCount, email, pendingEmail, password, access, github, linkedin, extra, ...rest } = req.body;
     console.log(req.user.access);
     console.log(rest);
     console.log("entering edit profile", extra);
 
     try {
         if (req.user.access === AccessTypes.USER && req.user.editProfileCount <= 0) {
-            return next(new ApiError(400, "Edit profile limit exceeded. Try contacting fedkiit@gmail.com"));
+            return next(new ApiError(400, "Edit profile limit exceeded. Request the change for review instead", [{ code: "EDIT_LIMIT_REACHED", route: "POST /api/user/profileChanges" }]));
         }
 
         let updatedExtra = {};
@@ -0,0 +1,34 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { hasPermission } = require('../../../utils/access/permissions');
+const { DEPARTMENTS, parseDepartmentAccess, getDepartmentFamily } = require('../../../utils/access/departments');
+
+//@description     List the members of a department
+//@route           GET /api/user/department/members?department=<TECHNICAL|CREATIVE|...>
+//@access          member.create for any department, member.department.manage for own department
+const getDepartmentMembers = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const department = hasPermission(req.user, 'member.create')
+            ? String(req.query.department || '').toUpperCase()
+            : parseDepartmentAccess(req.user.access)?.department;
+
+        if (!DEPARTMENTS.includes(department)) {
+            return next(new ApiError(400, `Invalid department, expected one of ${DEPARTMENTS.join(', ')}`));
+        }
+
+        const members = await prisma.user.findMany({
+            where: { access: { in: getDepartmentFamily(department) } },
+            select: { id: true, name: true, email: true, access: true, img: true, year: true, rollNumber: true, extra: true },
+            orderBy: { name: 'asc' }
+        });
+
+        res.status(200).json({ success: true, department, data: members });
+    } catch (error) {
+        console.error('Error fetching department members:', error);
+        next(new ApiError(500, 'Error fetching department members', error));
+    }
+});
+
+module.exports = { getDepartmentMembers };
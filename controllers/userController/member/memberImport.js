@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const bcrypt = require('bcryptjs');
+const { PrismaClient, AccessTypes, MemberImportStatus } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const createUser = require('../../../utils/user/createUser');
+const updateUser = require('../../../utils/user/updateUser');
+const sendWelcomeMail = require('../../../utils/user/sendWelcomeMail');
+const generateOtp = require('../../../utils/otp/generateOTP');
+const { revokeUserSessions } = require('../../../utils/session/revokeSessions');
+const { SHEET_EXTENSIONS, RowActions, parseMemberSheet, findCurrentAccess, planMemberImport, summarizeRows } = require('../../../utils/memberImport/memberSheet');
+const { parseDepartmentAccess } = require('../../../utils/access/departments');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+const isObjectId = require('../../../utils/validation/isObjectId');
+
+// A preview has to be committed while it still reflects the database
+const PREVIEW_TTL_MINUTES = 30;
+// A commit still running after this died with its process
+const COMMIT_TIMEOUT_MINUTES = 30;
+// How long the report can be downloaded
+const REPORT_TTL_DAYS = 7;
+
+const MAX_ROWS = 2000;
+
+const removeUpload = (filePath) => {
+    fs.unlink(filePath, (err) => {
+        if (err) {
+            console.error('Error deleting file:', err);
+        }
+    });
+};
+
+// The stored plan minus what only the commit needs
+const toPreviewRow = ({ data, ...row }) => row;
+
+// Sheet apps run a cell starting with = + - or @ as a formula, report cells only ever hold text
+const toReportCell = (value) => typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+const findOwnImport = async (req) => {
+    const memberImport = isObjectId(req.params.id)
+        ? await prisma.memberImport.findUnique({ where: { id: req.params.id } })
+        : null;
+
+    if (!memberImport || memberImport.createdById !== req.user.id) {
+        throw new ApiError(404, 'Import not found');
+    }
+
+    // Rows it applied before dying were not rolled back, the report says which ones were planned
+    const startedAt = memberImport.commitStartedAt || memberImport.createdAt;
+    if (memberImport.status === MemberImportStatus.COMMITTING && Date.now() - startedAt.getTime() > COMMIT_TIMEOUT_MINUTES * 60 * 1000) {
+        return prisma.memberImport.update({
+            where: { id: memberImport.id },
+            data: { status: MemberImportStatus.FAILED, error: 'The commit did not finish, some rows may have been applied. Check them before importing again' }
+        });
+    }
+    return memberImport;
+};
+
+// Applies the rows one by one. On the first failure everything applied so far is put back.
+const applyRows = async (rows) => {
+    const applied = [];
+
+    // Updates first, they can be reverted exactly. New accounts are only welcomed once every row went through.
+    const ordered = [
+        ...rows.filter(row => row.action === RowActions.UPDATE),
+        ...rows.filter(row => row.action === RowActions.CREATE)
+    ];
+
+    try {
+        for (const row of ordered) {
+            if (row.action === RowActions.UPDATE) {
+                const previous = await prisma.user.findUnique({
+                    where: { email: row.email },
+                    select: Object.fromEntries(['id', ...Object.keys(row.data)].map(field => [field, true]))
+                });
+                const data = row.data.extra ? { ...row.data, extra: { ...(previous.extra || {}), ...row.data.extra } } : row.data;
+                const user = await updateUser({ email: row.email }, data);
+                applied.push({ row, user, previous });
+            } else {
+                // createUser mails a password it generates itself, this one waits for the whole commit
+                const password = generateOtp(7, true, false, false);
+                const user = await createUser({ ...row.data, email: row.email, password: await bcrypt.hash(password, 10) });
+                applied.push({ row, user, previous: null, password });
+            }
+        }
+        return { applied, failure: null };
+    } catch (error) {
+        const failedRow = ordered[applied.length];
+        console.error(`Member import failed on row ${failedRow.row}, rolling back ${applied.length} row(s):`, error);
+
+        for (const { user, previous } of [...applied].reverse()) {
+            try {
+                if (previous) {
+                    const { id, ...fields } = previous;
+                    await updateUser({ id }, fields, { accessChangeReason: 'IMPORT_ROLLED_BACK' });
+                } else {
+                    await prisma.tenure.deleteMany({ where: { userId: user.id } });
+                    await prisma.user.delete({ where: { id: user.id } });
+                }
+            } catch (rollbackError) {
+                console.error(`Error rolling back import of ${user.email}:`, rollbackError);
+            }
+        }
+        return { applied: [], failure: { row: failedRow.row, message: error.message } };
+    }
+};
+
+//@description     Upload an xlsx or csv of members and get a preview of what importing it would do. Nothing is written yet
+//@route           POST /api/user/import/preview (multipart, field "file")
+//@access          member.create
+const previewMemberImport = expressAsyncHandler(async (req, res, next) => {
+    if (!req.file) {
+        return next(new ApiError(400, 'No file uploaded'));
+    }
+
+    try {
+        if (!SHEET_EXTENSIONS.includes(path.extname(req.file.originalname).toLowerCase())) {
+            return next(new ApiError(400, `Only ${SHEET_EXTENSIONS.join(', ')} files can be imported`));
+        }
+
+        const { rows: sheetRows, ignoredColumns } = parseMemberSheet(req.file.path);
+        if (sheetRows.length === 0) {
+            return next(new ApiError(400, 'The sheet has no rows'));
+        }
+        if (sheetRows.length > MAX_ROWS) {
+            return next(new ApiError(400, `At most ${MAX_ROWS} rows can be imported at once`));
+        }
+
+        const rows = await planMemberImport(sheetRows);
+        const summary = summarizeRows(rows);
+
+        const memberImport = await prisma.memberImport.create({
+            data: {
+                fileName: req.file.originalname,
+                rows,
+                summary,
+                ignoredColumns,
+                createdById: req.user.id,
+                createdByEmail: req.user.email,
+                expiresAt: new Date(Date.now() + REPORT_TTL_DAYS * 24 * 60 * 60 * 1000)
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Preview ready, commit within ${PREVIEW_TTL_MINUTES} minutes to apply it`,
+            importId: memberImport.id,
+            summary,
+            ignoredColumns,
+            rows: rows.map(toPreviewRow)
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error previewing member import:', error);
+        next(new ApiError(500, 'Error reading the file', error));
+    } finally {
+        removeUpload(req.file.path);
+    }
+});
+
+//@description     Apply a previewed import. Rows that were invalid or duplicated are skipped, the rest is applied together or not at all
+//@route           POST /api/user/import/:id/commit
+//@access          member.create
+const commitMemberImport = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const memberImport = await findOwnImport(req);
+
+        if (memberImport.status !== MemberImportStatus.PREVIEW) {
+            return next(new ApiError(409, `Import is already ${memberImport.status.toLowerCase()}`));
+        }
+        if (Date.now() - memberImport.createdAt.getTime() > PREVIEW_TTL_MINUTES * 60 * 1000) {
+            return next(new ApiError(410, 'Preview is too old, upload the file again'));
+        }
+
+        // Only one commit can run
+        const { count } = await prisma.memberImport.updateMany({
+            where: { id: memberImport.id, status: MemberImportStatus.PREVIEW },
+            data: { status: MemberImportStatus.COMMITTING, commitStartedAt: new Date() }
+        });
+        if (count === 0) {
+            return next(new ApiError(409, 'Import is already being committed'));
+        }
+
+        // Accounts created or changed since the preview would make it lie
+        const rows = memberImport.rows;
+        const currentAccess = await findCurrentAccess(rows.map(row => row.email));
+        const stale = rows.filter(row => row.action !== RowActions.SKIP && row.previousAccess !== (currentAccess.get(row.email.toLowerCase())?.access || null));
+        if (stale.length > 0) {
+            await prisma.memberImport.update({
+                where: { id: memberImport.id },
+                data: { status: MemberImportStatus.FAILED, error: 'Users changed since the preview' }
+            });
+            return next(new ApiError(409, 'Some users changed since the preview, upload the file again', stale.map(row => ({ row: row.row, email: row.email }))));
+        }
+
+        const { applied, failure } = await applyRows(rows);
+        const appliedRows = new Set(applied.map(({ row }) => row.row));
+
+        const outcome = rows.map(row => ({
+            ...row,
+            result: appliedRows.has(row.row) ? 'APPLIED' : row.action === RowActions.SKIP ? 'SKIPPED' : failure?.row === row.row ? 'FAILED' : 'NOT_APPLIED',
+            message: failure?.row === row.row ? failure.message : row.errors.join('; ') || null
+        }));
+
+        const updatedImport = await prisma.memberImport.update({
+            where: { id: memberImport.id },
+            data: {
+                status: failure ? MemberImportStatus.FAILED : MemberImportStatus.COMMITTED,
+                rows: outcome,
+                committedAt: failure ? null : new Date(),
+                error: failure ? `Row ${failure.row}: ${failure.message}` : null
+            }
+        });
+
+        for (const { row, user } of applied) {
+            await recordAudit(req, {
+                action: !row.previousAccess || row.previousAccess === AccessTypes.USER
+                    ? (row.access === AccessTypes.USER ? AuditActions.MEMBER_UPDATED : AuditActions.MEMBER_ADDED)
+                    : row.previousAccess !== row.access ? AuditActions.MEMBER_ROLE_CHANGED : AuditActions.MEMBER_UPDATED,
+                target: user,
+                department: parseDepartmentAccess(row.access)?.department || null,
+                before: row.previousAccess ? { access: row.previousAccess } : null,
+                after: { access: row.access },
+                metadata: { memberImportId: memberImport.id, row: row.row, fields: Object.keys(row.data) }
+            });
+        }
+
+        if (failure) {
+            return next(new ApiError(422, `Import stopped at row ${failure.row} and was rolled back: ${failure.message}`, [{ importId: memberImport.id, row: failure.row }]));
+        }
+
+        for (const { row, user, password } of applied) {
+            if (password) {
+                sendWelcomeMail(user, password);
+            }
+            // Sign demoted members out everywhere so the old access does not linger
+            if (row.previousAccess && row.previousAccess !== AccessTypes.USER && row.access === AccessTypes.USER) {
+                await revokeUserSessions(user.id, 'ACCESS_REVOKED');
+            }
+        }
+
+        console.log(`Member import ${memberImport.id} committed by ${req.user.email}: ${applied.length} row(s) applied`);
+        res.status(200).json({
+            success: true,
+            message: `${applied.length} row(s) applied`,
+            importId: updatedImport.id,
+            summary: updatedImport.summary,
+            rows: outcome.map(toPreviewRow)
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error committing member import:', error);
+        next(new ApiError(500, 'Error committing member import', error));
+    }
+});
+
+//@description     Download the per-row report of an import, as previewed or as committed
+//@route           GET /api/user/import/:id/report?format=xlsx|csv
+//@access          member.create
+const getMemberImportReport = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const memberImport = await findOwnImport(req);
+        const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Import Report');
+        worksheet.columns = [
+            { header: 'Row', key: 'row' },
+            { header: 'Email', key: 'email' },
+            { header: 'Name', key: 'name' },
+            { header: 'Previous Access', key: 'previousAccess' },
+            { header: 'Access', key: 'access' },
+            { header: 'Action', key: 'action' },
+            { header: 'Status', key: 'status' },
+            { header: 'Result', key: 'result' },
+            { header: 'Message', key: 'message' },
+        ];
+
+        memberImport.rows.forEach(row => {
+            const cells = {
+                ...row,
+                result: row.result || memberImport.status,
+                message: row.message || row.errors.join('; ')
+            };
+            worksheet.addRow(Object.fromEntries(Object.entries(cells).map(([key, value]) => [key, toReportCell(value)])));
+        });
+
+        const buffer = format === 'csv'
+            ? await workbook.csv.writeBuffer()
+            : await workbook.xlsx.writeBuffer();
+
+        const fileName = `member_import_${memberImport.id}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+        res.setHeader('Content-Type', format === 'csv'
+            ? 'text/csv'
+            : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.send(buffer);
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error building import report:', error);
+        next(new ApiError(500, 'Error building import report', error));
+    }
+});
+
+module.exports = { previewMemberImport, commitMemberImport, getMemberImportReport };
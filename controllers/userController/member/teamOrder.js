@@ -0,0 +1,58 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const isObjectId = require('../../../utils/validation/isObjectId');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+
+//@description     Set the order members are shown in on the team page. Members are listed by id, first shown first,
+//                 positions only matter among members of the same group. `reset` lists members to put back in name order
+//@route           PUT /api/user/team/order
+//@access          team.order.manage
+const setTeamOrder = expressAsyncHandler(async (req, res, next) => {
+    const { order = [], reset = [] } = req.body;
+
+    try {
+        if (!Array.isArray(order) || !Array.isArray(reset) || order.length + reset.length === 0) {
+            return next(new ApiError(400, "order or reset must be a non-empty array of user ids"));
+        }
+
+        const ids = [...order, ...reset];
+        const invalid = ids.filter(id => !isObjectId(id));
+        if (invalid.length > 0) {
+            return next(new ApiError(400, 'Invalid user ids', invalid.map(id => ({ id }))));
+        }
+        if (new Set(ids).size !== ids.length) {
+            return next(new ApiError(400, 'A user can only be listed once'));
+        }
+
+        const users = await prisma.user.findMany({
+            where: { id: { in: ids } },
+            select: { id: true, teamOrder: true }
+        });
+        if (users.length !== ids.length) {
+            const found = new Set(users.map(user => user.id));
+            return next(new ApiError(404, 'Users not found', ids.filter(id => !found.has(id)).map(id => ({ id }))));
+        }
+
+        for (const [index, id] of order.entries()) {
+            await prisma.user.update({ where: { id }, data: { teamOrder: index + 1 } });
+        }
+        if (reset.length > 0) {
+            await prisma.user.updateMany({ where: { id: { in: reset } }, data: { teamOrder: null } });
+        }
+
+        await recordAudit(req, {
+            action: AuditActions.TEAM_ORDER_CHANGED,
+            before: Object.fromEntries(users.map(user => [user.id, user.teamOrder ?? null])),
+            after: Object.fromEntries([...order.map((id, index) => [id, index + 1]), ...reset.map(id => [id, null])])
+        });
+
+        res.status(200).json({ success: true, message: "Team order updated" });
+    } catch (error) {
+        console.error('Error setting team order:', error);
+        next(new ApiError(500, 'Error setting team order', error));
+    }
+});
+
+module.exports = { setTeamOrder };
@@ -0,0 +1,276 @@
+const { PrismaClient, AccessTypes, ProfileChangeStatus } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const updateUser = require('../../../utils/user/updateUser');
+const isObjectId = require('../../../utils/validation/isObjectId');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+const { parseProfileChanges, buildProfileDiff, notifyProfileChangeDecision } = require('../../../utils/profileChange/profileChanges');
+
+const MAX_PAGE_SIZE = 100;
+
+const DIFF_SELECT = { id: true, name: true, year: true, rollNumber: true, school: true, college: true, contactNo: true, whatsappNo: true };
+
+// Same rule editProfile blocks on
+const hasReachedEditLimit = (user) => user.access === AccessTypes.USER && user.editProfileCount <= 0;
+
+// Loads a pending request for review
+const getPendingRequest = async (id) => {
+    const request = isObjectId(id)
+        ? await prisma.profileChangeRequest.findUnique({ where: { id } })
+        : null;
+
+    if (!request) {
+        throw new ApiError(404, 'Profile change request not found');
+    }
+    if (request.status !== ProfileChangeStatus.PENDING) {
+        throw new ApiError(409, `Profile change request is already ${request.status.toLowerCase()}`);
+    }
+    return request;
+};
+
+// Moves a pending request to its final status, only one reviewer can win
+const closeRequest = async (request, status, req) => {
+    const { count } = await prisma.profileChangeRequest.updateMany({
+        where: { id: request.id, status: ProfileChangeStatus.PENDING },
+        data: {
+            status,
+            reviewedById: req.user.id,
+            reviewedByEmail: req.user.email,
+            reviewComment: req.body.comment || null,
+            reviewedAt: new Date()
+        }
+    });
+
+    if (count === 0) {
+        throw new ApiError(409, 'Profile change request was already decided');
+    }
+
+    return prisma.profileChangeRequest.findUnique({ where: { id: request.id } });
+};
+
+//@description     Ask for a profile change once the edit limit is used up. An admin reviews it
+//@route           POST /api/user/profileChanges
+//@access          profile.update, USER accounts without edits left
+const createProfileChangeRequest = expressAsyncHandler(async (req, res, next) => {
+    const { changes, reason } = req.body;
+
+    try {
+        if (!hasReachedEditLimit(req.user)) {
+            return next(new ApiError(400, "You can still edit your profile yourself"));
+        }
+
+        const pending = await prisma.profileChangeRequest.findFirst({
+            where: { userId: req.user.id, status: ProfileChangeStatus.PENDING },
+            select: { id: true }
+        });
+        if (pending) {
+            return next(new ApiError(409, "You already have a profile change awaiting review", [{ code: "PROFILE_CHANGE_PENDING", id: pending.id }]));
+        }
+
+        const parsed = parseProfileChanges(changes, reason, req.user);
+
+        const request = await prisma.profileChangeRequest.create({
+            data: {
+                userId: req.user.id,
+                userEmail: req.user.email,
+                changes: parsed.changes,
+                previous: parsed.previous,
+                reason: reason.trim()
+            }
+        });
+
+        await recordAudit(req, {
+            action: AuditActions.PROFILE_CHANGE_REQUESTED,
+            target: req.user,
+            before: parsed.previous,
+            after: parsed.changes,
+            metadata: { profileChangeRequestId: request.id }
+        });
+
+        res.status(201).json({ success: true, message: "Profile change requested, awaiting review", data: request });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error requesting profile change:', error);
+        next(new ApiError(500, 'Error requesting profile change', error));
+    }
+});
+
+//@description     List own profile change requests, newest first
+//@route           GET /api/user/profileChanges/mine
+//@access          Signed in user
+const getOwnProfileChangeRequests = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const requests = await prisma.profileChangeRequest.findMany({
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'desc' },
+            take: MAX_PAGE_SIZE
+        });
+
+        res.status(200).json({ success: true, data: requests });
+    } catch (error) {
+        console.error('Error fetching profile change requests:', error);
+        next(new ApiError(500, 'Error fetching profile change requests', error));
+    }
+});
+
+//@description     List profile change requests with a diff against each user's current profile. Pass the last createdAt as `before` for the next page
+//@route           GET /api/user/profileChanges?status=&email=&before=&limit=
+//@access          profile.change.review
+const getProfileChangeRequests = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { status = ProfileChangeStatus.PENDING, email, before } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+
+        const value = String(status).toUpperCase();
+        if (!Object.values(ProfileChangeStatus).includes(value)) {
+            return next(new ApiError(400, `Invalid status, expected one of ${Object.values(ProfileChangeStatus).join(', ')}`));
+        }
+
+        const beforeDate = before ? new Date(before) : null;
+        if (beforeDate && Number.isNaN(beforeDate.getTime())) {
+            return next(new ApiError(400, 'Invalid before, expected a date'));
+        }
+
+        const where = { status: value };
+        if (email) where.userEmail = email;
+        if (beforeDate) where.createdAt = { lt: beforeDate };
+
+        const requests = await prisma.profileChangeRequest.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take: limit
+        });
+
+        const users = await prisma.user.findMany({
+            where: { id: { in: [...new Set(requests.map(request => request.userId))] } },
+            select: DIFF_SELECT
+        });
+        const usersById = new Map(users.map(user => [user.id, user]));
+
+        res.status(200).json({
+            success: true,
+            data: requests.map(request => ({ ...request, diff: buildProfileDiff(request, usersById.get(request.userId)) })),
+            nextBefore: requests.length === limit ? requests[requests.length - 1].createdAt : null
+        });
+    } catch (error) {
+        console.error('Error fetching profile change requests:', error);
+        next(new ApiError(500, 'Error fetching profile change requests', error));
+    }
+});
+
+//@description     Approve a profile change and apply it to the user, who is notified by email
+//@route           POST /api/user/profileChanges/:id/approve
+//@access          profile.change.review
+const approveProfileChangeRequest = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const request = await getPendingRequest(req.params.id);
+
+        const current = await prisma.user.findUnique({ where: { id: request.userId }, select: { id: true } });
+        if (!current) {
+            return next(new ApiError(409, "The user no longer exists. Reject the request instead"));
+        }
+
+        const approved = await closeRequest(request, ProfileChangeStatus.APPROVED, req);
+
+        let user;
+        try {
+            user = await updateUser({ id: request.userId }, request.changes);
+        } catch (error) {
+            // Nothing was applied, leave the request for another try
+            await prisma.profileChangeRequest.update({
+                where: { id: request.id },
+                data: { status: ProfileChangeStatus.PENDING, reviewedById: null, reviewedByEmail: null, reviewComment: null, reviewedAt: null }
+            });
+            throw error;
+        }
+
+        await recordAudit(req, {
+            action: AuditActions.PROFILE_CHANGE_APPROVED,
+            target: user,
+            before: request.previous,
+            after: request.changes,
+            metadata: { profileChangeRequestId: request.id }
+        });
+
+        notifyProfileChangeDecision(approved).catch(error => {
+            console.error('Error sending profile change decision:', error);
+        });
+
+        console.log(`Profile change ${request.id} approved by ${req.user.email}`);
+        res.status(200).json({ success: true, message: "Profile change approved and applied", data: approved });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error approving profile change:', error);
+        next(new ApiError(500, 'Error approving profile change', error));
+    }
+});
+
+//@description     Reject a profile change, the user is notified by email
+//@route           POST /api/user/profileChanges/:id/reject
+//@access          profile.change.review
+const rejectProfileChangeRequest = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const request = await getPendingRequest(req.params.id);
+        const rejected = await closeRequest(request, ProfileChangeStatus.REJECTED, req);
+
+        await recordAudit(req, {
+            action: AuditActions.PROFILE_CHANGE_REJECTED,
+            target: { id: request.userId, email: request.userEmail },
+            before: request.previous,
+            after: request.changes,
+            metadata: { profileChangeRequestId: request.id, comment: rejected.reviewComment }
+        });
+
+        notifyProfileChangeDecision(rejected).catch(error => {
+            console.error('Error sending profile change decision:', error);
+        });
+
+        console.log(`Profile change ${request.id} rejected by ${req.user.email}`);
+        res.status(200).json({ success: true, message: "Profile change rejected", data: rejected });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error rejecting profile change:', error);
+        next(new ApiError(500, 'Error rejecting profile change', error));
+    }
+});
+
+//@description     Withdraw an own profile change that is still pending
+//@route           POST /api/user/profileChanges/:id/cancel
+//@access          Signed in user
+const cancelProfileChangeRequest = expressAsyncHandler(async (req, res, next) => {
+    try {
+        if (!isObjectId(req.params.id)) {
+            return next(new ApiError(404, 'No pending profile change of yours with this id'));
+        }
+
+        const { count } = await prisma.profileChangeRequest.updateMany({
+            where: { id: req.params.id, userId: req.user.id, status: ProfileChangeStatus.PENDING },
+            data: { status: ProfileChangeStatus.CANCELLED, reviewedAt: new Date() }
+        });
+
+        if (count === 0) {
+            return next(new ApiError(404, 'No pending profile change of yours with this id'));
+        }
+
+        res.status(200).json({ success: true, message: "Profile change withdrawn" });
+    } catch (error) {
+        console.error('Error cancelling profile change:', error);
+        next(new ApiError(500, 'Error cancelling profile change', error));
+    }
+});
+
+module.exports = {
+    createProfileChangeRequest,
+    getOwnProfileChangeRequests,
+    getProfileChangeRequests,
+    approveProfileChangeRequest,
+    rejectProfileChangeRequest,
+    cancelProfileChangeRequest
+};
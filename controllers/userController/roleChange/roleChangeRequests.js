@@ -0,0 +1,291 @@
+const { PrismaClient, AccessTypes, RoleChangeStatus } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const createOrUpdateUser = require('../../../utils/user/createOrUpdateUser');
+const { revokeUserSessions } = require('../../../utils/session/revokeSessions');
+const { hasPermission } = require('../../../utils/access/permissions');
+const { assertCanChangeAccess, parseDepartmentAccess } = require('../../../utils/access/departments');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+const { proposeRoleChange } = require('../../../utils/roleChange/proposeRoleChange');
+const { notifyDecision } = require('../../../utils/roleChange/roleChangeNotifications');
+const isObjectId = require('../../../utils/validation/isObjectId');
+
+const MAX_PAGE_SIZE = 100;
+
+// Loads a pending request the reviewer is allowed to decide on
+const getReviewableRequest = async (req) => {
+    const request = isObjectId(req.params.id)
+        ? await prisma.roleChangeRequest.findUnique({ where: { id: req.params.id } })
+        : null;
+
+    if (!request) {
+        throw new ApiError(404, 'Role change request not found');
+    }
+    if (request.status !== RoleChangeStatus.PENDING) {
+        throw new ApiError(409, `Role change request is already ${request.status.toLowerCase()}`);
+    }
+    if (request.proposedById === req.user.id) {
+        throw new ApiError(403, 'You cannot review your own proposal');
+    }
+    return request;
+};
+
+// Moves a pending request to its final status, only one reviewer can win
+const closeRequest = async (request, status, req) => {
+    const { count } = await prisma.roleChangeRequest.updateMany({
+        where: { id: request.id, status: RoleChangeStatus.PENDING },
+        data: {
+            status,
+            reviewedById: req.user.id,
+            reviewedByEmail: req.user.email,
+            reviewComment: req.body.comment || null,
+            reviewedAt: new Date()
+        }
+    });
+
+    if (count === 0) {
+        throw new ApiError(409, 'Role change request was already decided');
+    }
+
+    return prisma.roleChangeRequest.findUnique({ where: { id: request.id } });
+};
+
+const getMemberAuditAction = ({ fromAccess, toAccess }) => {
+    if (toAccess === AccessTypes.USER) return AuditActions.MEMBER_REMOVED;
+    if (!fromAccess || fromAccess === AccessTypes.USER) return AuditActions.MEMBER_ADDED;
+    return AuditActions.MEMBER_ROLE_CHANGED;
+};
+
+//@description     Propose a role change for a member, applied once approved
+//@route           POST /api/user/roleChanges
+//@access          role.change.propose
+const createRoleChangeRequest = expressAsyncHandler(async (req, res, next) => {
+    const { email, access, comment, name, extra } = req.body;
+
+    try {
+        if (!email || !access) {
+            return next(new ApiError(400, "Missing fields: email, access"));
+        }
+
+        const toAccess = String(access).toUpperCase().replace(/\s+/g, '_');
+        if (!Object.values(AccessTypes).includes(toAccess)) {
+            return next(new ApiError(400, `Invalid access type ${toAccess}`));
+        }
+
+        const targetEmail = email.trim();
+        const previous = await prisma.user.findUnique({
+            where: { email: targetEmail },
+            select: { id: true, access: true }
+        });
+
+        if ((previous?.access || AccessTypes.USER) === toAccess) {
+            return next(new ApiError(400, `${targetEmail} already has ${toAccess} access`));
+        }
+
+        if (!hasPermission(req.user, 'member.create')) {
+            assertCanChangeAccess(req.user, previous?.access || AccessTypes.USER, toAccess);
+        }
+
+        const request = await proposeRoleChange(req, {
+            email: targetEmail,
+            previous,
+            toAccess,
+            changes: {
+                ...(name ? { name } : {}),
+                ...(extra ? { extra: typeof extra === 'string' ? JSON.parse(extra) : extra } : {})
+            },
+            comment
+        });
+
+        res.status(201).json({ success: true, message: "Role change proposed, awaiting approval", data: request });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        if (error instanceof SyntaxError) {
+            return next(new ApiError(400, 'Invalid JSON in extra field'));
+        }
+        console.error('Error proposing role change:', error);
+        next(new ApiError(500, 'Error proposing role change', error));
+    }
+});
+
+//@description     List role change requests, newest first. Pass the last createdAt as `before` for the next page
+//@route           GET /api/user/roleChanges?status=&email=&department=&before=&limit=
+//@access          role.change.read for every department, role.change.propose for own department
+const getRoleChangeRequests = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { status, email, before } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+
+        const beforeDate = before ? new Date(before) : null;
+        if (beforeDate && Number.isNaN(beforeDate.getTime())) {
+            return next(new ApiError(400, 'Invalid before, expected a date'));
+        }
+
+        const where = {};
+        if (status) {
+            const value = String(status).toUpperCase();
+            if (!Object.values(RoleChangeStatus).includes(value)) {
+                return next(new ApiError(400, `Invalid status, expected one of ${Object.values(RoleChangeStatus).join(', ')}`));
+            }
+            where.status = value;
+        }
+        if (email) where.targetEmail = email;
+        if (beforeDate) where.createdAt = { lt: beforeDate };
+
+        if (hasPermission(req.user, 'role.change.read')) {
+            if (req.query.department) where.department = String(req.query.department).toUpperCase();
+        } else {
+            const department = parseDepartmentAccess(req.user.access)?.department;
+            if (!department) {
+                return next(new ApiError(403, "Unauthorized"));
+            }
+            where.department = department;
+        }
+
+        const requests = await prisma.roleChangeRequest.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take: limit
+        });
+
+        res.status(200).json({
+            success: true,
+            data: requests,
+            nextBefore: requests.length === limit ? requests[requests.length - 1].createdAt : null
+        });
+    } catch (error) {
+        console.error('Error fetching role change requests:', error);
+        next(new ApiError(500, 'Error fetching role change requests', error));
+    }
+});
+
+//@description     Approve a role change and apply it to the member
+//@route           POST /api/user/roleChanges/:id/approve
+//@access          role.change.approve
+const approveRoleChangeRequest = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const request = await getReviewableRequest(req);
+
+        // The proposal was made against the member's access at that time
+        const current = await prisma.user.findUnique({
+            where: { email: request.targetEmail },
+            select: { access: true }
+        });
+        if ((current?.access || null) !== (request.fromAccess || null)) {
+            return next(new ApiError(409, `The member's access changed to ${current?.access || 'no account'} since this was proposed. Reject it and propose again`));
+        }
+
+        const approved = await closeRequest(request, RoleChangeStatus.APPROVED, req);
+
+        let user;
+        try {
+            ({ user } = await createOrUpdateUser({ email: request.targetEmail }, { ...(request.changes || {}), access: request.toAccess }));
+        } catch (error) {
+            // Nothing was applied, leave the request for another try
+            await prisma.roleChangeRequest.update({
+                where: { id: request.id },
+                data: { status: RoleChangeStatus.PENDING, reviewedById: null, reviewedByEmail: null, reviewComment: null, reviewedAt: null }
+            });
+            throw error;
+        }
+
+        if (request.toAccess === AccessTypes.USER) {
+            await revokeUserSessions(user.id, 'ACCESS_REVOKED');
+        }
+
+        await recordAudit(req, {
+            action: getMemberAuditAction(request),
+            target: user,
+            department: request.department,
+            before: { access: request.fromAccess },
+            after: { access: request.toAccess },
+            metadata: { roleChangeRequestId: request.id, proposedByEmail: request.proposedByEmail }
+        });
+
+        notifyDecision(approved, req.user).catch(error => {
+            console.error('Error sending role change decision:', error);
+        });
+
+        console.log(`Role change ${request.id} approved by ${req.user.email}`);
+        res.status(200).json({ success: true, message: "Role change approved and applied", data: approved });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error approving role change:', error);
+        next(new ApiError(500, 'Error approving role change', error));
+    }
+});
+
+//@description     Reject a role change, the member's access stays as it is
+//@route           POST /api/user/roleChanges/:id/reject
+//@access          role.change.approve
+const rejectRoleChangeRequest = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const request = await getReviewableRequest(req);
+        const rejected = await closeRequest(request, RoleChangeStatus.REJECTED, req);
+
+        await recordAudit(req, {
+            action: AuditActions.ROLE_CHANGE_REJECTED,
+            target: { id: request.targetUserId, email: request.targetEmail },
+            department: request.department,
+            before: { access: request.fromAccess },
+            after: { access: request.toAccess },
+            metadata: { roleChangeRequestId: request.id, comment: rejected.reviewComment }
+        });
+
+        notifyDecision(rejected, req.user).catch(error => {
+            console.error('Error sending role change decision:', error);
+        });
+
+        console.log(`Role change ${request.id} rejected by ${req.user.email}`);
+        res.status(200).json({ success: true, message: "Role change rejected", data: rejected });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error rejecting role change:', error);
+        next(new ApiError(500, 'Error rejecting role change', error));
+    }
+});
+
+//@description     Withdraw an own proposal that is still pending
+//@route           POST /api/user/roleChanges/:id/cancel
+//@access          role.change.propose
+const cancelRoleChangeRequest = expressAsyncHandler(async (req, res, next) => {
+    try {
+        if (!isObjectId(req.params.id)) {
+            return next(new ApiError(404, 'No pending proposal of yours with this id'));
+        }
+
+        const { count } = await prisma.roleChangeRequest.updateMany({
+            where: { id: req.params.id, proposedById: req.user.id, status: RoleChangeStatus.PENDING },
+            data: { status: RoleChangeStatus.CANCELLED, reviewedAt: new Date() }
+        });
+
+        if (count === 0) {
+            return next(new ApiError(404, 'No pending proposal of yours with this id'));
+        }
+
+        await recordAudit(req, {
+            action: AuditActions.ROLE_CHANGE_CANCELLED,
+            metadata: { roleChangeRequestId: req.params.id }
+        });
+
+        res.status(200).json({ success: true, message: "Role change withdrawn" });
+    } catch (error) {
+        console.error('Error cancelling role change:', error);
+        next(new ApiError(500, 'Error cancelling role change', error));
+    }
+});
+
+module.exports = {
+    createRoleChangeRequest,
+    getRoleChangeRequests,
+    approveRoleChangeRequest,
+    rejectRoleChangeRequest,
+    cancelRoleChangeRequest
+};
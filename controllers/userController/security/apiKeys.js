@@ -0,0 +1,114 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { generateApiKey } = require('../../../utils/apiKey/apiKeys');
+const { API_KEY_SCOPES, isValidScope } = require('../../../utils/apiKey/scopes');
+const isObjectId = require('../../../utils/validation/isObjectId');
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+// Never expose the hash, the key itself is only returned once on creation
+const toApiKeyResponse = ({ keyHash, ...apiKey }) => ({
+    ...apiKey,
+    isActive: !apiKey.revokedAt && apiKey.expiresAt > new Date()
+});
+
+//@description     List API keys and the scopes they can be granted
+//@route           GET /api/user/apiKeys?active=true
+//@access          Admin
+const getApiKeys = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const where = req.query.active === 'true'
+            ? { revokedAt: null, expiresAt: { gt: new Date() } }
+            : {};
+
+        const apiKeys = await prisma.apiKey.findMany({
+            where,
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.status(200).json({ success: true, scopes: API_KEY_SCOPES, data: apiKeys.map(toApiKeyResponse) });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        next(new ApiError(500, 'Error fetching API keys', error));
+    }
+});
+
+//@description     Mint a named API key with explicit scopes
+//@route           POST /api/user/apiKeys
+//@access          Admin
+const createApiKey = expressAsyncHandler(async (req, res, next) => {
+    const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    try {
+        if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+            return next(new ApiError(400, "Missing fields: name, scopes"));
+        }
+
+        const invalidScopes = scopes.filter(scope => !isValidScope(scope));
+        if (invalidScopes.length > 0) {
+            return next(new ApiError(400, `Invalid scopes: ${invalidScopes.join(', ')}`, invalidScopes.map(scope => ({ scope }))));
+        }
+
+        const days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+            return next(new ApiError(400, `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`));
+        }
+
+        const { key, prefix, hash } = generateApiKey();
+
+        const apiKey = await prisma.apiKey.create({
+            data: {
+                name: String(name).trim(),
+                prefix,
+                keyHash: hash,
+                scopes: [...new Set(scopes)],
+                createdById: req.user.id,
+                // Stored explicitly, `revokedAt: null` filters do not match a missing field on MongoDB
+                revokedAt: null,
+                expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+            }
+        });
+
+        console.log(`API key ${prefix} (${apiKey.name}) created by ${req.user.email} with scopes ${apiKey.scopes.join(', ')}`);
+        res.status(201).json({
+            success: true,
+            message: "API key created. Store it now, it will not be shown again",
+            key,
+            data: toApiKeyResponse(apiKey)
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        next(new ApiError(500, 'Error creating API key', error));
+    }
+});
+
+//@description     Revoke an API key
+//@route           DELETE /api/user/apiKeys/:id
+//@access          Admin
+const revokeApiKey = expressAsyncHandler(async (req, res, next) => {
+    try {
+        if (!isObjectId(req.params.id)) {
+            return next(new ApiError(404, 'API key not found or already revoked'));
+        }
+
+        const { count } = await prisma.apiKey.updateMany({
+            where: { id: req.params.id, revokedAt: null },
+            data: { revokedAt: new Date(), revokedById: req.user.id }
+        });
+
+        if (count === 0) {
+            return next(new ApiError(404, 'API key not found or already revoked'));
+        }
+
+        console.log(`API key ${req.params.id} revoked by ${req.user.email}`);
+        res.status(200).json({ success: true, message: "API key revoked" });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        next(new ApiError(500, 'Error revoking API key', error));
+    }
+});
+
+module.exports = { getApiKeys, createApiKey, revokeApiKey };
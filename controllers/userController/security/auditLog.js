@@ -0,0 +1,56 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { hasPermission } = require('../../../utils/access/permissions');
+const { parseDepartmentAccess } = require('../../../utils/access/departments');
+
+const MAX_PAGE_SIZE = 100;
+
+//@description     Audit log, newest first. Pass the last createdAt as `before` for the next page
+//@route           GET /api/user/auditLog?action=&actorEmail=&targetEmail=&department=&before=&limit=
+//@access          audit.read, or member.department.manage for own department
+const getAuditLog = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { action, actorEmail, targetEmail, before } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_PAGE_SIZE);
+
+        const beforeDate = before ? new Date(before) : null;
+        if (beforeDate && Number.isNaN(beforeDate.getTime())) {
+            return next(new ApiError(400, 'Invalid before, expected a date'));
+        }
+
+        const where = {};
+        if (action) where.action = action;
+        if (actorEmail) where.actorEmail = actorEmail;
+        if (targetEmail) where.targetEmail = targetEmail;
+        if (beforeDate) where.createdAt = { lt: beforeDate };
+
+        if (hasPermission(req.user, 'audit.read')) {
+            if (req.query.department) where.department = String(req.query.department).toUpperCase();
+        } else {
+            const department = parseDepartmentAccess(req.user.access)?.department;
+            if (!department) {
+                return next(new ApiError(403, "Unauthorized"));
+            }
+            where.department = department;
+        }
+
+        const entries = await prisma.auditLog.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take: limit
+        });
+
+        res.status(200).json({
+            success: true,
+            data: entries,
+            nextBefore: entries.length === limit ? entries[entries.length - 1].createdAt : null
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        next(new ApiError(500, 'Error fetching audit log', error));
+    }
+});
+
+module.exports = { getAuditLog };
@@ -0,0 +1,159 @@
+const { PrismaClient, AccessTypes } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { generateRefreshToken, signImpersonationToken } = require('../../../utils/session/tokens');
+const { revokeSession } = require('../../../utils/session/revokeSessions');
+const { getClientInfo } = require('../../../utils/request/getClientInfo');
+const { hasPermission } = require('../../../utils/access/permissions');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+const { IMPERSONATION_TTL_MINUTES, MAX_IMPERSONATION_MINUTES } = require('../../../utils/impersonation/impersonation');
+const isObjectId = require('../../../utils/validation/isObjectId');
+
+const formatImpersonation = (session, user) => ({
+    sessionId: session.id,
+    user: user ? { id: user.id, email: user.email, name: user.name, access: user.access } : { id: session.userId },
+    impersonatedById: session.impersonatedById,
+    reason: session.impersonationReason,
+    startedAt: session.createdAt,
+    expiresAt: session.expiresAt
+});
+
+//@description     Start a read-only session as another user. Send the returned token in the X-Impersonation-Token header
+//@route           POST /api/user/impersonation
+//@access          user.impersonate, with a recent two-factor verification
+const startImpersonation = expressAsyncHandler(async (req, res, next) => {
+    const { userId, email, reason, minutes = IMPERSONATION_TTL_MINUTES } = req.body;
+
+    try {
+        if ((!userId && !email) || !reason) {
+            return next(new ApiError(400, "Missing fields: userId or email, reason"));
+        }
+        if (userId && !isObjectId(userId)) {
+            return next(new ApiError(400, "Invalid userId"));
+        }
+        if (!userId && typeof email !== 'string') {
+            return next(new ApiError(400, "Invalid email"));
+        }
+
+        const duration = Number(minutes);
+        if (!Number.isInteger(duration) || duration < 1 || duration > MAX_IMPERSONATION_MINUTES) {
+            return next(new ApiError(400, `minutes must be between 1 and ${MAX_IMPERSONATION_MINUTES}`));
+        }
+
+        const user = await prisma.user.findUnique({
+            where: userId ? { id: userId } : { email }
+        });
+
+        if (!user) {
+            return next(new ApiError(404, 'User not found'));
+        }
+        if (user.id === req.user.id || user.access === AccessTypes.ADMIN) {
+            return next(new ApiError(403, 'Admins cannot be impersonated'));
+        }
+
+        const { ip, userAgent } = getClientInfo(req);
+        const session = await prisma.session.create({
+            data: {
+                userId: user.id,
+                // Never handed out, the session cannot be refreshed past its expiry
+                refreshTokenHash: generateRefreshToken().hash,
+                userAgent,
+                ip,
+                expiresAt: new Date(Date.now() + duration * 60 * 1000),
+                impersonatedById: req.user.id,
+                impersonationReason: reason,
+                revokedAt: null
+            }
+        });
+
+        await recordAudit(req, {
+            action: AuditActions.IMPERSONATION_STARTED,
+            target: user,
+            metadata: { sessionId: session.id, reason, expiresAt: session.expiresAt }
+        });
+
+        console.log(`${req.user.email} started impersonating ${user.email} until ${session.expiresAt.toISOString()}`);
+        res.status(201).json({
+            success: true,
+            message: `Viewing as ${user.email}, read-only`,
+            impersonationToken: signImpersonationToken(user, session, req.user),
+            data: formatImpersonation(session, user)
+        });
+    } catch (error) {
+        console.error('Error starting impersonation:', error);
+        next(new ApiError(500, 'Error starting impersonation', error));
+    }
+});
+
+//@description     End an impersonation. Called with the impersonation token, or by an admin with { sessionId }
+//@route           POST /api/user/impersonation/stop
+//@access          The impersonation itself, or user.impersonate
+const stopImpersonation = expressAsyncHandler(async (req, res, next) => {
+    try {
+        let session = req.impersonator ? req.authSession : null;
+        let actor = req.impersonator;
+
+        if (!session) {
+            if (!hasPermission(req.user, 'user.impersonate')) {
+                return next(new ApiError(403, "Unauthorized"));
+            }
+            if (!req.body.sessionId) {
+                return next(new ApiError(400, "Missing field: sessionId"));
+            }
+
+            session = await prisma.session.findUnique({ where: { id: req.body.sessionId } });
+            if (!session || !session.impersonatedById) {
+                return next(new ApiError(404, 'Impersonation not found'));
+            }
+            actor = req.user;
+        }
+
+        const count = await revokeSession(session.id, 'IMPERSONATION_STOPPED');
+
+        if (count > 0) {
+            await recordAudit(req, {
+                action: AuditActions.IMPERSONATION_STOPPED,
+                actor,
+                target: { id: session.userId },
+                metadata: { sessionId: session.id, startedById: session.impersonatedById }
+            });
+        }
+
+        res.status(200).json({ success: true, message: "Impersonation ended" });
+    } catch (error) {
+        console.error('Error stopping impersonation:', error);
+        next(new ApiError(500, 'Error stopping impersonation', error));
+    }
+});
+
+//@description     List impersonations that are still running
+//@route           GET /api/user/impersonation
+//@access          user.impersonate
+const getImpersonations = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const sessions = await prisma.session.findMany({
+            where: {
+                impersonatedById: { not: null },
+                revokedAt: null,
+                expiresAt: { gt: new Date() }
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        const users = await prisma.user.findMany({
+            where: { id: { in: sessions.map(session => session.userId) } },
+            select: { id: true, email: true, name: true, access: true }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: sessions.map(session => formatImpersonation(session, users.find(user => user.id === session.userId)))
+        });
+    } catch (error) {
+        console.error('Error fetching impersonations:', error);
+        next(new ApiError(500, 'Error fetching impersonations', error));
+    }
+});
+
+module.exports = { startImpersonation, stopImpersonation, getImpersonations };
@@ -0,0 +1,101 @@
+const { PrismaClient, ThrottleKeyType } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const isObjectId = require('../../../utils/validation/isObjectId');
+
+//@description     List failed attempt counters and locks
+//@route           GET /api/user/locks?active=true&email=<email>&ip=<ip>&scope=<scope>
+//@access          Admin
+const getLocks = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { active, email, ip, scope } = req.query;
+
+        const where = {};
+        if (active === 'true') {
+            where.lockedUntil = { gt: new Date() };
+        }
+        if (scope) {
+            where.scope = scope;
+        }
+        if (email) {
+            where.keyType = ThrottleKeyType.ACCOUNT;
+            where.key = email.trim().toLowerCase();
+        } else if (ip) {
+            where.keyType = ThrottleKeyType.IP;
+            where.key = ip;
+        }
+
+        const locks = await prisma.authThrottle.findMany({
+            where,
+            orderBy: { updatedAt: 'desc' },
+            take: 200
+        });
+
+        const now = new Date();
+        res.status(200).json({
+            success: true,
+            data: locks.map(lock => ({
+                ...lock,
+                isLocked: Boolean(lock.lockedUntil && lock.lockedUntil > now)
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching locks:', error);
+        next(new ApiError(500, 'Error fetching locks', error));
+    }
+});
+
+//@description     Clear one counter/lock
+//@route           DELETE /api/user/locks/:id
+//@access          Admin
+const clearLock = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!isObjectId(id)) {
+            return next(new ApiError(404, 'Lock not found'));
+        }
+
+        const { count } = await prisma.authThrottle.deleteMany({
+            where: { id }
+        });
+
+        if (count === 0) {
+            return next(new ApiError(404, 'Lock not found'));
+        }
+
+        console.log(`${req.user.email} cleared lock ${id}`);
+        res.status(200).json({ success: true, message: 'Lock cleared successfully' });
+    } catch (error) {
+        console.error('Error clearing lock:', error);
+        next(new ApiError(500, 'Error clearing lock', error));
+    }
+});
+
+//@description     Clear every counter/lock of an email or IP
+//@route           DELETE /api/user/locks?email=<email> or ?ip=<ip>
+//@access          Admin
+const clearLocks = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { email, ip } = req.query;
+
+        if (!email && !ip) {
+            return next(new ApiError(400, 'email or ip is required'));
+        }
+
+        const { count } = await prisma.authThrottle.deleteMany({
+            where: email
+                ? { keyType: ThrottleKeyType.ACCOUNT, key: email.trim().toLowerCase() }
+                : { keyType: ThrottleKeyType.IP, key: ip }
+        });
+
+        console.log(`${req.user.email} cleared ${count} lock(s) of ${email || ip}`);
+        res.status(200).json({ success: true, message: `${count} lock(s) cleared successfully`, count });
+    } catch (error) {
+        console.error('Error clearing locks:', error);
+        next(new ApiError(500, 'Error clearing locks', error));
+    }
+});
+
+module.exports = { getLocks, clearLock, clearLocks };
@@ -0,0 +1,48 @@
+const { PrismaClient, AccessTypes } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { PERMISSIONS } = require('../../../config/permissions');
+const { getRolePermissions, getEffectivePermissions } = require('../../../utils/access/permissions');
+
+//@description     Permission catalogue and the permissions of every access type
+//@route           GET /api/user/permissions
+//@access          permission.read
+const getPermissionPolicy = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const roles = Object.values(AccessTypes).reduce((acc, access) => {
+            acc[access] = getRolePermissions(access);
+            return acc;
+        }, {});
+
+        res.status(200).json({ success: true, permissions: PERMISSIONS, roles });
+    } catch (error) {
+        console.error('Error fetching permission policy:', error);
+        next(new ApiError(500, 'Error fetching permission policy', error));
+    }
+});
+
+//@description     Effective permissions of a user, by id or email
+//@route           GET /api/user/permissions/:userId
+//@access          permission.read
+const getUserPermissions = expressAsyncHandler(async (req, res, next) => {
+    const { userId } = req.params;
+
+    try {
+        const user = await prisma.user.findUnique({
+            where: userId.includes('@') ? { email: userId } : { id: userId },
+            select: { id: true, email: true, name: true, access: true }
+        });
+
+        if (!user) {
+            return next(new ApiError(404, 'User not found'));
+        }
+
+        res.status(200).json({ success: true, user, permissions: getEffectivePermissions(user) });
+    } catch (error) {
+        console.error('Error fetching user permissions:', error);
+        next(new ApiError(500, 'Error fetching user permissions', error));
+    }
+});
+
+module.exports = { getPermissionPolicy, getUserPermissions };
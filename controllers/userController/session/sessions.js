@@ -0,0 +1,166 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { revokeSession, revokeUserSessions } = require('../../../utils/session/revokeSessions');
+const { clearAuthCookies } = require('../../../utils/session/authCookies');
+const { describeUserAgent } = require('../../../utils/request/describeUserAgent');
+const isObjectId = require('../../../utils/validation/isObjectId');
+
+const findActiveSessions = (userId) => prisma.session.findMany({
+    where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+    },
+    orderBy: { lastSeenAt: 'desc' }
+});
+
+// Never expose token hashes, only what a user needs to recognise the device
+const formatSession = (session, currentSessionId) => ({
+    id: session.id,
+    device: describeUserAgent(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId,
+    impersonated: Boolean(session.impersonatedById)
+});
+
+//@description     List active sessions of the signed in user
+//@route           GET /api/user/sessions
+//@access          Signed in user
+const getSessions = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const sessions = await findActiveSessions(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: sessions.map(session => formatSession(session, req.authSession?.id))
+        });
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        next(new ApiError(500, 'Error fetching sessions', error));
+    }
+});
+
+//@description     Sign out one session of the signed in user
+//@route           DELETE /api/user/sessions/:id
+//@access          Signed in user
+const signOutSession = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        // Prisma throws on ids that are not ObjectIds, no session has one anyway
+        const session = isObjectId(id) ? await prisma.session.findUnique({
+            where: { id }
+        }) : null;
+
+        // Do not reveal whether a session of someone else exists
+        if (!session || session.userId !== req.user.id) {
+            return next(new ApiError(404, 'Session not found'));
+        }
+
+        await revokeSession(session.id, 'SIGNED_OUT_BY_USER');
+
+        if (session.id === req.authSession?.id) {
+            clearAuthCookies(res);
+        }
+
+        res.status(200).json({ success: true, message: 'Session signed out successfully' });
+    } catch (error) {
+        console.error('Error signing out session:', error);
+        next(new ApiError(500, 'Error signing out session', error));
+    }
+});
+
+//@description     Sign out all sessions of the signed in user
+//@route           DELETE /api/user/sessions?keepCurrent=true
+//@access          Signed in user
+const signOutAllSessions = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+
+        const count = await revokeUserSessions(
+            req.user.id,
+            'SIGNED_OUT_BY_USER',
+            keepCurrent ? req.authSession?.id : null
+        );
+
+        if (!keepCurrent) {
+            clearAuthCookies(res);
+        }
+
+        res.status(200).json({ success: true, message: `${count} session(s) signed out successfully`, count });
+    } catch (error) {
+        console.error('Error signing out sessions:', error);
+        next(new ApiError(500, 'Error signing out sessions', error));
+    }
+});
+
+// The user behind a `:userId` route parameter, null when there is none
+const findTargetUser = (userId) => isObjectId(userId)
+    ? prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true }
+    })
+    : null;
+
+//@description     List active sessions of any user
+//@route           GET /api/user/sessions/user/:userId
+//@access          Admin
+const getUserSessions = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await findTargetUser(userId);
+
+        if (!user) {
+            return next(new ApiError(404, 'User not found'));
+        }
+
+        const sessions = await findActiveSessions(user.id);
+
+        res.status(200).json({
+            success: true,
+            user,
+            data: sessions.map(session => formatSession(session, req.authSession?.id))
+        });
+    } catch (error) {
+        console.error('Error fetching user sessions:', error);
+        next(new ApiError(500, 'Error fetching user sessions', error));
+    }
+});
+
+//@description     Force sign out every session of a user
+//@route           DELETE /api/user/sessions/user/:userId
+//@access          Admin
+const forceSignOutUser = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await findTargetUser(userId);
+
+        if (!user) {
+            return next(new ApiError(404, 'User not found'));
+        }
+
+        const count = await revokeUserSessions(user.id, 'FORCED_SIGN_OUT');
+        console.log(`${req.user.email} force signed out ${user.email}`);
+
+        res.status(200).json({ success: true, message: `${count} session(s) of ${user.email} signed out successfully`, count });
+    } catch (error) {
+        console.error('Error force signing out user:', error);
+        next(new ApiError(500, 'Error force signing out user', error));
+    }
+});
+
+module.exports = {
+    getSessions,
+    signOutSession,
+    signOutAllSessions,
+    getUserSessions,
+    forceSignOutUser
+};
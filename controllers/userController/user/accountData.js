@@ -0,0 +1,127 @@
+const archiver = require('archiver');
+const { AccessTypes, OtpPurpose } = require('@prisma/client');
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const sendOtpToMail = require('../../../utils/email/generateOtpAndSendMail');
+const verifyOtp = require('../../../utils/otp/verifyOtp');
+const collectUserData = require('../../../utils/account/collectUserData');
+const { anonymizeUser } = require('../../../utils/account/anonymizeUser');
+const { clearAuthCookies } = require('../../../utils/session/authCookies');
+const { getClientInfo } = require('../../../utils/request/getClientInfo');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+
+// OTP validity in minutes
+const validity = 15;
+
+// Team members are removed from the team before they can delete their account
+const SELF_DELETABLE_ACCESS = [AccessTypes.USER, AccessTypes.ALUMNI, AccessTypes.EX_MEMBER];
+
+//@description     Download everything stored about the signed in user, as JSON or as a ZIP of one file per collection
+//@route           GET /api/user/account/export?format=json|zip
+//@access          Signed in user
+const exportAccountData = expressAsyncHandler(async (req, res, next) => {
+    try {
+        // An admin viewing as the user must not walk away with their data
+        if (req.impersonator) {
+            return next(new ApiError(403, "Data exports are not available while impersonating"));
+        }
+
+        const data = await collectUserData(req.user);
+        const fileName = `fed-data-export-${new Date().toISOString().slice(0, 10)}`;
+
+        if (req.query.format !== 'zip') {
+            res.setHeader('Content-Disposition', `attachment; filename=${fileName}.json`);
+            return res.status(200).json(data);
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename=${fileName}.zip`);
+        res.setHeader('Content-Type', 'application/zip');
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('error', (error) => {
+            console.error('Error building data export:', error);
+            res.destroy(error);
+        });
+        archive.pipe(res);
+
+        for (const [name, content] of Object.entries(data)) {
+            archive.append(JSON.stringify(content, null, 2), { name: `${name}.json` });
+        }
+        await archive.finalize();
+
+        console.log(`Data export downloaded by ${req.user.email}`);
+    } catch (error) {
+        console.error('Error exporting account data:', error);
+        next(new ApiError(500, 'Error exporting account data', error));
+    }
+});
+
+//@description     Email an OTP that confirms deleting the signed in user's account
+//@route           POST /api/user/account/delete
+//@access          Signed in user
+const requestAccountDeletion = expressAsyncHandler(async (req, res, next) => {
+    try {
+        if (!SELF_DELETABLE_ACCESS.includes(req.user.access)) {
+            return next(new ApiError(403, "Team members have to be removed from the team before deleting their account"));
+        }
+
+        const sentOtp = await sendOtpToMail(
+            req.user.email,
+            OtpPurpose.ACCOUNT_DELETION,
+            'accountDeletion',
+            'Confirm deleting your FED KIIT account',
+            true,
+            { validity },
+            validity
+        );
+
+        res.status(200).json({ message: `OTP sent to ${req.user.email}. Valid for ${validity} mins`, code: sentOtp.code, resendAvailableIn: sentOtp.resendAvailableIn });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error requesting account deletion:', error);
+        next(new ApiError(500, 'Error requesting account deletion', error));
+    }
+});
+
+//@description     Delete the signed in user's account with the emailed OTP. Registrations are anonymised, certificates redacted
+//@route           POST /api/user/account/delete/confirm
+//@access          Signed in user
+const confirmAccountDeletion = expressAsyncHandler(async (req, res, next) => {
+    const { otp } = req.body;
+
+    try {
+        if (!otp) {
+            return next(new ApiError(400, "OTP is required"));
+        }
+        if (!SELF_DELETABLE_ACCESS.includes(req.user.access)) {
+            return next(new ApiError(403, "Team members have to be removed from the team before deleting their account"));
+        }
+
+        const otpStatus = await verifyOtp(req.user.email, otp, OtpPurpose.ACCOUNT_DELETION, true, getClientInfo(req).ip);
+        if (!otpStatus.id) {
+            return next(new ApiError(otpStatus.status, otpStatus.message, [{ code: otpStatus.code, attemptsLeft: otpStatus.attemptsLeft }]));
+        }
+
+        await anonymizeUser(req.user);
+
+        // Only the id is kept, the email is gone with the account
+        await recordAudit(req, {
+            action: AuditActions.ACCOUNT_DELETED,
+            actor: { id: req.user.id },
+            target: { id: req.user.id }
+        });
+
+        clearAuthCookies(res);
+        res.status(200).json({ success: true, message: "Your account has been deleted" });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error deleting account:', error);
+        next(new ApiError(500, 'Error deleting account', error));
+    }
+});
+
+module.exports = { exportAccountData, requestAccountDeletion, confirmAccountDeletion };
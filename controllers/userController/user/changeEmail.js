@@ -0,0 +1,136 @@
+const { PrismaClient, OtpPurpose } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const sendOtpToMail = require('../../../utils/email/generateOtpAndSendMail');
+const { sendMail } = require('../../../utils/email/nodeMailer');
+const loadTemplate = require('../../../utils/email/loadTemplate');
+const escapeHtml = require('../../../utils/email/escapeHtml');
+const verifyOtp = require('../../../utils/otp/verifyOtp');
+const { changeUserEmail } = require('../../../utils/user/changeUserEmail');
+const findUserByEmail = require('../../../utils/user/findUserByEmail');
+const { signAccessToken } = require('../../../utils/session/tokens');
+const { setAccessTokenCookie } = require('../../../utils/session/authCookies');
+const { revokeUserSessions } = require('../../../utils/session/revokeSessions');
+const { getClientInfo } = require('../../../utils/request/getClientInfo');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+
+// OTP validity in minutes
+const validity = 15;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Emails of merged accounts still sign in, they count as taken
+const isEmailTaken = async (email) => Boolean(await findUserByEmail(email, { select: { id: true } }));
+
+//@description     Start moving the signed in user to a new email. An OTP goes to the new address, a notice to the current one
+//@route           POST /api/user/email/change
+//@access          Signed in user
+const requestEmailChange = expressAsyncHandler(async (req, res, next) => {
+    const newEmail = String(req.body.newEmail || '').trim().toLowerCase();
+
+    try {
+        if (!newEmail) {
+            return next(new ApiError(400, "newEmail is required"));
+        }
+        if (!EMAIL_PATTERN.test(newEmail)) {
+            return next(new ApiError(400, "Invalid email"));
+        }
+        if (newEmail === req.user.email.toLowerCase()) {
+            return next(new ApiError(400, "This is already your email"));
+        }
+        if (await isEmailTaken(newEmail)) {
+            return next(new ApiError(409, "An account already exists with this email"));
+        }
+
+        const sentOtp = await sendOtpToMail(
+            newEmail,
+            OtpPurpose.EMAIL_CHANGE,
+            'emailChangeOtp',
+            'Confirm your new email for FED KIIT',
+            true,
+            { validity },
+            validity
+        );
+
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { pendingEmail: newEmail }
+        });
+
+        // The owner hears about it even if the session asking was not theirs
+        try {
+            const notice = loadTemplate('emailChangeNotice', {
+                name: escapeHtml(req.user.name || 'there'),
+                newEmail: escapeHtml(newEmail)
+            });
+            await sendMail(req.user.email, 'Your FED KIIT email is being changed', notice);
+        } catch (error) {
+            console.error('Error sending email change notice:', error);
+        }
+
+        console.log(`Email change to ${newEmail} requested by ${req.user.email}`);
+        res.status(200).json({ message: `OTP sent to ${newEmail}. Valid for ${validity} mins`, code: sentOtp.code, resendAvailableIn: sentOtp.resendAvailableIn });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error requesting email change:', error);
+        next(new ApiError(500, 'Error requesting email change', error));
+    }
+});
+
+//@description     Confirm the new email with the OTP sent to it. Every other session is signed out
+//@route           POST /api/user/email/change/confirm
+//@access          Signed in user
+const confirmEmailChange = expressAsyncHandler(async (req, res, next) => {
+    const { otp } = req.body;
+
+    try {
+        if (!otp) {
+            return next(new ApiError(400, "OTP is required"));
+        }
+
+        const { pendingEmail } = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { pendingEmail: true }
+        });
+        if (!pendingEmail) {
+            return next(new ApiError(400, "No email change was requested"));
+        }
+
+        const otpStatus = await verifyOtp(pendingEmail, otp, OtpPurpose.EMAIL_CHANGE, true, getClientInfo(req).ip);
+        if (!otpStatus.id) {
+            return next(new ApiError(otpStatus.status, otpStatus.message, [{ code: otpStatus.code, attemptsLeft: otpStatus.attemptsLeft }]));
+        }
+
+        // Someone may have signed up with it since the OTP was sent
+        if (await isEmailTaken(pendingEmail)) {
+            await prisma.user.update({ where: { id: req.user.id }, data: { pendingEmail: null } });
+            return next(new ApiError(409, "An account already exists with this email"));
+        }
+
+        const updatedUser = await changeUserEmail(req.user, pendingEmail);
+
+        await revokeUserSessions(req.user.id, 'EMAIL_CHANGED', req.authSession.id);
+        setAccessTokenCookie(res, signAccessToken(updatedUser, req.authSession));
+
+        await recordAudit(req, {
+            action: AuditActions.EMAIL_CHANGED,
+            target: updatedUser,
+            before: { email: req.user.email },
+            after: { email: updatedUser.email }
+        });
+
+        const { password, identities, ...user } = updatedUser;
+        res.status(200).json({ success: true, message: "Email changed", user });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error confirming email change:', error);
+        next(new ApiError(500, 'Error confirming email change', error));
+    }
+});
+
+module.exports = { requestEmailChange, confirmEmailChange };
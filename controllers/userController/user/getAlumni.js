@@ -2,37 +2,163 @@ const { PrismaClient, AccessTypes } = require('@prisma/client');
 const prisma = new PrismaClient();
 const expressAsyncHandler = require('express-async-handler');
 const { ApiError } = require('../../../utils/error/ApiError');
+const { getAcademicYearRange } = require('../../../utils/user/rollNumber');
+const getTenuresInYear = require('../../../utils/tenure/getTenuresInYear');
+const { getLastRoles, toAlumniCard, parseAlumniProfileUpdate } = require('../../../utils/alumni/alumniProfile');
 
-//@description     Fetch Teams
-//@route           GET /api/user/team
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+const ALUMNI_SELECT = {
+    id: true,
+    name: true,
+    email: true,
+    img: true,
+    blurhash: true,
+    extra: true,
+    alumniProfile: true
+};
+
+const contains = (value, term) => String(value ?? '').toLowerCase().includes(term);
+
+//@description     Fetch Alumni, all of them or those who were on the team of an academic year (?year=2024-25).
+//                 Only what each alumnus made public is returned
+//@route           GET /api/user/fetchAlumni
 //@access          Public
 const fetchAlumni = expressAsyncHandler(async (req, res, next) => {
     try {
+        let tenures = null;
+        if (req.query.year) {
+            const range = getAcademicYearRange(req.query.year);
+            if (!range) {
+                return next(new ApiError(400, 'Invalid year, expected an academic year like 2024-25'));
+            }
+            tenures = await getTenuresInYear(range, {
+                notIn: [AccessTypes.USER, AccessTypes.ADMIN, AccessTypes.ALUMNI, AccessTypes.EX_MEMBER]
+            });
+        }
+
         // Fetch users with specific access types
         const users = await prisma.user.findMany({
             where: {
                 access: {
                     in: [AccessTypes.ALUMNI]
-                }
+                },
+                ...(tenures ? { id: { in: [...tenures.keys()] } } : {})
             },
-            select: {
-                name: true,
-                access: true,
-                img: true,
-                email: true,
-                extra: true
-            }
+            select: ALUMNI_SELECT
         });
 
         if (users.length === 0) {
             return next(new ApiError(404, 'No teams found'));
         }
 
-        res.status(200).json({ success: true, data: users });
+        const lastRoles = await getLastRoles(users.map(user => user.id));
+        const cards = users.map(user => ({ ...toAlumniCard(user, lastRoles, null), access: AccessTypes.ALUMNI }));
+
+        if (!tenures) {
+            return res.status(200).json({ success: true, data: cards.map(({ id, ...card }) => card) });
+        }
+
+        // The post each alumnus held in that year
+        res.status(200).json({
+            success: true,
+            year: req.query.year,
+            data: cards.map(({ id, ...card }) => ({ ...card, accessInYear: tenures.get(id).access }))
+        });
     } catch (error) {
         console.error('Error fetching teams:', error);
         next(new ApiError(500, 'Error fetching teams', error));
     }
 });
 
-module.exports = { fetchAlumni };
+//@description     Search and page through the alumni network. Filters only match what the viewer is allowed to see
+//@route           GET /api/user/alumni?search=&graduationYear=&organisation=&location=&mentoring=true&page=&limit=
+//@access          Public, signed in users see fields shared with them
+const fetchAlumniDirectory = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { search, graduationYear, organisation, location, mentoring } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        if (graduationYear && !/^\d{4}$/.test(graduationYear)) {
+            return next(new ApiError(400, 'Invalid graduationYear, expected a year like 2024'));
+        }
+
+        // Stored values narrow the query, visibility is per alumnus and per field so the cards the viewer gets are filtered again
+        const profileFilter = {};
+        if (graduationYear) profileFilter.graduationYear = Number(graduationYear);
+        if (mentoring === 'true') profileFilter.openToMentoring = true;
+        if (organisation) profileFilter.organisation = { contains: organisation, mode: 'insensitive' };
+        if (location) profileFilter.location = { contains: location, mode: 'insensitive' };
+
+        const users = await prisma.user.findMany({
+            where: {
+                access: AccessTypes.ALUMNI,
+                ...(Object.keys(profileFilter).length > 0 ? { alumniProfile: { is: profileFilter } } : {})
+            },
+            select: ALUMNI_SELECT,
+            orderBy: [{ name: 'asc' }, { id: 'asc' }]
+        });
+        const lastRoles = await getLastRoles(users.map(user => user.id));
+
+        const terms = String(search ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+        const cards = users
+            .map(user => toAlumniCard(user, lastRoles, req.user))
+            .filter(card => terms.every(term => [card.name, card.organisation, card.location, card.lastRole?.title].some(value => contains(value, term))))
+            .filter(card => !graduationYear || card.graduationYear === Number(graduationYear))
+            .filter(card => !organisation || contains(card.organisation, organisation.toLowerCase()))
+            .filter(card => !location || contains(card.location, location.toLowerCase()))
+            .filter(card => mentoring !== 'true' || card.openToMentoring === true);
+
+        res.status(200).json({
+            success: true,
+            data: cards.slice((page - 1) * limit, page * limit),
+            total: cards.length,
+            page,
+            pages: Math.ceil(cards.length / limit)
+        });
+    } catch (error) {
+        console.error('Error fetching alumni directory:', error);
+        next(new ApiError(500, 'Error fetching alumni directory', error));
+    }
+});
+
+//@description     Get own alumni profile with its visibility settings
+//@route           GET /api/user/alumni/profile
+//@access          alumni.profile.update
+const getAlumniProfile = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const lastRoles = await getLastRoles([req.user.id]);
+        res.status(200).json({ success: true, data: toAlumniCard(req.user, lastRoles, req.user) });
+    } catch (error) {
+        console.error('Error fetching alumni profile:', error);
+        next(new ApiError(500, 'Error fetching alumni profile', error));
+    }
+});
+
+//@description     Update own alumni profile. Only the fields sent change, `visibility` sets who sees each field
+//@route           PUT /api/user/alumni/profile
+//@access          alumni.profile.update
+const updateAlumniProfile = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const alumniProfile = parseAlumniProfileUpdate(req.body, req.user.alumniProfile || {});
+
+        const user = await prisma.user.update({
+            where: { id: req.user.id },
+            data: { alumniProfile: { set: alumniProfile } },
+            select: ALUMNI_SELECT
+        });
+
+        const lastRoles = await getLastRoles([user.id]);
+        res.status(200).json({ success: true, message: 'Alumni profile updated', data: toAlumniCard(user, lastRoles, req.user) });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error updating alumni profile:', error);
+        next(new ApiError(500, 'Error updating alumni profile', error));
+    }
+});
+
+module.exports = { fetchAlumni, fetchAlumniDirectory, getAlumniProfile, updateAlumniProfile };
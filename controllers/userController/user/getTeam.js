@@ -1,13 +1,30 @@
+const crypto = require('crypto');
 const { PrismaClient, AccessTypes } = require('@prisma/client');
 const prisma = new PrismaClient();
 const expressAsyncHandler = require('express-async-handler');
 const { ApiError } = require('../../../utils/error/ApiError');
+const { getAcademicYearRange } = require('../../../utils/user/rollNumber');
+const getTenuresInYear = require('../../../utils/tenure/getTenuresInYear');
+const { getTeamHierarchy } = require('../../../utils/team/teamHierarchy');
 
-//@description     Fetch Teams
+const TEAM_SELECT = {
+    id: true,
+    name: true,
+    access: true,
+    img: true,
+    email: true,
+    extra: true
+};
+
+//@description     Fetch Teams, the current one or the team of an academic year (?year=2024-25)
 //@route           GET /api/user/fetchTeam
 //@access          Public
 const fetchTeam = expressAsyncHandler(async (req, res, next) => {
     try {
+        if (req.query.year) {
+            return fetchTeamOfYear(req, res, next);
+        }
+
         // Fetch users with specific access types
         const users = await prisma.user.findMany({
             where: {
@@ -15,14 +32,7 @@ const fetchTeam = expressAsyncHandler(async (req, res, next) => {
                     notIn: [AccessTypes.USER, AccessTypes.ADMIN]
                 }
             },
-            select: {
-                id: true,
-                name: true,
-                access: true,
-                img: true,
-                email: true,
-                extra: true
-            }
+            select: TEAM_SELECT
         });
 
         if (users.length === 0) {
@@ -36,4 +46,66 @@ const fetchTeam = expressAsyncHandler(async (req, res, next) => {
     }
 });
 
-module.exports = { fetchTeam };
+// Members who held a post during the academic year, with the post they held rather than their current access
+const fetchTeamOfYear = async (req, res, next) => {
+    const range = getAcademicYearRange(req.query.year);
+    if (!range) {
+        return next(new ApiError(400, 'Invalid year, expected an academic year like 2024-25'));
+    }
+
+    const tenures = await getTenuresInYear(range, {
+        notIn: [AccessTypes.USER, AccessTypes.ADMIN, AccessTypes.ALUMNI, AccessTypes.EX_MEMBER]
+    });
+
+    const users = await prisma.user.findMany({
+        where: { id: { in: [...tenures.keys()] } },
+        select: TEAM_SELECT
+    });
+
+    if (users.length === 0) {
+        return next(new ApiError(404, 'No teams found'));
+    }
+
+    res.status(200).json({
+        success: true,
+        year: req.query.year,
+        data: users.map(user => {
+            const tenure = tenures.get(user.id);
+            return { ...user, currentAccess: user.access, access: tenure.access, tenure: { startedAt: tenure.startedAt, endedAt: tenure.endedAt } };
+        })
+    });
+};
+
+//@description     Fetch the team as a hierarchy: leadership, then every department from director down to members,
+//                 in the display order set by admins. Answers 304 when the If-None-Match ETag is still current
+//@route           GET /api/user/team?year=2024-25
+//@access          Public
+const fetchTeamHierarchy = expressAsyncHandler(async (req, res, next) => {
+    try {
+        let range = null;
+        if (req.query.year) {
+            range = getAcademicYearRange(req.query.year);
+            if (!range) {
+                return next(new ApiError(400, 'Invalid year, expected an academic year like 2024-25'));
+            }
+        }
+
+        const { hierarchy, count } = await getTeamHierarchy({ range });
+        const body = { success: true, year: req.query.year || null, count, data: hierarchy };
+
+        const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+        res.setHeader('ETag', etag);
+        res.setHeader('Cache-Control', 'public, no-cache');
+
+        if (req.headers['if-none-match'] === etag) {
+            return res.status(304).end();
+        }
+
+        res.status(200).json(body);
+    } catch (error) {
+        console.error('Error fetching team hierarchy:', error);
+        next(new ApiError(500, 'Error fetching team hierarchy', error));
+    }
+});
+
+module.exports = { fetchTeam, fetchTeamHierarchy };
@@ -0,0 +1,98 @@
+const { PrismaClient, AccessTypes } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const isObjectId = require('../../../utils/validation/isObjectId');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Fields the directory can return. password and linked identities are never selectable.
+const DIRECTORY_FIELDS = ['id', 'name', 'email', 'access', 'year', 'img', 'rollNumber', 'school', 'college', 'contactNo', 'whatsappNo', 'extra', 'regForm', 'createdWith'];
+const DEFAULT_FIELDS = ['id', 'name', 'email', 'access', 'year', 'rollNumber', 'school', 'college'];
+
+// `id` doubles as creation order, ObjectIds grow over time
+const SORT_FIELDS = ['id', 'name', 'email', 'access', 'year', 'rollNumber'];
+
+const toList = (value) => String(value ?? '').split(',').map(item => item.trim()).filter(Boolean);
+
+const exactMatch = (value) => ({ equals: String(value).trim(), mode: 'insensitive' });
+
+// Every word of the search has to appear in the name, email or roll number
+const buildSearch = (search) => toList(String(search).replace(/\s+/g, ',')).map(word => ({
+    OR: ['name', 'email', 'rollNumber'].map(field => ({ [field]: { contains: word, mode: 'insensitive' } }))
+}));
+
+//@description     Search and page through users. Pass `nextCursor` back as `cursor` for the next page
+//@route           GET /api/user/users?search=&access=&year=&school=&college=&formId=&sort=&order=&fields=&cursor=&limit=
+//@access          user.read
+const listUsers = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { search, access, year, school, college, formId, cursor, sort = 'id' } = req.query;
+        const order = req.query.order === 'asc' ? 'asc' : req.query.order === 'desc' ? 'desc' : sort === 'id' ? 'desc' : 'asc';
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        if (cursor && !isObjectId(cursor)) {
+            return next(new ApiError(400, 'Invalid cursor'));
+        }
+        if (!SORT_FIELDS.includes(sort)) {
+            return next(new ApiError(400, `Invalid sort, expected one of ${SORT_FIELDS.join(', ')}`));
+        }
+
+        const fields = req.query.fields ? toList(req.query.fields) : DEFAULT_FIELDS;
+        const unknownFields = fields.filter(field => !DIRECTORY_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            return next(new ApiError(400, `Fields not available: ${unknownFields.join(', ')}`, unknownFields.map(field => ({ field }))));
+        }
+
+        const conditions = [];
+        if (search) {
+            conditions.push(...buildSearch(search));
+        }
+        if (access) {
+            const accessTypes = toList(access).map(value => value.toUpperCase().replace(/\s+/g, '_'));
+            const invalid = accessTypes.filter(value => !Object.values(AccessTypes).includes(value));
+            if (invalid.length > 0) {
+                return next(new ApiError(400, `Invalid access type ${invalid.join(', ')}`));
+            }
+            conditions.push({ access: { in: accessTypes } });
+        }
+        if (year) conditions.push({ year: exactMatch(year) });
+        if (school) conditions.push({ school: exactMatch(school) });
+        if (college) conditions.push({ college: exactMatch(college) });
+        if (formId) conditions.push({ regForm: { has: formId } });
+
+        // Deleted accounts stay as anonymised tombstones, they are no longer users. Never deleted ones have no deletedAt at all
+        conditions.push({ OR: [{ deletedAt: null }, { deletedAt: { isSet: false } }] });
+
+        const where = { AND: conditions };
+
+        // Ties on the sort field are broken by id so pages never overlap
+        const orderBy = sort === 'id' ? [{ id: order }] : [{ [sort]: order }, { id: order }];
+
+        const [users, total] = await Promise.all([
+            prisma.user.findMany({
+                where,
+                orderBy,
+                take: limit,
+                ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+                select: Object.fromEntries([...new Set(['id', ...fields])].map(field => [field, true]))
+            }),
+            prisma.user.count({ where })
+        ]);
+
+        const nextCursor = users.length === limit ? users[users.length - 1].id : null;
+
+        res.status(200).json({
+            success: true,
+            data: fields.includes('id') ? users : users.map(({ id, ...user }) => user),
+            total,
+            nextCursor
+        });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        next(new ApiError(500, 'Error listing users', error));
+    }
+});
+
+module.exports = { listUsers };
@@ -0,0 +1,95 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const expressAsyncHandler = require('express-async-handler');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { planUserMerge, applyUserMerge } = require('../../../utils/user/mergeUsers');
+const { revokeUserSessions } = require('../../../utils/session/revokeSessions');
+const { AuditActions, recordAudit } = require('../../../utils/audit/recordAudit');
+
+// `sourceEmail` is merged into `targetEmail`, the account that survives
+const findAccounts = async ({ sourceEmail, targetEmail }) => {
+    if (!sourceEmail || !targetEmail) {
+        throw new ApiError(400, "Missing fields: sourceEmail, targetEmail");
+    }
+
+    const [source, target] = await Promise.all([
+        prisma.user.findUnique({ where: { email: sourceEmail } }),
+        prisma.user.findUnique({ where: { email: targetEmail } })
+    ]);
+
+    if (!source || !target) {
+        throw new ApiError(404, 'User not found', [{ email: !source ? sourceEmail : targetEmail }]);
+    }
+    return { source, target };
+};
+
+//@description     Dry run of merging two accounts: what moves, which conflicts are resolved and how, what blocks the merge
+//@route           POST /api/user/merge/preview
+//@access          user.merge
+const previewAccountMerge = expressAsyncHandler(async (req, res, next) => {
+    try {
+        const { source, target } = await findAccounts(req.body);
+        const { report, planHash } = await planUserMerge(source, target);
+
+        res.status(200).json({
+            success: true,
+            canMerge: report.blockers.length === 0,
+            planHash,
+            report
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error previewing account merge:', error);
+        next(new ApiError(500, 'Error previewing account merge', error));
+    }
+});
+
+//@description     Merge two accounts as previewed. `planHash` from the preview is required, the merge is refused if anything changed since
+//@route           POST /api/user/merge
+//@access          user.merge, with a recent two-factor verification
+const mergeAccounts = expressAsyncHandler(async (req, res, next) => {
+    try {
+        if (!req.body.planHash) {
+            return next(new ApiError(400, "planHash is required, preview the merge first"));
+        }
+
+        const { source, target } = await findAccounts(req.body);
+        const { report, steps, planHash } = await planUserMerge(source, target);
+
+        if (report.blockers.length > 0) {
+            return next(new ApiError(409, 'The accounts cannot be merged yet', report.blockers));
+        }
+        if (planHash !== req.body.planHash) {
+            return next(new ApiError(409, 'The accounts changed since the preview, preview the merge again'));
+        }
+
+        const user = await applyUserMerge(source, target, steps);
+        await revokeUserSessions(source.id, 'ACCOUNT_MERGED');
+
+        await recordAudit(req, {
+            action: AuditActions.ACCOUNTS_MERGED,
+            target: user,
+            before: { source: report.source, target: report.target },
+            after: report.result,
+            metadata: { moves: report.moves, conflicts: report.conflicts }
+        });
+
+        console.log(`Account ${source.email} merged into ${target.email} by ${req.user.email}`);
+        res.status(200).json({
+            success: true,
+            message: `${source.email} merged into ${target.email}`,
+            user: { id: user.id, email: user.email, name: user.name, access: user.access, mergedEmails: user.mergedEmails },
+            report
+        });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return next(error);
+        }
+        console.error('Error merging accounts:', error);
+        next(new ApiError(500, 'Error merging accounts', error));
+    }
+});
+
+module.exports = { previewAccountMerge, mergeAccounts };
@@ -1,22 +1,80 @@
 // controllers/form/formController.js
 const { addMember } = require('./member/addMember');
-const { addMembersThroughExcel } = require('./member/addMembersThroughExcel');
+const { previewMemberImport, commitMemberImport, getMemberImportReport } = require('./member/memberImport');
 const { deleteMember } = require('./member/deleteMember');
+const { getDepartmentMembers } = require('./member/getDepartmentMembers');
 const { editProfile }= require('./member/editProfile');
 const { fetchAccessTypes } = require('./member/fetchAccessTypes');
+const { setTeamOrder } = require('./member/teamOrder');
 const { deleteUser } = require('./user/deleteUser');
-const { fetchAlumni } = require('./user/getAlumni');
-const { fetchTeam } = require('./user/getTeam');
+const { fetchAlumni, fetchAlumniDirectory, getAlumniProfile, updateAlumniProfile } = require('./user/getAlumni');
+const { fetchTeam, fetchTeamHierarchy } = require('./user/getTeam');
 const { fetchUser } = require('./user/getUser');
+const { listUsers } = require('./user/listUsers');
+const { previewAccountMerge, mergeAccounts } = require('./user/mergeAccounts');
+const { exportAccountData, requestAccountDeletion, confirmAccountDeletion } = require('./user/accountData');
+const { requestEmailChange, confirmEmailChange } = require('./user/changeEmail');
+const { getLocks, clearLock, clearLocks } = require('./security/locks');
+const { getApiKeys, createApiKey, revokeApiKey } = require('./security/apiKeys');
+const { getPermissionPolicy, getUserPermissions } = require('./security/permissions');
+const { getAuditLog } = require('./security/auditLog');
+const { startImpersonation, stopImpersonation, getImpersonations } = require('./security/impersonation');
+const { createRoleChangeRequest, getRoleChangeRequests, approveRoleChangeRequest, rejectRoleChangeRequest, cancelRoleChangeRequest } = require('./roleChange/roleChangeRequests');
+const { createProfileChangeRequest, getOwnProfileChangeRequests, getProfileChangeRequests, approveProfileChangeRequest, rejectProfileChangeRequest, cancelProfileChangeRequest } = require('./profileChange/profileChangeRequests');
+const { getSessions, signOutSession, signOutAllSessions, getUserSessions, forceSignOutUser } = require('./session/sessions');
 
 module.exports = {
     addMember,
     fetchUser,
+    listUsers,
+    previewAccountMerge,
+    mergeAccounts,
+    exportAccountData,
+    requestAccountDeletion,
+    confirmAccountDeletion,
+    requestEmailChange,
+    confirmEmailChange,
     fetchTeam,
+    fetchTeamHierarchy,
+    setTeamOrder,
     editProfile,
     deleteMember,
     deleteUser,
     fetchAccessTypes,
     fetchAlumni,
-    addMembersThroughExcel
+    fetchAlumniDirectory,
+    getAlumniProfile,
+    updateAlumniProfile,
+    previewMemberImport,
+    commitMemberImport,
+    getMemberImportReport,
+    getSessions,
+    signOutSession,
+    signOutAllSessions,
+    getUserSessions,
+    forceSignOutUser,
+    getLocks,
+    clearLock,
+    clearLocks,
+    getApiKeys,
+    createApiKey,
+    revokeApiKey,
+    getPermissionPolicy,
+    getUserPermissions,
+    getDepartmentMembers,
+    getAuditLog,
+    createRoleChangeRequest,
+    getRoleChangeRequests,
+    approveRoleChangeRequest,
+    rejectRoleChangeRequest,
+    cancelRoleChangeRequest,
+    startImpersonation,
+    stopImpersonation,
+    getImpersonations,
+    createProfileChangeRequest,
+    getOwnProfileChangeRequests,
+    getProfileChangeRequests,
+    approveProfileChangeRequest,
+    rejectProfileChangeRequest,
+    cancelProfileChangeRequest
 };
\ No newline at end of file
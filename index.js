@@ -100,6 +100,10 @@ const errorHandler = require('./middleware/errorHandler');
 const logRequestBody = require('./middleware/requestLog');
 // const passport = require("passport");
 const cookieSession = require("cookie-session");
+const ensureTtlIndexes = require('./utils/db/ensureTtlIndexes');
+const { scheduleAcademicRollover } = require('./utils/jobs/academicRollover');
+const runJobOnce = require('./utils/jobs/runJobOnce');
+const backfillTenures = require('./utils/tenure/backfillTenures');
 
 const app = express();
 
@@ -126,7 +130,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-API-Key", "X-Impersonation-Token"],
   exposedHeaders: ["Content-Length"]
 };
 
@@ -232,4 +236,13 @@ app.use('/', (req, res) => {
 // Start server
 app.listen(PORT, () => {
     console.log(`FED-Backend listening to PORT -> ${PORT}`);
+
+    // Expiry of OTPs and sessions is left to MongoDB TTL indexes
+    ensureTtlIndexes();
+
+    // Members from before tenure history get an open tenure, once across all instances.
+    // Keep study years in step with the academic calendar and move graduates to ALUMNI
+    runJobOnce('tenureBackfill', 'v1', backfillTenures)
+        .catch(error => console.error('Error backfilling tenures:', error))
+        .finally(scheduleAcademicRollover);
 });
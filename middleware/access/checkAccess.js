@@ -1,10 +1,88 @@
 const { ApiError } = require("../../utils/error/ApiError");
-const { PrismaClient, AccessTypes } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { FormCapability, AccessTypes } = require("@prisma/client");
+const { hasRecentTwoFactor, isTwoFactorMandatory, RECENT_TWO_FACTOR_MINUTES } = require("../../utils/twoFactor/policy");
+const getTwoFactorState = require("../../utils/twoFactor/getTwoFactorState");
+const { isKnownPermission, hasPermission, getRolePermissions } = require("../../utils/access/permissions");
+const { hasFormCapability } = require("../../utils/form/formCollaborators");
+const findUserByEmail = require("../../utils/user/findUserByEmail");
+
+// Form ID of routes keyed by form, `:id`, `:formId` or a formId in the body
+const defaultFormId = (req) => req.params.id || req.params.formId || req.body?.formId;
+
+// Usage: checkAccess('form.create'), passes if the user has any of the listed permissions.
+// Permissions and the roles holding them are defined in config/permissions.js
+// Sensitive routes can also demand a recently verified second factor:
+// checkAccess('form.delete', { recentTwoFactor: true }) or { recentTwoFactor: <minutes> }
+// With { recentTwoFactorFor: ['member.delete'] } only holders of those permissions are asked for it
+// Routes keyed by a form also let that form's collaborators through when they hold the capability:
+// checkAccess('form.update', { formCapability: 'EDIT' }), with { formId: (req) => ... } when the ID is elsewhere
+// Roles that must enroll in two-factor authentication are held to what a USER may do until they have enrolled
+// API keys are let through, verifyToken already matched them against the route's allowApiKey scope
+const checkAccess = (...requiredPermissions) => {
+  const options =
+    typeof requiredPermissions[requiredPermissions.length - 1] === "object"
+      ? requiredPermissions.pop()
+      : {};
+
+  if (options.formCapability && !Object.values(FormCapability).includes(options.formCapability)) {
+    throw new Error(`checkAccess: unknown form capability ${options.formCapability}`);
+  }
+
+  const unknown = requiredPermissions.filter((permission) => !isKnownPermission(permission));
+  if (unknown.length > 0) {
+    throw new Error(`checkAccess: unknown permissions ${unknown.join(", ")}`);
+  }
+
+  const assertRecentTwoFactor = (req, user) => {
+    if (!options.recentTwoFactor) {
+      return;
+    }
+    if (options.recentTwoFactorFor && !options.recentTwoFactorFor.some((permission) => hasPermission(user, permission))) {
+      return;
+    }
+    const minutes =
+      typeof options.recentTwoFactor === "number"
+        ? options.recentTwoFactor
+        : RECENT_TWO_FACTOR_MINUTES;
+
+    if (!hasRecentTwoFactor(req.authSession, minutes)) {
+      throw new ApiError(
+        403,
+        "Two-factor verification required. Verify through /api/auth/twoFactor/stepUp and retry",
+        [{ code: "TWO_FACTOR_REQUIRED" }]
+      );
+    }
+  };
+
+  // Anything beyond what every USER may do, including acting as a form collaborator
+  const isPrivileged = (permissions) => {
+    const userPermissions = getRolePermissions(AccessTypes.USER);
+    return permissions.length === 0 || permissions.some((permission) => !userPermissions.includes(permission));
+  };
+
+  const assertTwoFactorSetUp = async (user, permissions) => {
+    if (!isTwoFactorMandatory(user.access) || !isPrivileged(permissions)) {
+      return;
+    }
+    const { setupRequired } = await getTwoFactorState(user);
+    if (setupRequired) {
+      throw new ApiError(
+        403,
+        "Two-factor authentication must be set up before using this. Enroll through /api/auth/twoFactor/setup",
+        [{ code: "TWO_FACTOR_SETUP_REQUIRED" }]
+      );
+    }
+  };
 
-const checkAccess = (...requiredAccess) => {
   return async (req, res, next) => {
     try {
+      if (req.apiKey) {
+        if (options.recentTwoFactor) {
+          throw new ApiError(403, "API keys cannot be used for this action");
+        }
+        return next();
+      }
+
       let user;
       if (req.user) {
         user = req.user;
@@ -15,9 +93,8 @@ const checkAccess = (...requiredAccess) => {
           throw new ApiError(400, "Email is required");
         }
 
-        user = await prisma.user.findUnique({
-          where: { email },
-        });
+        // Emails of merged accounts sign in to the account they were merged into
+        user = await findUserByEmail(email);
 
         if (!user) {
           throw new ApiError(404, "User not found!");
@@ -26,24 +103,25 @@ const checkAccess = (...requiredAccess) => {
         req.user = user;
       }
 
-      // Check if the user is admin
-      if (user.access === AccessTypes.ADMIN) {
+      // Check if the user holds any of the required permissions
+      const granted = requiredPermissions.filter((permission) => hasPermission(user, permission));
+      if (granted.length > 0) {
+        await assertTwoFactorSetUp(user, granted);
+        assertRecentTwoFactor(req, user);
         return next();
       }
 
-      // Check if user has any of the required access types
-      const hasRequiredAccess = requiredAccess.some((access) => {
-        if (access === "MEMBER") {
-          return user.access !== AccessTypes.USER;
+      if (options.formCapability) {
+        const formId = await (options.formId || defaultFormId)(req);
+        if (await hasFormCapability(formId, user, options.formCapability)) {
+          await assertTwoFactorSetUp(user, []);
+          assertRecentTwoFactor(req, user);
+          req.formCapability = { formId, capability: options.formCapability };
+          return next();
         }
-        return user.access === access;
-      });
-
-      if (hasRequiredAccess) {
-        return next();
       }
 
-      throw new ApiError(403, "Unauthorized");
+      throw new ApiError(403, "Unauthorized", [{ code: "MISSING_PERMISSION", permissions: requiredPermissions, formCapability: options.formCapability }]);
     } catch (error) {
       console.log("Could not pass checkAccess middleware", error);
       if (error instanceof ApiError) {
@@ -0,0 +1,9 @@
+// Marks a route as usable with an API key holding `scope`. Must run before verifyToken,
+// which turns API keys away from every route that did not opt in.
+// Usage: allowApiKey('certificates:send') or allowApiKey(req => `attendance:mark:${req.body.formId}`)
+const allowApiKey = (scope) => (req, res, next) => {
+    req.apiKeyScope = typeof scope === 'function' ? scope(req) : scope;
+    next();
+};
+
+module.exports = { allowApiKey };
@@ -0,0 +1,15 @@
+// Marks a POST route as read-only, so an admin viewing as a user may call it.
+// Must run before verifyToken, which turns impersonation away from every other non-GET route.
+const allowImpersonation = (req, res, next) => {
+    req.impersonationAllowed = true;
+    next();
+};
+
+// Marks a GET route that writes in the user's name, so verifyToken turns impersonation away from it.
+// Must run before verifyToken as well.
+const blockImpersonation = (req, res, next) => {
+    req.impersonationAllowed = false;
+    next();
+};
+
+module.exports = { allowImpersonation, blockImpersonation };
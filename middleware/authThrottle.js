@@ -0,0 +1,32 @@
+const { ApiError } = require('../utils/error/ApiError');
+const { assertNotLocked, recordFailedAttempt } = require('../utils/throttle/authThrottle');
+const { getClientInfo } = require('../utils/request/getClientInfo');
+
+// Reject the request while the email in the body or the caller's IP is locked for the scope.
+// With countRequest every request is counted as an attempt, used for endpoints that send OTPs.
+const throttle = (scope, { countRequest = false } = {}) => {
+    return async (req, res, next) => {
+        try {
+            const identity = { email: req.body?.email, ip: getClientInfo(req).ip };
+
+            await assertNotLocked(scope, identity);
+
+            if (countRequest) {
+                await recordFailedAttempt(scope, identity);
+            }
+
+            next();
+        } catch (error) {
+            if (error instanceof ApiError) {
+                if (error.errors?.[0]?.retryAfter) {
+                    res.set('Retry-After', String(error.errors[0].retryAfter));
+                }
+                return next(error);
+            }
+            console.error('Error in throttle middleware:', error);
+            next(new ApiError(500, 'Internal Server Error', error));
+        }
+    };
+};
+
+module.exports = { throttle };
@@ -2,10 +2,84 @@ const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const jwt = require("jsonwebtoken");
 const { ApiError } = require('../utils/error/ApiError');
+const getActiveSession = require('../utils/session/getActiveSession');
+const { getApiKeyFromRequest, authenticateApiKey } = require('../utils/apiKey/apiKeys');
+const { hasScope } = require('../utils/apiKey/scopes');
+const { getClientInfo } = require('../utils/request/getClientInfo');
+const { getImpersonationToken, authenticateImpersonation, isReadOnlyRequest, auditImpersonatedRequest } = require('../utils/impersonation/impersonation');
+
+// API keys only pass on routes that declared a scope with allowApiKey
+const verifyApiKey = async (req, key, next) => {
+    if (!req.apiKeyScope) {
+        return next(new ApiError(403, "API keys are not accepted on this route"));
+    }
+
+    try {
+        const apiKey = await authenticateApiKey(key, getClientInfo(req).ip);
+
+        if (!apiKey) {
+            console.log("API key invalid, revoked or expired");
+            return next(new ApiError(401, "Unauthorized: Invalid, revoked or expired API key"));
+        }
+
+        if (!hasScope(apiKey.scopes, req.apiKeyScope)) {
+            return next(new ApiError(403, `API key is missing the scope ${req.apiKeyScope}`));
+        }
+
+        req.apiKey = apiKey;
+        console.log(`API key ${apiKey.prefix} (${apiKey.name}) verified for ${req.apiKeyScope}`);
+        next();
+    } catch (err) {
+        console.log("Error during API key verification:", err);
+        return next(new ApiError(500, "Internal Server Error", err));
+    }
+};
+
+// An admin viewing the app as a user: read-only, and every request is audited
+const verifyImpersonation = async (req, res, token, next) => {
+    try {
+        const impersonation = await authenticateImpersonation(token);
+
+        if (!impersonation) {
+            console.log("Impersonation ended, expired or no longer allowed");
+            return next(new ApiError(401, "Unauthorized: Impersonation session has ended"));
+        }
+
+        req.user = impersonation.user;
+        req.authSession = impersonation.session;
+        req.impersonator = impersonation.impersonator;
+        auditImpersonatedRequest(req, res);
+
+        if (!isReadOnlyRequest(req)) {
+            console.log(`Blocked ${req.method} ${req.originalUrl} while ${req.impersonator.email} impersonates ${req.user.email}`);
+            return next(new ApiError(403, "Impersonation is read-only", [{ code: "IMPERSONATION_READ_ONLY" }]));
+        }
+
+        console.log(`${req.impersonator.email} is viewing as ${req.user.email}`);
+        next();
+    } catch (err) {
+        console.log("Error during impersonation verification:", err);
+        if (err.name === 'TokenExpiredError' || err.name === 'JsonWebTokenError') {
+            return next(new ApiError(401, "Unauthorized: Impersonation session has ended", err));
+        }
+        return next(new ApiError(500, "Internal Server Error", err));
+    }
+};
 
 const verifyToken = async (req, res, next) => {
     console.log("VerifyToken middleware is being called");
     
+    // Machine clients authenticate with an API key instead of a user token
+    const apiKey = getApiKeyFromRequest(req);
+    if (apiKey) {
+        return verifyApiKey(req, apiKey, next);
+    }
+
+    const impersonationToken = getImpersonationToken(req);
+    if (impersonationToken) {
+        return verifyImpersonation(req, res, impersonationToken, next);
+    }
+
     // Extract the token from cookies or headers
     console.log(req.headers);
     const tokenFromCookies = req.cookies?.token;
@@ -28,7 +102,7 @@ const verifyToken = async (req, res, next) => {
     console.log("Extracted Token:", token);
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET, { maxAge: '70h' });
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
         console.log("Token verified");
         console.log(decoded);
@@ -42,7 +116,22 @@ const verifyToken = async (req, res, next) => {
             return next(new ApiError(404, "User not found"));
         }
 
+        // Tokens are only honoured while the session they were issued for is alive
+        const session = await getActiveSession(decoded.sid, user.id);
+
+        if (!session) {
+            console.log("Session revoked or expired");
+            return next(new ApiError(401, "Unauthorized: Session has been revoked or expired"));
+        }
+
+        // Impersonation tokens only work through their own header, never as a regular sign-in
+        if (session.impersonatedById) {
+            console.log("Impersonation token used as a regular token");
+            return next(new ApiError(401, "Unauthorized: Send impersonation tokens in the X-Impersonation-Token header"));
+        }
+
         req.user = user;
+        req.authSession = session;
         console.log("Token verified successfully");
         next();
 
@@ -5,13 +5,19 @@ const { registerValidationRules, loginValidationRules } = require('../../../midd
 // const passport = require('passport');
 
 // Import the auth controllers required
-const { login, verifyEmail, register, forgetPassword, changePassword, logout, googleAuth, googleLogin } = require('../../../controllers/auth/authController');
+const { login, verifyEmail, resendOtp, requestMagicLink, consumeMagicLink, register, forgetPassword, changePassword, logout, refresh, googleAuth, googleLogin } = require('../../../controllers/auth/authController');
 // const {googleCallback} = require('../../../controllers/auth/google/googleCallback')
 // const { loginSuccess } = require('../../../controllers/auth/google/loginSuccess')
 // const { loginFailed } = require('../../../controllers/auth/google/loginFailed')
 
+const { getTwoFactorStatus, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } = require('../../../controllers/auth/twoFactor/enrollment');
+const { verifyTwoFactorLogin, stepUpTwoFactor } = require('../../../controllers/auth/twoFactor/verification');
+const { getIdentities, linkGoogle, unlinkIdentity } = require('../../../controllers/auth/identities');
+
 // Import the middlewares required
 const { checkAccess } = require('../../../middleware/access/checkAccess');
+const { verifyToken } = require('../../../middleware/verifyToken');
+const { throttle } = require('../../../middleware/authThrottle');
 
 // Define the authentication routes here
 // router.get(
@@ -25,24 +31,47 @@ const { checkAccess } = require('../../../middleware/access/checkAccess');
 // router.get('/login/failed', loginFailed);
 
 // Routes to login for existing user
-router.post('/login', loginValidationRules(), validate, checkAccess('USER', 'MEMBER'), login);
+router.post('/login', loginValidationRules(), validate, throttle('LOGIN'), checkAccess('auth.login'), login);
 // router.post('/googleAuth', googleAuth);
 router.post('/googleAuth', googleAuth);
 
+// Passwordless sign-in through an emailed single-use link
+router.post('/magicLink', throttle('MAGIC_LINK_REQUEST', { countRequest: true }), requestMagicLink);
+router.post('/magicLink/consume', consumeMagicLink);
+
+// Sign-in providers linked to the current account
+router.get('/identities', verifyToken, getIdentities);
+router.post('/identities/google', verifyToken, linkGoogle);
+router.delete('/identities/:provider', verifyToken, unlinkIdentity);
+
+// Route to exchange a refresh token for a new access token
+router.post('/refresh', refresh);
+
+// Second login step for accounts with two-factor authentication
+router.post('/twoFactor/verify', verifyTwoFactorLogin);
+
+// Two-factor enrollment and step-up for signed in users
+router.get('/twoFactor/status', verifyToken, getTwoFactorStatus);
+router.post('/twoFactor/setup', verifyToken, setupTwoFactor);
+router.post('/twoFactor/enable', verifyToken, enableTwoFactor);
+router.post('/twoFactor/disable', verifyToken, disableTwoFactor);
+router.post('/twoFactor/recoveryCodes', verifyToken, regenerateRecoveryCodes);
+router.post('/twoFactor/stepUp', verifyToken, stepUpTwoFactor);
 
 // Routes to register a new user
-router.post('/verifyEmail', verifyEmail)
+router.post('/verifyEmail', throttle('OTP_REQUEST', { countRequest: true }), verifyEmail)
+router.post('/resendOtp', throttle('OTP_REQUEST', { countRequest: true }), resendOtp)
 // router.post('/register', registerValidationRules(), validate, register);
 router.post('/register', register);
 
 // Routes to change password of existing user
-router.post('/forgotPassword', checkAccess('USER', 'MEMBER', 'ADMIN'), forgetPassword)
-router.post('/changePassword', checkAccess('USER', 'MEMBER', 'ADMIN'), changePassword)
+router.post('/forgotPassword', throttle('OTP_REQUEST', { countRequest: true }), checkAccess('auth.password.change'), forgetPassword)
+router.post('/changePassword', checkAccess('auth.password.change'), changePassword)
 
 
 // router.post('/register', registerValidationRules(), validate, upload.single('image'), register);
 
-// To be not used 
+// Route to end the current session
 router.post('/logout', logout)
 
 module.exports = router;
\ No newline at end of file
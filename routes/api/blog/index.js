@@ -15,10 +15,10 @@ const { updateBlog } = require("../../../controllers/blog/updateBlog");
 router.get("/getBlog", getBlog);
 
 //check access
-router.use(verifyToken, checkAccess('ADMIN', 'SENIOR_EXECUTIVE_CREATIVE'));
-router.post("/createBlog", imageUpload.single("image"), createBlog);
-router.delete("/deleteBlog/:id", deleteBlog);
-router.put("/updateBlog/:id", imageUpload.single("image"), updateBlog);
+router.use(verifyToken);
+router.post("/createBlog", checkAccess('blog.publish'), imageUpload.single("image"), createBlog);
+router.delete("/deleteBlog/:id", checkAccess('blog.delete'), deleteBlog);
+router.put("/updateBlog/:id", checkAccess('blog.publish'), imageUpload.single("image"), updateBlog);
 
 
 module.exports = router;
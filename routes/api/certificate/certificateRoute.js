@@ -25,6 +25,25 @@ const {
 } = require("../../../controllers/certificate/organisationController.js");
 const { verifyToken } = require("../../../middleware/verifyToken.js");
 const { checkAccess } = require("../../../middleware/access/checkAccess");
+const { allowApiKey } = require("../../../middleware/allowApiKey");
+const isObjectId = require("../../../utils/validation/isObjectId");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+// Sending is keyed by certificate event, collaborators are kept on the event's form
+const eventFormId = async (req) => {
+  const { eventId } = req.body;
+  if (!isObjectId(eventId)) return null;
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    select: { formId: true },
+  });
+  return event?.formId || null;
+};
+const canSendCertificates = checkAccess("certificate.send", {
+  formCapability: "SEND_CERTIFICATES",
+  formId: eventFormId,
+});
 
 // PUBLIC ROUTES
 
@@ -32,7 +51,13 @@ router.post("/verifyCertificate", verifyCertificate);
 router.post("/getEventByFormId", getEventByFormId);
 router.get("/getEvent", getEvent);
 
-router.use(verifyToken, checkAccess("ADMIN", "USER", "MEMBER"));
+// Routes machine clients can call with a scoped API key
+router.use(
+  ["/sendBatchMails", "/sendCertViaEmail", "/sendCertificatesAndEvents"],
+  allowApiKey("certificates:send")
+);
+
+router.use(verifyToken, checkAccess("certificate.manage"));
 
 // PRIVATE ROUTES
 
@@ -50,11 +75,11 @@ router.post("/getCertificate", getCertificate);
 //checked this route only returns the data stored in certifcate schema !
 router.get("/getCertificateTest", getCertificateTest);
 router.post("/dummyCertificate", imageUpload.single("image"), dummyCertificate);
-router.post("/sendBatchMails", sendBatchMails);
+router.post("/sendBatchMails", canSendCertificates, sendBatchMails);
 router.post("/testCertificateSending", testCertificateSending);
 //accidently created 2 paths for createEvent and createOrganisationEvent
 router.post("/createEvent", createEvent);
-router.post("/sendCertViaEmail", sendCertViaEmail);
-router.post("/sendCertificatesAndEvents", sendCertificatesAndEvents);
+router.post("/sendCertViaEmail", canSendCertificates, sendCertViaEmail);
+router.post("/sendCertificatesAndEvents", canSendCertificates, sendCertificatesAndEvents);
 
 module.exports = router;
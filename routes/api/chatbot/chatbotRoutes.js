@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 const { processMessage, healthCheck, sendEmail } = require('../../../controllers/chatbot');
 const { optionalAuth } = require('./optionalAuth');
+const { allowImpersonation } = require('../../../middleware/allowImpersonation');
 
 /**
  * @route   POST /api/chatbot/message
@@ -15,7 +16,7 @@ const { optionalAuth } = require('./optionalAuth');
  * @access  Public (with optional authentication for user-specific features)
  * @body    { message: string, conversationHistory?: Array }
  */
-router.post('/message', optionalAuth, processMessage);
+router.post('/message', allowImpersonation, optionalAuth, processMessage);
 
 /**
  * @route   POST /api/chatbot/send-email
@@ -7,14 +7,40 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const getActiveSession = require('../../../utils/session/getActiveSession');
+const { ApiError } = require('../../../utils/error/ApiError');
+const { getImpersonationToken, authenticateImpersonation, isReadOnlyRequest, auditImpersonatedRequest } = require('../../../utils/impersonation/impersonation');
 
 /**
  * Optional authentication middleware
  * - If valid token provided: attaches user to req.user
- * - If no token or invalid: continues without user (req.user = null)
- * - Never fails the request
+ * - If no token, invalid token or revoked session: continues without user (req.user = null)
+ * - With an impersonation token: attaches the impersonated user on read-only routes
+ * - Never fails the request, except for impersonation on a route that is not read-only
  */
 const optionalAuth = async (req, res, next) => {
+    const impersonationToken = getImpersonationToken(req);
+    if (impersonationToken) {
+        try {
+            const impersonation = await authenticateImpersonation(impersonationToken);
+            if (!impersonation) {
+                return next(new ApiError(401, 'Unauthorized: Impersonation session has ended'));
+            }
+
+            req.user = impersonation.user;
+            req.authSession = impersonation.session;
+            req.impersonator = impersonation.impersonator;
+            auditImpersonatedRequest(req, res);
+
+            if (!isReadOnlyRequest(req)) {
+                return next(new ApiError(403, 'Impersonation is read-only', [{ code: 'IMPERSONATION_READ_ONLY' }]));
+            }
+            return next();
+        } catch (error) {
+            return next(new ApiError(401, 'Unauthorized: Impersonation session has ended'));
+        }
+    }
+
     try {
         // Extract token from cookies or headers
         const tokenFromCookies = req.cookies?.token;
@@ -32,7 +58,7 @@ const optionalAuth = async (req, res, next) => {
         }
 
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET, { maxAge: '70h' });
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
             const user = await prisma.user.findUnique({
                 where: { email: decoded.email },
@@ -45,7 +71,10 @@ const optionalAuth = async (req, res, next) => {
                 }
             });
 
-            req.user = user || null;
+            // Revoked sessions are treated like anonymous requests
+            const session = user ? await getActiveSession(decoded.sid, user.id) : null;
+
+            req.user = session && !session.impersonatedById ? user : null;
         } catch (jwtError) {
             // Token invalid or expired - continue without user
             req.user = null;
@@ -7,6 +7,8 @@ const {
 } = require("../../../controllers/registration/getTeamDetails");
 const { verifyToken } = require("../../../middleware/verifyToken");
 const { checkAccess } = require("../../../middleware/access/checkAccess");
+const { allowApiKey } = require("../../../middleware/allowApiKey");
+const { blockImpersonation } = require("../../../middleware/allowImpersonation");
 const multer = require("multer");
 const { imageUpload } = require("../../../middleware/upload");
 const upload = multer();
@@ -17,46 +19,57 @@ const upload = multer();
 router.get("/getAllForms", formController.getAllForms);
 router.post("/contact", formController.contact);
 
+// Routes machine clients can call with a scoped API key
+router.use(
+  "/markAttendance",
+  allowApiKey((req) => `attendance:mark:${req.body.formId}`)
+);
+router.use(
+  ["/download/:id", "/export-attendance/:id"],
+  allowApiKey((req) => `registrations:read:${req.params.id}`)
+);
+
+// Handing out an attendance code records the user as present
+router.use("/attendanceCode/:id", blockImpersonation);
+
 router.use(verifyToken);
 
-router.get("/teamDetails/:formId", checkAccess("USER"), getTeamDetails);
+router.get("/teamDetails/:formId", checkAccess("form.team.read"), getTeamDetails);
 
 router.use(
   "/register",
-  checkAccess("USER"),
+  checkAccess("form.register"),
   imageUpload.any(),
   registrationController.addRegistration
 );
 
 router.get(
   "/export-attendance/:id",
-  checkAccess("ADMIN"),
+  checkAccess("attendance.export", { formCapability: "EXPORT" }),
   registrationController.exportAttendance
 );
 
 router.use(
   "/register",
-  checkAccess("USER"),
+  checkAccess("form.register"),
   imageUpload.any(),
   registrationController.addRegistration
 );
-router.get("/getFormAnalytics/:id", formController.analytics);
+router.get(
+  "/getFormAnalytics/:id",
+  checkAccess("form.analytics.read", { formCapability: "VIEW_REGISTRATIONS" }),
+  formController.analytics
+);
 
 router.get(
   "/attendanceCode/:id",
-  checkAccess("USER"),
+  checkAccess("attendance.code.read"),
   registrationController.getAttendanceCode
 );
 
 router.post(
   "/markAttendance",
-  // checkAccess([
-  //     "SENIOR_EXECUTIVE_TECHNICAL",
-  //     "SENIOR_EXECUTIVE_CREATIVE",
-  //     "SENIOR_EXECUTIVE_MARKETING",
-  //     "SENIOR_EXECUTIVE_OPERATIONS",
-  //     "SENIOR_EXECUTIVE_PR_AND_FINANCE",
-  //     "SENIOR_EXECUTIVE_HUMAN_RESOURCE"]),
+  checkAccess("attendance.mark", { formCapability: "MARK_ATTENDANCE" }),
   registrationController.markAttendance
 );
 
@@ -71,20 +84,23 @@ router.post(
 //     formController.analytics
 // )
 
-// Add middleware verifyToken, isAdmin
-router.use(checkAccess("ADMIN"));
-
 router.post(
   "/addForm",
+  checkAccess("form.create"),
   imageUpload.fields([
     { name: "eventImg", maxCount: 1 },
     { name: "media", maxCount: 1 },
   ]),
   formController.addForm
 );
-router.delete("/deleteForm/:id", formController.deleteForm);
+router.delete(
+  "/deleteForm/:id",
+  checkAccess("form.delete", { recentTwoFactor: true }),
+  formController.deleteForm
+);
 router.put(
   "/editForm/:id",
+  checkAccess("form.update", { formCapability: "EDIT" }),
   imageUpload.fields([
     { name: "eventImg", maxCount: 1 },
     { name: "media", maxCount: 1 },
@@ -92,6 +108,26 @@ router.put(
   formController.editForm
 );
 
-router.get("/download/:id", registrationController.downloadRegistration);
+router.get(
+  "/download/:id",
+  checkAccess("registration.read", { formCapability: "VIEW_REGISTRATIONS" }),
+  registrationController.downloadRegistration
+);
+
+// Collaborators running a form, and what each of them may do on it
+router.get(
+  "/collaborating",
+  formController.getCollaboratingForms
+);
+router.get(
+  "/collaborators/:id",
+  checkAccess("form.update"),
+  formController.getCollaborators
+);
+router.put(
+  "/collaborators/:id",
+  checkAccess("form.update"),
+  formController.setCollaborators
+);
 
 module.exports = router;
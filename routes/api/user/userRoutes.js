@@ -1,30 +1,98 @@
 const express = require('express');
 const router = express.Router();
-const { addMember, fetchUser, fetchTeam, deleteMember, deleteUser, editProfile, fetchAccessTypes, fetchAlumni} = require('../../../controllers/userController/userController');
+const { addMember, fetchUser, listUsers, previewAccountMerge, mergeAccounts, exportAccountData, requestAccountDeletion, confirmAccountDeletion, requestEmailChange, confirmEmailChange, previewMemberImport, commitMemberImport, getMemberImportReport, fetchTeam, fetchTeamHierarchy, setTeamOrder, deleteMember, deleteUser, editProfile, fetchAccessTypes, fetchAlumni, fetchAlumniDirectory, getAlumniProfile, updateAlumniProfile, getSessions, signOutSession, signOutAllSessions, getUserSessions, forceSignOutUser, getLocks, clearLock, clearLocks, getApiKeys, createApiKey, revokeApiKey, getPermissionPolicy, getUserPermissions, getDepartmentMembers, getAuditLog, createRoleChangeRequest, getRoleChangeRequests, approveRoleChangeRequest, rejectRoleChangeRequest, cancelRoleChangeRequest, createProfileChangeRequest, getOwnProfileChangeRequests, getProfileChangeRequests, approveProfileChangeRequest, rejectProfileChangeRequest, cancelProfileChangeRequest, startImpersonation, stopImpersonation, getImpersonations } = require('../../../controllers/userController/userController');
 const { verifyToken } = require('../../../middleware/verifyToken');
 const { checkAccess } = require('../../../middleware/access/checkAccess');
-const { imageUpload } = require('../../../middleware/upload');
+const { allowImpersonation } = require('../../../middleware/allowImpersonation');
+const { imageUpload, excelUpload } = require('../../../middleware/upload');
 const { editProfileImage } = require('../../../controllers/image/editProfileImage');
 const { fetchProfileRules } = require('../../../middleware/validator/userValidator');
 const { validate } = require('../../../middleware/validationMiddleware');
+const { optionalAuth } = require('../chatbot/optionalAuth');
 
 // Add validation, token verification, and isMemberOrAdmin
 router.get("/fetchAccessTypes", fetchAccessTypes)
 // User Routes
 router.get('/fetchTeam', fetchTeam)
+router.get('/team', fetchTeamHierarchy)
 router.get('/fetchAlumni', fetchAlumni)
+router.get('/alumni', optionalAuth, fetchAlumniDirectory)
+
+// Read-only POST routes an admin viewing as a user may call
+router.use(['/fetchProfile', '/impersonation/stop'], allowImpersonation)
 
 router.use(verifyToken)
 
 router.post('/fetchProfile',fetchProfileRules(), validate, fetchUser)
-router.put('/editDetails', checkAccess('USER','MEMBER'), editProfile)
-router.post('/editProfileImage',checkAccess('MEMBER'), imageUpload.single('image'), editProfileImage)
+router.put('/editDetails', checkAccess('profile.update'), editProfile)
+
+// Profile changes asked for once the edit limit is used up
+router.post('/profileChanges', checkAccess('profile.update'), createProfileChangeRequest)
+router.get('/profileChanges/mine', getOwnProfileChangeRequests)
+router.post('/profileChanges/:id/cancel', cancelProfileChangeRequest)
+router.post('/editProfileImage',checkAccess('profile.image.update'), imageUpload.single('image'), editProfileImage)
+
+// Session management for the signed in user
+router.get('/sessions', getSessions)
+router.delete('/sessions', signOutAllSessions)
+router.delete('/sessions/:id', signOutSession)
+
+// Personal data export and self-service account deletion
+router.get('/account/export', exportAccountData)
+router.post('/account/delete', requestAccountDeletion)
+router.post('/account/delete/confirm', confirmAccountDeletion)
+
+// Alumni network profile of the signed in alumnus
+router.get('/alumni/profile', checkAccess('alumni.profile.update'), getAlumniProfile)
+router.put('/alumni/profile', checkAccess('alumni.profile.update'), updateAlumniProfile)
+
+// Email change, confirmed with an OTP sent to the new address
+router.post('/email/change', requestEmailChange)
+router.post('/email/change/confirm', confirmEmailChange)
+
+
+// Admin routes, each guarded by its permission from config/permissions.js
+router.post("/addMember", checkAccess('member.create', 'member.department.manage'), imageUpload.single('image'),addMember)
+router.get("/getUser", checkAccess('user.read'), fetchUser)
+router.get("/users", checkAccess('user.read'), listUsers)
+router.put("/team/order", checkAccess('team.order.manage'), setTeamOrder)
+
+// Duplicate accounts, always previewed before they are merged
+router.post("/merge/preview", checkAccess('user.merge'), previewAccountMerge)
+router.post("/merge", checkAccess('user.merge', { recentTwoFactor: true }), mergeAccounts)
+router.post("/import/preview", checkAccess('member.create'), excelUpload.single('file'), previewMemberImport)
+router.post("/import/:id/commit", checkAccess('member.create'), commitMemberImport)
+router.get("/import/:id/report", checkAccess('member.create'), getMemberImportReport)
+router.delete("/deleteMember/:value", checkAccess('member.delete', 'member.department.manage', { recentTwoFactor: true, recentTwoFactorFor: ['member.delete'] }), deleteMember)
+router.get("/department/members", checkAccess('member.create', 'member.department.manage'), getDepartmentMembers)
+router.get("/auditLog", checkAccess('audit.read', 'member.department.manage'), getAuditLog)
+router.delete("/deleteUser", checkAccess('user.delete', { recentTwoFactor: true }), deleteUser)
+router.get("/sessions/user/:userId", checkAccess('session.manage'), getUserSessions)
+router.delete("/sessions/user/:userId", checkAccess('session.manage'), forceSignOutUser)
+router.get("/locks", checkAccess('security.locks.manage'), getLocks)
+router.delete("/locks", checkAccess('security.locks.manage'), clearLocks)
+router.delete("/locks/:id", checkAccess('security.locks.manage'), clearLock)
+router.get("/apiKeys", checkAccess('apiKey.manage'), getApiKeys)
+router.post("/apiKeys", checkAccess('apiKey.manage', { recentTwoFactor: true }), createApiKey)
+router.delete("/apiKeys/:id", checkAccess('apiKey.manage'), revokeApiKey)
+router.get("/permissions", checkAccess('permission.read'), getPermissionPolicy)
+router.get("/permissions/:userId", checkAccess('permission.read'), getUserPermissions)
+
+// Role changes proposed by directors, applied once approved
+router.post("/roleChanges", checkAccess('role.change.propose'), createRoleChangeRequest)
+router.get("/roleChanges", checkAccess('role.change.read', 'role.change.propose'), getRoleChangeRequests)
+router.post("/roleChanges/:id/approve", checkAccess('role.change.approve'), approveRoleChangeRequest)
+router.post("/roleChanges/:id/reject", checkAccess('role.change.approve'), rejectRoleChangeRequest)
+router.post("/roleChanges/:id/cancel", checkAccess('role.change.propose'), cancelRoleChangeRequest)
 
+// Review of profile changes requested by users
+router.get("/profileChanges", checkAccess('profile.change.review'), getProfileChangeRequests)
+router.post("/profileChanges/:id/approve", checkAccess('profile.change.review'), approveProfileChangeRequest)
+router.post("/profileChanges/:id/reject", checkAccess('profile.change.review'), rejectProfileChangeRequest)
 
-router.use(checkAccess('ADMIN'))
-router.post("/addMember", imageUpload.single('image'),addMember)
-router.get("/getUser", fetchUser)
-router.delete("/deleteMember/:value", deleteMember)
-router.delete("/deleteUser", deleteUser)
+// Read-only "view as user" for support, every request made under it is audited
+router.post("/impersonation", checkAccess('user.impersonate', { recentTwoFactor: true }), startImpersonation)
+router.get("/impersonation", checkAccess('user.impersonate'), getImpersonations)
+router.post("/impersonation/stop", stopImpersonation)
 
 module.exports = router; 
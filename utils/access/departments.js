@@ -0,0 +1,49 @@
+const { AccessTypes } = require('@prisma/client');
+const { ApiError } = require('../error/ApiError');
+
+const DEPARTMENTS = ['TECHNICAL', 'CREATIVE', 'MARKETING', 'OPERATIONS', 'PR_AND_FINANCE', 'HUMAN_RESOURCE'];
+
+// Ranks inside a department's AccessTypes family, e.g. TECHNICAL < SENIOR_EXECUTIVE_TECHNICAL
+const DEPARTMENT_RANKS = [
+    { prefix: '', rank: 1 },
+    { prefix: 'SENIOR_EXECUTIVE_', rank: 2 },
+    { prefix: 'DEPUTY_DIRECTOR_', rank: 3 },
+    { prefix: 'DIRECTOR_', rank: 4 },
+];
+
+// Returns { department, rank } for department roles, null for USER, ADMIN, PRESIDENT, ALUMNI, ...
+const parseDepartmentAccess = (access) => {
+    for (const { prefix, rank } of DEPARTMENT_RANKS) {
+        const department = String(access).slice(prefix.length);
+        if (String(access).startsWith(prefix) && DEPARTMENTS.includes(department)) {
+            return { department, rank };
+        }
+    }
+    return null;
+};
+
+// Every access type of a department, lowest rank first
+const getDepartmentFamily = (department) => DEPARTMENT_RANKS.map(({ prefix }) => `${prefix}${department}`);
+
+// Directors and deputies manage their own department only, and only below their own rank.
+// USER counts as outside every department: members can be onboarded from it and removed to it.
+const assertCanChangeAccess = (actor, fromAccess, toAccess) => {
+    const actorRole = parseDepartmentAccess(actor.access);
+    if (!actorRole || actorRole.rank < 3) {
+        throw new ApiError(403, "Only directors and deputy directors can manage department members");
+    }
+
+    [fromAccess, toAccess].forEach((access) => {
+        if (access === AccessTypes.USER) return;
+
+        const role = parseDepartmentAccess(access);
+        if (!role || role.department !== actorRole.department) {
+            throw new ApiError(403, `${access} is outside the ${actorRole.department} department`, [{ code: "OUTSIDE_DEPARTMENT", access }]);
+        }
+        if (role.rank >= actorRole.rank) {
+            throw new ApiError(403, `${access} is not below your own rank`, [{ code: "RANK_TOO_HIGH", access }]);
+        }
+    });
+};
+
+module.exports = { DEPARTMENTS, parseDepartmentAccess, getDepartmentFamily, assertCanChangeAccess };
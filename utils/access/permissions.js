@@ -0,0 +1,31 @@
+const { AccessTypes } = require('@prisma/client');
+const { PERMISSIONS, ALL_PERMISSIONS, ROLE_PERMISSIONS } = require('../../config/permissions');
+
+const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// A typo in the policy would silently deny access, so fail at startup instead
+Object.entries(ROLE_PERMISSIONS).forEach(([role, permissions]) => {
+    const unknown = permissions.filter(permission => permission !== ALL_PERMISSIONS && !isKnownPermission(permission));
+    if (unknown.length > 0) {
+        throw new Error(`config/permissions.js: unknown permissions for ${role}: ${unknown.join(', ')}`);
+    }
+});
+Object.values(AccessTypes || {}).forEach(role => {
+    if (!ROLE_PERMISSIONS[role]) {
+        console.warn(`config/permissions.js: no permissions defined for ${role}, it is denied everything`);
+    }
+});
+
+const getRolePermissions = (access) => {
+    const granted = ROLE_PERMISSIONS[access] || [];
+    if (granted.includes(ALL_PERMISSIONS)) {
+        return Object.keys(PERMISSIONS);
+    }
+    return [...new Set(granted)];
+};
+
+const getEffectivePermissions = (user) => (user ? getRolePermissions(user.access) : []);
+
+const hasPermission = (user, permission) => getEffectivePermissions(user).includes(permission);
+
+module.exports = { isKnownPermission, getRolePermissions, getEffectivePermissions, hasPermission };
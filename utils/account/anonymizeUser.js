@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PrismaClient, AccessTypes, RoleChangeStatus } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { revokeUserSessions } = require('../session/revokeSessions');
+const deleteImage = require('../image/deleteImage');
+
+const REDACTED = '[deleted]';
+
+// Unique per account and can never receive mail or sign in
+const getAnonymousEmail = (user) => `deleted-${user.id}@deleted.invalid`;
+
+// Keeps the keys so certificates still render, the QR code keeps pointing at the verification page
+const redactFieldValues = (fieldValues) => Object.fromEntries(
+    Object.entries(fieldValues || {}).map(([key, value]) => [key, key.toLowerCase() === 'qr' ? value : REDACTED])
+);
+
+// Wipes what identifies the user while keeping the records others depend on:
+// registrations stay for the team and the event counts, certificates stay verifiable.
+const anonymizeUser = async (user) => {
+    const anonymousEmail = getAnonymousEmail(user);
+
+    // Registrations: the user's own response and email are replaced, teammates keep theirs
+    const registrations = await prisma.formRegistration.findMany({
+        where: { OR: [{ userId: user.id }, { regTeamMemEmails: { has: user.email } }] }
+    });
+    for (const registration of registrations) {
+        await prisma.formRegistration.update({
+            where: { id: registration.id },
+            data: {
+                value: {
+                    set: registration.value.map(value => value?.user_id === user.id ? { user_id: user.id, deleted: true } : value)
+                },
+                regTeamMemEmails: {
+                    set: registration.regTeamMemEmails.map(email => email === user.email ? anonymousEmail : email)
+                }
+            }
+        });
+    }
+
+    // Trackers only count who registered, the user is taken out
+    const trackers = await prisma.registrationTracker.findMany({
+        where: { regUserEmails: { has: user.email } },
+        select: { id: true, regUserEmails: true }
+    });
+    for (const tracker of trackers) {
+        await prisma.registrationTracker.update({
+            where: { id: tracker.id },
+            data: { regUserEmails: { set: tracker.regUserEmails.filter(email => email !== user.email) } }
+        });
+    }
+
+    await prisma.attendance.updateMany({
+        where: { userId: user.id },
+        data: { info: { deleted: true } }
+    });
+
+    const certificates = await prisma.issuedCertificates.findMany({
+        where: { email: user.email },
+        select: { id: true, fieldValues: true }
+    });
+    for (const certificate of certificates) {
+        await prisma.issuedCertificates.update({
+            where: { id: certificate.id },
+            data: {
+                email: anonymousEmail,
+                fieldValues: redactFieldValues(certificate.fieldValues),
+                // The rendered image carries the name, verification draws it again from fieldValues
+                imageSrc: null
+            }
+        });
+    }
+
+    // Profile change requests hold nothing but the user's own details
+    await prisma.profileChangeRequest.deleteMany({ where: { userId: user.id } });
+    await prisma.profileChangeRequest.updateMany({
+        where: { reviewedById: user.id },
+        data: { reviewedByEmail: anonymousEmail }
+    });
+
+    // Role changes stay in the history of who approved what, without the member's details
+    const roleChangeTarget = { OR: [{ targetUserId: user.id }, { targetEmail: user.email }] };
+    await prisma.roleChangeRequest.updateMany({
+        where: { ...roleChangeTarget, status: RoleChangeStatus.PENDING },
+        data: { status: RoleChangeStatus.CANCELLED }
+    });
+    await prisma.roleChangeRequest.updateMany({
+        where: roleChangeTarget,
+        data: { targetEmail: anonymousEmail, changes: null }
+    });
+    await prisma.roleChangeRequest.updateMany({
+        where: { proposedById: user.id },
+        data: { proposedByEmail: anonymousEmail }
+    });
+    await prisma.roleChangeRequest.updateMany({
+        where: { reviewedById: user.id },
+        data: { reviewedByEmail: anonymousEmail }
+    });
+
+    // The audit log keeps its entries, only the emails it copied are replaced
+    await prisma.auditLog.updateMany({
+        where: { actorId: user.id },
+        data: { actorEmail: anonymousEmail }
+    });
+    await prisma.auditLog.updateMany({
+        where: { OR: [{ targetUserId: user.id }, { targetEmail: user.email }] },
+        data: { targetEmail: anonymousEmail }
+    });
+
+    await prisma.memberImport.updateMany({
+        where: { createdById: user.id },
+        data: { createdByEmail: anonymousEmail }
+    });
+
+    await prisma.otp.deleteMany({ where: { email: user.email } });
+    await prisma.magicLink.deleteMany({ where: { userId: user.id } });
+    await prisma.twoFactor.deleteMany({ where: { userId: user.id } });
+    await revokeUserSessions(user.id, 'ACCOUNT_DELETED');
+
+    if (user.img) {
+        try {
+            await deleteImage(user.img, 'MemberImages');
+        } catch (error) {
+            console.error('Error deleting profile image:', error);
+        }
+    }
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: {
+            email: anonymousEmail,
+            name: 'Deleted user',
+            access: AccessTypes.USER,
+            password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+            year: null,
+            img: null,
+            blurhash: null,
+            rollNumber: null,
+            school: null,
+            college: null,
+            contactNo: null,
+            whatsappNo: null,
+            extra: null,
+            regForm: { set: [] },
+            identities: { set: [] },
+            // Old emails would still resolve to the account through findUserByEmail
+            mergedEmails: { set: [] },
+            pendingEmail: null,
+            alumniProfile: { unset: true },
+            deletedAt: new Date()
+        }
+    });
+
+    console.log(`Account ${user.id} deleted and anonymised`);
+};
+
+module.exports = { anonymizeUser, getAnonymousEmail };
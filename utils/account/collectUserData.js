@@ -0,0 +1,81 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Everything stored about a user, keyed by the collection it came from.
+// Team registrations only carry the user's own response, not their teammates'.
+const collectUserData = async (user) => {
+    const { password, ...profile } = user;
+
+    const [registrations, attendance, certificates, trackers, tenures, sessions, profileChanges, roleChanges, auditEntries] = await Promise.all([
+        prisma.formRegistration.findMany({
+            where: { OR: [{ userId: user.id }, { regTeamMemEmails: { has: user.email } }] }
+        }),
+        prisma.attendance.findMany({ where: { userId: user.id } }),
+        prisma.issuedCertificates.findMany({ where: { email: user.email } }),
+        prisma.registrationTracker.findMany({
+            where: { regUserEmails: { has: user.email } },
+            select: { formId: true }
+        }),
+        prisma.tenure.findMany({ where: { userId: user.id }, orderBy: { startedAt: 'asc' } }),
+        prisma.session.findMany({
+            where: { userId: user.id },
+            select: { id: true, ip: true, userAgent: true, createdAt: true, lastSeenAt: true, expiresAt: true, revokedAt: true, impersonatedById: true }
+        }),
+        prisma.profileChangeRequest.findMany({
+            where: { userId: user.id },
+            select: { id: true, changes: true, previous: true, reason: true, status: true, reviewComment: true, reviewedAt: true, createdAt: true },
+            orderBy: { createdAt: 'asc' }
+        }),
+        prisma.roleChangeRequest.findMany({
+            where: { OR: [{ targetUserId: user.id }, { targetEmail: user.email }] },
+            select: { id: true, fromAccess: true, toAccess: true, department: true, changes: true, status: true, createdAt: true, reviewedAt: true },
+            orderBy: { createdAt: 'asc' }
+        }),
+        prisma.auditLog.findMany({
+            where: { OR: [{ actorId: user.id }, { targetUserId: user.id }] },
+            select: { action: true, actorId: true, targetUserId: true, before: true, after: true, ip: true, userAgent: true, createdAt: true },
+            orderBy: { createdAt: 'asc' }
+        })
+    ]);
+
+    const formIds = [...new Set([...registrations, ...attendance, ...trackers].map(entry => entry.formId))];
+    const forms = await prisma.form.findMany({
+        where: { id: { in: formIds } },
+        select: { id: true, info: true }
+    });
+    const eventTitle = (formId) => forms.find(form => form.id === formId)?.info?.eventTitle || null;
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile,
+        registrations: registrations.map(registration => ({
+            id: registration.id,
+            formId: registration.formId,
+            eventTitle: eventTitle(registration.formId),
+            teamName: registration.teamName,
+            teamCode: registration.teamCode,
+            teamSize: registration.teamSize,
+            isTeamLeader: registration.userId === user.id,
+            response: registration.value.find(value => value?.user_id === user.id) || null
+        })),
+        attendance: attendance.map(record => ({ ...record, eventTitle: eventTitle(record.formId) })),
+        certificates,
+        registeredForms: trackers.map(({ formId }) => ({ formId, eventTitle: eventTitle(formId) })),
+        tenures,
+        // Sessions admins opened to view as the user are theirs, not the user's
+        sessions: sessions
+            .filter(session => !session.impersonatedById)
+            .map(({ impersonatedById, ...session }) => session),
+        profileChangeRequests: profileChanges,
+        roleChangeRequests: roleChanges,
+        // Who acted on the user is left out, the network details only of what the user did
+        auditLog: auditEntries.map(({ actorId, targetUserId, ip, userAgent, ...entry }) => ({
+            ...entry,
+            byUser: actorId === user.id,
+            aboutUser: targetUserId === user.id,
+            ...(actorId === user.id ? { ip, userAgent } : {})
+        }))
+    };
+};
+
+module.exports = collectUserData;
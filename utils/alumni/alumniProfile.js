@@ -0,0 +1,165 @@
+const { PrismaClient, AccessTypes, ProfileVisibility } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ApiError } = require('../error/ApiError');
+const { hasPermission } = require('../access/permissions');
+const { getRoleTitle } = require('../team/teamHierarchy');
+
+// Visibility of every profile field until the alumnus changes it. Email is never public by default.
+const DEFAULT_VISIBILITY = {
+    email: ProfileVisibility.HIDDEN,
+    graduationYear: ProfileVisibility.PUBLIC,
+    lastRole: ProfileVisibility.PUBLIC,
+    organisation: ProfileVisibility.PUBLIC,
+    location: ProfileVisibility.SIGNED_IN,
+    openToMentoring: ProfileVisibility.PUBLIC,
+    links: ProfileVisibility.PUBLIC,
+};
+const PROFILE_FIELDS = Object.keys(DEFAULT_VISIBILITY);
+
+// Posts that are not a role on the team
+const NOT_A_ROLE = [AccessTypes.USER, AccessTypes.ADMIN, AccessTypes.ALUMNI, AccessTypes.EX_MEMBER];
+
+const getVisibility = (profile) => Object.fromEntries(PROFILE_FIELDS.map(field => [field, profile?.visibility?.[field] || DEFAULT_VISIBILITY[field]]));
+
+// Who is asking: anyone, a signed in user, or someone who sees everything (the alumnus or a user.read holder)
+const getViewerLevel = (viewer, owner) => {
+    if (viewer && (viewer.id === owner.id || hasPermission(viewer, 'user.read'))) return ProfileVisibility.HIDDEN;
+    if (viewer) return ProfileVisibility.SIGNED_IN;
+    return ProfileVisibility.PUBLIC;
+};
+
+const LEVELS = [ProfileVisibility.PUBLIC, ProfileVisibility.SIGNED_IN, ProfileVisibility.HIDDEN];
+const canSee = (visibility, viewerLevel) => LEVELS.indexOf(visibility) <= LEVELS.indexOf(viewerLevel);
+
+// Last post each user held on the team, from the tenure history
+const getLastRoles = async (userIds) => {
+    const tenures = await prisma.tenure.findMany({
+        where: { userId: { in: userIds }, access: { notIn: NOT_A_ROLE } },
+        orderBy: { startedAt: 'asc' },
+        select: { userId: true, access: true }
+    });
+    return new Map(tenures.map(tenure => [tenure.userId, tenure.access]));
+};
+
+// Every field of an alumnus as stored, before visibility is applied
+const getProfileValues = (user, lastRoles) => {
+    const profile = user.alumniProfile || {};
+    const lastRole = profile.lastRole || lastRoles.get(user.id) || null;
+    const links = Object.fromEntries(['linkedin', 'github']
+        .filter(key => user.extra?.[key])
+        .map(key => [key, user.extra[key]]));
+
+    return {
+        email: user.email,
+        graduationYear: profile.graduationYear ?? null,
+        lastRole: lastRole ? { access: lastRole, title: getRoleTitle(lastRole) } : null,
+        organisation: profile.organisation || null,
+        location: profile.location || null,
+        openToMentoring: Boolean(profile.openToMentoring),
+        links
+    };
+};
+
+// The profile as `viewer` (null when signed out) may see it. The alumnus also gets their visibility settings back.
+const toAlumniCard = (user, lastRoles, viewer) => {
+    const visibility = getVisibility(user.alumniProfile);
+    const viewerLevel = getViewerLevel(viewer, user);
+    const values = getProfileValues(user, lastRoles);
+
+    const card = { id: user.id, name: user.name, img: user.img, blurhash: user.blurhash };
+    PROFILE_FIELDS.forEach(field => {
+        if (canSee(visibility[field], viewerLevel)) card[field] = values[field];
+    });
+
+    if (viewer?.id === user.id) {
+        card.visibility = visibility;
+    }
+    return card;
+};
+
+const optionalString = (value, field, errors, maxLength = 100) => {
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string' || value.trim().length > maxLength) {
+        errors.push({ field, message: `${field} must be text of at most ${maxLength} characters` });
+        return undefined;
+    }
+    return value.trim();
+};
+
+// Validates a profile update, only the fields sent are changed. Throws ApiError 400 listing every invalid field.
+const parseAlumniProfileUpdate = (input, current = {}) => {
+    const errors = [];
+    const profile = {
+        graduationYear: current.graduationYear ?? null,
+        lastRole: current.lastRole ?? null,
+        organisation: current.organisation ?? null,
+        location: current.location ?? null,
+        openToMentoring: current.openToMentoring ?? false,
+        visibility: { ...(current.visibility || {}) },
+    };
+
+    if (input.graduationYear !== undefined) {
+        const year = input.graduationYear === null || input.graduationYear === '' ? null : Number(input.graduationYear);
+        if (year !== null && (!Number.isInteger(year) || year < 1990 || year > new Date().getFullYear() + 6)) {
+            errors.push({ field: 'graduationYear', message: 'graduationYear must be a year like 2024' });
+        } else {
+            profile.graduationYear = year;
+        }
+    }
+
+    if (input.lastRole !== undefined) {
+        if (input.lastRole !== null && (!Object.values(AccessTypes).includes(input.lastRole) || NOT_A_ROLE.includes(input.lastRole))) {
+            errors.push({ field: 'lastRole', message: 'lastRole must be a post on the team, e.g. DIRECTOR_TECHNICAL' });
+        } else {
+            profile.lastRole = input.lastRole;
+        }
+    }
+
+    ['organisation', 'location'].forEach(field => {
+        if (input[field] !== undefined) {
+            const value = optionalString(input[field], field, errors);
+            if (value !== undefined) profile[field] = value;
+        }
+    });
+
+    if (input.openToMentoring !== undefined) {
+        if (typeof input.openToMentoring !== 'boolean') {
+            errors.push({ field: 'openToMentoring', message: 'openToMentoring must be true or false' });
+        } else {
+            profile.openToMentoring = input.openToMentoring;
+        }
+    }
+
+    if (input.visibility !== undefined) {
+        if (!input.visibility || typeof input.visibility !== 'object' || Array.isArray(input.visibility)) {
+            errors.push({ field: 'visibility', message: `visibility must be an object of ${PROFILE_FIELDS.join(', ')}` });
+        } else {
+            for (const [field, level] of Object.entries(input.visibility)) {
+                if (!PROFILE_FIELDS.includes(field)) {
+                    errors.push({ field: `visibility.${field}`, message: `Unknown field, expected one of ${PROFILE_FIELDS.join(', ')}` });
+                } else if (!Object.values(ProfileVisibility).includes(level)) {
+                    errors.push({ field: `visibility.${field}`, message: `Must be one of ${Object.values(ProfileVisibility).join(', ')}` });
+                } else {
+                    profile.visibility[field] = level;
+                }
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, 'Invalid alumni profile', errors);
+    }
+    return { ...profile, updatedAt: new Date() };
+};
+
+module.exports = {
+    PROFILE_FIELDS,
+    DEFAULT_VISIBILITY,
+    getVisibility,
+    getViewerLevel,
+    canSee,
+    getLastRoles,
+    getProfileValues,
+    toAlumniCard,
+    parseAlumniProfileUpdate
+};
@@ -0,0 +1,55 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const crypto = require('crypto');
+const { hashToken } = require('../session/tokens');
+
+const API_KEY_PREFIX = 'fed';
+// Only refresh lastUsedAt once a minute to avoid a write on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+// Keys look like fed_<prefix>_<secret>, the prefix alone identifies the key in listings
+const generateApiKey = () => {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `${API_KEY_PREFIX}_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix, hash: hashToken(key) };
+};
+
+// Accepts `X-API-Key: <key>` or `Authorization: ApiKey <key>`
+const getApiKeyFromRequest = (req) => {
+    const header = req.headers['x-api-key'];
+    if (header) return header.trim();
+
+    const authorization = req.headers['authorization'];
+    if (authorization && authorization.startsWith('ApiKey ')) {
+        return authorization.slice(7).trim();
+    }
+    return null;
+};
+
+// Returns the key record, or null if it is unknown, revoked or expired
+const authenticateApiKey = async (key, ip) => {
+    if (!key || !key.startsWith(`${API_KEY_PREFIX}_`)) {
+        return null;
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+        where: { keyHash: hashToken(key) }
+    });
+
+    if (!apiKey || apiKey.revokedAt || apiKey.expiresAt < new Date()) {
+        return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > LAST_USED_RESOLUTION) {
+        prisma.apiKey.update({
+            where: { id: apiKey.id },
+            data: { lastUsedAt: new Date(), lastUsedIp: ip }
+        }).catch(error => {
+            console.error('Error updating API key last used time:', error);
+        });
+    }
+
+    return apiKey;
+};
+
+module.exports = { generateApiKey, getApiKeyFromRequest, authenticateApiKey };
@@ -0,0 +1,19 @@
+// Scopes an API key can be granted. A scope may be narrowed to one resource
+// with a suffix, e.g. attendance:mark:<formId> only works for that form.
+const API_KEY_SCOPES = {
+    'attendance:mark': 'Mark attendance by scanning QR codes',
+    'registrations:read': 'Download registrations and attendance sheets',
+    'certificates:send': 'Send certificates by email',
+};
+
+const isValidScope = (scope) => {
+    if (typeof scope !== 'string') return false;
+    return Object.keys(API_KEY_SCOPES).some(base => scope === base || (scope.startsWith(`${base}:`) && scope.length > base.length + 1));
+};
+
+// A granted scope covers itself and anything narrower, registrations:read covers registrations:read:<formId>
+const hasScope = (grantedScopes, requiredScope) => (grantedScopes || []).some(
+    granted => requiredScope === granted || requiredScope.startsWith(`${granted}:`)
+);
+
+module.exports = { API_KEY_SCOPES, isValidScope, hasScope };
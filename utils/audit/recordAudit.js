@@ -0,0 +1,54 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { getClientInfo } = require('../request/getClientInfo');
+
+// Audit actions, kept here so listings can be filtered by a known value
+const AuditActions = {
+    MEMBER_ADDED: 'MEMBER_ADDED',
+    MEMBER_ROLE_CHANGED: 'MEMBER_ROLE_CHANGED',
+    MEMBER_UPDATED: 'MEMBER_UPDATED',
+    ROLE_CHANGE_PROPOSED: 'ROLE_CHANGE_PROPOSED',
+    ROLE_CHANGE_REJECTED: 'ROLE_CHANGE_REJECTED',
+    ROLE_CHANGE_CANCELLED: 'ROLE_CHANGE_CANCELLED',
+    MEMBER_REMOVED: 'MEMBER_REMOVED',
+    FORM_COLLABORATORS_CHANGED: 'FORM_COLLABORATORS_CHANGED',
+    IMPERSONATION_STARTED: 'IMPERSONATION_STARTED',
+    IMPERSONATION_STOPPED: 'IMPERSONATION_STOPPED',
+    IMPERSONATION_REQUEST: 'IMPERSONATION_REQUEST',
+    ACCOUNT_DELETED: 'ACCOUNT_DELETED',
+    EMAIL_CHANGED: 'EMAIL_CHANGED',
+    ACCOUNTS_MERGED: 'ACCOUNTS_MERGED',
+    TEAM_ORDER_CHANGED: 'TEAM_ORDER_CHANGED',
+    PROFILE_CHANGE_REQUESTED: 'PROFILE_CHANGE_REQUESTED',
+    PROFILE_CHANGE_APPROVED: 'PROFILE_CHANGE_APPROVED',
+    PROFILE_CHANGE_REJECTED: 'PROFILE_CHANGE_REJECTED',
+};
+
+// Records an action taken by req.user, or by `actor` when someone else is behind the request.
+// Failing to audit never fails the request itself.
+const recordAudit = async (req, { action, actor = req.user, target, department = null, before = null, after = null, metadata = null }) => {
+    const { ip, userAgent } = getClientInfo(req);
+
+    try {
+        await prisma.auditLog.create({
+            data: {
+                action,
+                actorId: actor?.id || null,
+                actorEmail: actor?.email || null,
+                actorAccess: actor?.access || null,
+                targetUserId: target?.id || null,
+                targetEmail: target?.email || null,
+                department,
+                before,
+                after,
+                metadata,
+                ip,
+                userAgent
+            }
+        });
+    } catch (error) {
+        console.error(`Error recording audit ${action}:`, error);
+    }
+};
+
+module.exports = { AuditActions, recordAudit };
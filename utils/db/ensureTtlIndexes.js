@@ -0,0 +1,36 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Prisma cannot declare TTL indexes for MongoDB, so they are created at startup.
+// createIndexes is a no-op when the index already exists.
+const TTL_INDEXES = [
+    { collection: 'otp', field: 'expiresAt' },
+    { collection: 'session', field: 'expiresAt' },
+    { collection: 'magic_link', field: 'expiresAt' },
+    { collection: 'member_import', field: 'expiresAt' },
+];
+
+const ensureTtlIndexes = async () => {
+    for (const { collection, field } of TTL_INDEXES) {
+        try {
+            await prisma.$runCommandRaw({
+                createIndexes: collection,
+                indexes: [{ key: { [field]: 1 }, name: `${collection}_${field}_ttl`, expireAfterSeconds: 0 }]
+            });
+        } catch (error) {
+            console.error(`Error creating TTL index on ${collection}.${field}:`, error);
+        }
+    }
+
+    // OTPs stored before hashing have no expiry and can no longer be verified
+    try {
+        await prisma.$runCommandRaw({
+            delete: 'otp',
+            deletes: [{ q: { otpHash: { $exists: false } }, limit: 0 }]
+        });
+    } catch (error) {
+        console.error('Error removing legacy OTPs:', error);
+    }
+};
+
+module.exports = ensureTtlIndexes;
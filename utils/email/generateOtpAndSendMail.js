@@ -3,6 +3,8 @@ const prisma = new PrismaClient();
 const { sendMail } = require("../../utils/email/nodeMailer");
 const loadTemplate = require("../../utils/email/loadTemplate");
 const generateOtp = require("../otp/generateOTP");
+const { hashOtp } = require("../otp/hashOtp");
+const { OtpStatus, OTP_RESEND_COOLDOWN } = require("../otp/otpStatus");
 const { ApiError } = require("../../utils/error/ApiError");
 
 const sendOtpToMail = async (email, purpose, templateName, subject, allowRetry = true, placeholders = {}, validity = 15) => {
@@ -17,16 +19,31 @@ const sendOtpToMail = async (email, purpose, templateName, subject, allowRetry =
             where: { email: email, for: purpose },
         });
 
-        console.log("Existing otp : ", existingOtp);
+        const now = new Date();
+        const isExistingOtpLive = existingOtp && existingOtp.expiresAt > now;
 
-        if (existingOtp && !existingOtp.allowRetry) {
+        if (isExistingOtpLive && !existingOtp.allowRetry) {
             console.log("Retry is not allowed");
-            throw new ApiError(400, "OTP already exists! Retry after some time");
+            const retryAfter = Math.ceil((existingOtp.expiresAt - now) / 1000);
+            throw new ApiError(429, "OTP already exists! Retry after some time", [{ code: OtpStatus.RESEND_COOLDOWN, retryAfter }]);
         }
 
+        // Do not let a single address be flooded with OTP emails
+        if (existingOtp) {
+            const retryAfter = Math.ceil((new Date(existingOtp.lastSentAt).getTime() + OTP_RESEND_COOLDOWN * 1000 - now.getTime()) / 1000);
+            if (retryAfter > 0) {
+                throw new ApiError(429, `Please wait ${retryAfter} seconds before requesting a new OTP`, [{ code: OtpStatus.RESEND_COOLDOWN, retryAfter }]);
+            }
+        }
+
+        // The code and its validity are filled in on every send
+        const { otp, validity: _validity, ...storedPlaceholders } = placeholders;
+
         const generatedOTP = generateOtp(4,false,false,false);
+        const otpHash = hashOtp(email, purpose, generatedOTP);
+        const expiresAt = new Date(now.getTime() + validity * 60000);
 
-        // Upsert logic based on allowRetry flag
+        // A new code always starts with a clean attempt counter
         const dbEntry = await prisma.otp.upsert({
             where: {
                 email_for: {
@@ -35,18 +52,27 @@ const sendOtpToMail = async (email, purpose, templateName, subject, allowRetry =
                 },
             },
             update: {
-                otp: generatedOTP,
+                otpHash,
                 age: validity,
+                expiresAt,
+                lastSentAt: now,
+                attempts: 0,
                 allowRetry,
+                template: templateName,
+                subject: subject,
+                placeholders: storedPlaceholders,
             },
             create: {
                 email: email,
-                otp: generatedOTP,
+                otpHash,
                 age: validity,
+                expiresAt,
+                lastSentAt: now,
                 for: purpose,
                 allowRetry: allowRetry,
                 template: templateName,
                 subject: subject,
+                placeholders: storedPlaceholders,
             },
             select: {
                 id: true,
@@ -58,18 +84,16 @@ const sendOtpToMail = async (email, purpose, templateName, subject, allowRetry =
         const templateContent = loadTemplate(templateName, { otp: generatedOTP, validity: validity, ...placeholders });
         await sendMail(email, subject, templateContent);
 
-        // Set auto-delete for the OTP after validity ends
-        setTimeout(async () => {
-            try {
-                await prisma.otp.delete({
-                    where: { id: dbEntry.id },
-                });
-            } catch (error) {
-                console.error('Error deleting OTP:', error);
-            }
-        }, 60000 * validity);
+        // Expiry is handled by the TTL index on otp.expiresAt, no timers needed
 
-        return { message: `OTP sent successfully to ${email}. Valid for ${validity} mins`, id: dbEntry.id, status: 201 };
+        return {
+            message: `OTP sent successfully to ${email}. Valid for ${validity} mins`,
+            code: OtpStatus.SENT,
+            id: dbEntry.id,
+            status: 201,
+            expiresAt,
+            resendAvailableIn: OTP_RESEND_COOLDOWN
+        };
     } catch (error) {
         console.error("Error in sendOtpToMail function", error);
         if (error instanceof ApiError) {
@@ -0,0 +1,72 @@
+const { PrismaClient, FormCapability } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ApiError } = require('../error/ApiError');
+
+const isObjectId = require('../validation/isObjectId');
+
+// Capabilities `user` holds on the form as a collaborator, empty when they are not one
+const getFormCapabilities = async (formId, user) => {
+    if (!user?.id || !isObjectId(formId)) return [];
+
+    const form = await prisma.form.findUnique({
+        where: { id: formId },
+        select: { collaborators: true }
+    });
+
+    const collaborator = form?.collaborators?.find(entry => entry.userId === user.id);
+    return collaborator ? collaborator.capabilities : [];
+};
+
+const hasFormCapability = async (formId, user, capability) => {
+    const capabilities = await getFormCapabilities(formId, user);
+    return capabilities.includes(capability);
+};
+
+// Turns [{ email, capabilities }] from a request into collaborator entries, every email must be a user.
+// Entries already in `existing` keep who added them and when.
+const resolveCollaborators = async (input, addedBy, existing = []) => {
+    const list = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!Array.isArray(list)) {
+        throw new ApiError(400, 'collaborators must be an array of { email, capabilities }');
+    }
+
+    const validCapabilities = Object.values(FormCapability);
+    const collaborators = [];
+
+    for (const entry of list) {
+        const email = String(entry?.email ?? '').trim();
+        const capabilities = [...new Set(entry?.capabilities || [])];
+
+        if (!email) {
+            throw new ApiError(400, 'Every collaborator needs an email');
+        }
+        const invalid = capabilities.filter(capability => !validCapabilities.includes(capability));
+        if (capabilities.length === 0 || invalid.length > 0) {
+            throw new ApiError(400, `Invalid capabilities for ${email}, expected some of ${validCapabilities.join(', ')}`);
+        }
+        if (collaborators.some(collaborator => collaborator.email === email)) {
+            throw new ApiError(400, `${email} is listed more than once`);
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { email },
+            select: { id: true, email: true }
+        });
+        if (!user) {
+            throw new ApiError(404, `No account found for ${email}`);
+        }
+
+        const previous = existing.find(collaborator => collaborator.userId === user.id);
+        collaborators.push({
+            userId: user.id,
+            email: user.email,
+            capabilities,
+            addedById: previous ? previous.addedById : addedBy?.id || null,
+            addedAt: previous ? previous.addedAt : new Date()
+        });
+    }
+
+    return collaborators;
+};
+
+module.exports = { getFormCapabilities, hasFormCapability, resolveCollaborators };
@@ -0,0 +1,402 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ApiError } = require('../error/ApiError');
+const isObjectId = require('../validation/isObjectId');
+
+const PARTICIPATION_TYPES = ['Individual', 'Team'];
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'email', 'phone', 'rollNumber', 'url', 'date', 'radio', 'select', 'checkbox', 'file', 'image'];
+
+// Field types the registrant picks from `options`
+const OPTION_TYPES = ['radio', 'select', 'checkbox'];
+
+const OPERATORS = ['<', '<=', '>', '>=', '==', '!='];
+
+// Rule conditions and the field types each applies to
+const RULE_CONDITIONS = {
+    length: ['text', 'textarea', 'email', 'phone', 'rollNumber', 'url'],
+    value: ['number'],
+    regex: ['text', 'textarea', 'email', 'phone', 'rollNumber', 'url'],
+    count: ['checkbox'],
+};
+
+// How a section decides the next one: on a field's value, on how many options were picked, or always
+const CONDITION_TYPES = ['value', 'count', 'default'];
+
+// Sections addRegistration reads to create or join a team, and the field each needs
+const TEAM_SECTIONS = { 'Create Team': 'Team Name', 'Join Team': 'Team Code' };
+
+const MAX_TEXT_LENGTH = 5000;
+
+const MAX_PATTERN_LENGTH = 500;
+// A repeated group holding a repeat of its own, like (a+)+ or (\w*\s?)*, can backtrack for ages on a long value
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[*+]|\{\d*,\d*\})(?:[^()\\]|\\.)*\)(?:[*+]|\{\d*,\})/;
+
+// The RegExp of a regex rule, null when the pattern does not compile or risks catastrophic backtracking
+const compilePattern = (pattern) => {
+    if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH || NESTED_QUANTIFIER.test(pattern)) {
+        return null;
+    }
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        return null;
+    }
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || value === 'null';
+
+// Booleans arrive from multipart bodies as 'true' / 'false'
+const toBoolean = (value) => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true') return true;
+    if (value === 'false' || isEmpty(value)) return false;
+    return undefined;
+};
+
+// Reads a stored flag, forms saved before the schema may still hold 'true'
+const isTrue = (value) => toBoolean(value) === true;
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+    if (typeof value !== 'string' || !value.trim()) return undefined;
+    const number = Number(value.trim());
+    return Number.isFinite(number) ? number : undefined;
+};
+
+const parseJson = (value, path, errors) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        errors.push({ path, message: 'Must be valid JSON' });
+        return undefined;
+    }
+};
+
+// Collects errors with the path of the value they are about
+const createReader = (errors) => ({
+    string(value, path, { required = false, maxLength = 200 } = {}) {
+        if (isEmpty(value)) {
+            if (required) errors.push({ path, message: 'Required' });
+            return null;
+        }
+        if (typeof value !== 'string' || !value.trim()) {
+            errors.push({ path, message: 'Must be text' });
+            return undefined;
+        }
+        if (value.trim().length > maxLength) {
+            errors.push({ path, message: `Must be at most ${maxLength} characters` });
+            return undefined;
+        }
+        return value.trim();
+    },
+    boolean(value, path) {
+        const result = toBoolean(value);
+        if (result === undefined) errors.push({ path, message: 'Must be true or false' });
+        return result;
+    },
+    integer(value, path, { required = false, min = 0 } = {}) {
+        if (isEmpty(value)) {
+            if (required) errors.push({ path, message: 'Required' });
+            return null;
+        }
+        const number = toNumber(value);
+        if (number === undefined || !Number.isInteger(number) || number < min) {
+            errors.push({ path, message: `Must be a whole number of at least ${min}` });
+            return undefined;
+        }
+        return number;
+    },
+    number(value, path, { required = false, min = -Infinity } = {}) {
+        if (isEmpty(value)) {
+            if (required) errors.push({ path, message: 'Required' });
+            return null;
+        }
+        const number = toNumber(value);
+        if (number === undefined || number < min) {
+            errors.push({ path, message: min === -Infinity ? 'Must be a number' : `Must be a number of at least ${min}` });
+            return undefined;
+        }
+        return number;
+    },
+    date(value, path, { required = false } = {}) {
+        if (isEmpty(value)) {
+            if (required) errors.push({ path, message: 'Required' });
+            return null;
+        }
+        if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+            errors.push({ path, message: 'Must be a date' });
+            return undefined;
+        }
+        return value;
+    },
+    oneOf(value, path, allowed, { required = false } = {}) {
+        if (isEmpty(value)) {
+            if (required) errors.push({ path, message: `Required, one of ${allowed.join(', ')}` });
+            return null;
+        }
+        if (!allowed.includes(value)) {
+            errors.push({ path, message: `Must be one of ${allowed.join(', ')}` });
+            return undefined;
+        }
+        return value;
+    },
+});
+
+// Coerces and checks the event info. `upi` is kept in receiverDetails.
+const parseInfo = (input, read, errors) => {
+    const info = {
+        ...input,
+        eventTitle: read.string(input.eventTitle, 'info.eventTitle', { required: true }),
+        eventdescription: read.string(input.eventdescription, 'info.eventdescription', { maxLength: MAX_TEXT_LENGTH }),
+        eventType: read.string(input.eventType, 'info.eventType'),
+        eventDate: read.date(input.eventDate, 'info.eventDate', { required: true }),
+        regDateAndTime: read.date(input.regDateAndTime, 'info.regDateAndTime'),
+        eventAmount: read.number(input.eventAmount, 'info.eventAmount', { min: 0 }),
+        eventMaxReg: read.integer(input.eventMaxReg, 'info.eventMaxReg', { required: true, min: 1 }),
+        eventPriority: read.integer(input.eventPriority, 'info.eventPriority'),
+        successMessage: read.string(input.successMessage, 'info.successMessage', { maxLength: MAX_TEXT_LENGTH }),
+        relatedEvent: isEmpty(input.relatedEvent) ? null : input.relatedEvent,
+        participationType: read.oneOf(input.participationType, 'info.participationType', PARTICIPATION_TYPES, { required: true }),
+        isPublic: read.boolean(input.isPublic, 'info.isPublic'),
+        isRegistrationClosed: read.boolean(input.isRegistrationClosed, 'info.isRegistrationClosed'),
+        isEventPast: read.boolean(input.isEventPast, 'info.isEventPast'),
+        receiverDetails: {
+            ...(input.receiverDetails || {}),
+            upi: read.string(input.receiverDetails?.upi, 'info.receiverDetails.upi'),
+        },
+    };
+
+    if (info.relatedEvent !== null && !isObjectId(info.relatedEvent)) {
+        errors.push({ path: 'info.relatedEvent', message: 'Must be the id of a form' });
+    }
+
+    if (info.participationType === 'Team') {
+        info.minTeamSize = read.integer(input.minTeamSize, 'info.minTeamSize', { required: true, min: 1 });
+        info.maxTeamSize = read.integer(input.maxTeamSize, 'info.maxTeamSize', { required: true, min: 1 });
+        if (info.minTeamSize && info.maxTeamSize && info.minTeamSize > info.maxTeamSize) {
+            errors.push({ path: 'info.maxTeamSize', message: 'Must be at least minTeamSize' });
+        }
+    } else {
+        info.minTeamSize = null;
+        info.maxTeamSize = null;
+    }
+
+    return info;
+};
+
+const parseRule = (rule, type, path, read, errors) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push({ path, message: 'Must be an object of { condition, operator, value, pattern, message }' });
+        return rule;
+    }
+
+    const condition = read.oneOf(rule.condition, `${path}.condition`, Object.keys(RULE_CONDITIONS), { required: true });
+    const parsed = { ...rule, condition, message: read.string(rule.message, `${path}.message`) };
+
+    if (condition && !RULE_CONDITIONS[condition].includes(type)) {
+        errors.push({ path: `${path}.condition`, message: `A ${condition} rule does not apply to a ${type} field` });
+        return parsed;
+    }
+
+    if (condition === 'regex') {
+        parsed.pattern = read.string(rule.pattern, `${path}.pattern`, { required: true, maxLength: MAX_PATTERN_LENGTH });
+        if (parsed.pattern && !compilePattern(parsed.pattern)) {
+            errors.push({ path: `${path}.pattern`, message: 'Must be a valid regular expression, without a repeated group that repeats inside like (a+)+' });
+        }
+    } else if (condition) {
+        parsed.operator = read.oneOf(rule.operator, `${path}.operator`, OPERATORS, { required: true });
+        parsed.value = condition === 'value'
+            ? read.number(rule.value, `${path}.value`, { required: true })
+            : read.integer(rule.value, `${path}.value`, { required: true });
+    }
+    return parsed;
+};
+
+const parseField = (field, path, read, errors) => {
+    if (!field || typeof field !== 'object' || Array.isArray(field)) {
+        errors.push({ path, message: 'Must be a field object' });
+        return field;
+    }
+
+    const type = read.oneOf(field.type, `${path}.type`, FIELD_TYPES, { required: true });
+    const parsed = {
+        ...field,
+        name: read.string(field.name, `${path}.name`, { required: true }),
+        type,
+        isRequired: read.boolean(field.isRequired, `${path}.isRequired`),
+    };
+
+    if (OPTION_TYPES.includes(type)) {
+        const options = field.options;
+        if (!Array.isArray(options) || options.length === 0) {
+            errors.push({ path: `${path}.options`, message: `A ${type} field needs a list of options` });
+        } else {
+            parsed.options = options.map((option, index) => read.string(option, `${path}.options[${index}]`, { required: true }));
+            if (new Set(parsed.options).size !== parsed.options.length) {
+                errors.push({ path: `${path}.options`, message: 'Options must be unique' });
+            }
+        }
+    }
+
+    // Forms made before the schema named the list `validation`
+    const rules = field.validations ?? field.validation ?? [];
+    delete parsed.validation;
+    if (!Array.isArray(rules)) {
+        errors.push({ path: `${path}.validations`, message: 'Must be a list of rules' });
+    } else if (type) {
+        parsed.validations = rules.map((rule, index) => parseRule(rule, type, `${path}.validations[${index}]`, read, errors));
+    }
+
+    return parsed;
+};
+
+const parseCondition = (condition, section, sectionIds, path, read, errors) => {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        errors.push({ path, message: 'Must be a condition object' });
+        return condition;
+    }
+
+    const conditionType = read.oneOf(condition.conditionType, `${path}.conditionType`, CONDITION_TYPES, { required: true });
+    const parsed = { ...condition, conditionType };
+
+    const checkSection = (key, required) => {
+        const target = condition[key];
+        if (isEmpty(target)) {
+            if (required) errors.push({ path: `${path}.${key}`, message: 'Required' });
+        } else if (!sectionIds.has(target)) {
+            errors.push({ path: `${path}.${key}`, message: `No section named or with the id ${target}` });
+        }
+    };
+    checkSection('destinationSection', true);
+
+    if (conditionType && conditionType !== 'default') {
+        const field = Array.isArray(section.fields) ? section.fields.find(entry => entry?.name === condition.conditionOn) : null;
+        if (!field) {
+            errors.push({ path: `${path}.conditionOn`, message: 'Must name a field of this section' });
+        } else if (conditionType === 'count' && field.type !== 'checkbox') {
+            errors.push({ path: `${path}.conditionOn`, message: 'A count condition needs a checkbox field' });
+        }
+
+        parsed.condition = read.oneOf(condition.condition, `${path}.condition`, OPERATORS, { required: true });
+        parsed.conditionValue = conditionType === 'count'
+            ? read.integer(condition.conditionValue, `${path}.conditionValue`, { required: true })
+            : condition.conditionValue;
+        if (isEmpty(parsed.conditionValue)) {
+            errors.push({ path: `${path}.conditionValue`, message: 'Required' });
+        }
+        checkSection('fallbackSection', false);
+    }
+
+    return parsed;
+};
+
+const parseSections = (sections, participationType, read, errors) => {
+    if (!Array.isArray(sections)) {
+        errors.push({ path: 'sections', message: 'Must be a list of sections' });
+        return [];
+    }
+
+    // Conditions point at a section by its _id or its name
+    const sectionIds = new Set(sections.flatMap(section => [section?._id, section?.name]).filter(Boolean));
+
+    return sections.map((section, index) => {
+        const path = `sections[${index}]`;
+        if (!section || typeof section !== 'object' || Array.isArray(section)) {
+            errors.push({ path, message: 'Must be a section object' });
+            return section;
+        }
+
+        const result = { ...section, name: read.string(section.name, `${path}.name`, { required: true }) };
+        if (sections.findIndex(other => other?.name === section.name) !== index) {
+            errors.push({ path: `${path}.name`, message: 'Another section has this name' });
+        }
+        if (section._id !== undefined && sections.findIndex(other => other?._id === section._id) !== index) {
+            errors.push({ path: `${path}._id`, message: 'Another section has this id' });
+        }
+
+        if (!Array.isArray(section.fields)) {
+            errors.push({ path: `${path}.fields`, message: 'Must be a list of fields' });
+        } else {
+            result.fields = section.fields.map((field, fieldIndex) => parseField(field, `${path}.fields[${fieldIndex}]`, read, errors));
+            section.fields.forEach((field, fieldIndex) => {
+                if (field?.name && section.fields.findIndex(other => other?.name === field.name) !== fieldIndex) {
+                    errors.push({ path: `${path}.fields[${fieldIndex}].name`, message: 'Another field of this section has this name' });
+                }
+            });
+        }
+
+        const conditions = section.conditions ?? [];
+        if (!Array.isArray(conditions)) {
+            errors.push({ path: `${path}.conditions`, message: 'Must be a list of conditions' });
+        } else {
+            result.conditions = conditions.map((condition, conditionIndex) =>
+                parseCondition(condition, section, sectionIds, `${path}.conditions[${conditionIndex}]`, read, errors));
+        }
+
+        // A team section must carry the field addRegistration reads
+        const teamField = TEAM_SECTIONS[section.name];
+        if (teamField) {
+            if (participationType !== 'Team') {
+                errors.push({ path: `${path}.name`, message: `${section.name} is only for team events` });
+            } else if (!Array.isArray(section.fields) || !section.fields.some(field => field?.name === teamField)) {
+                errors.push({ path: `${path}.fields`, message: `${section.name} needs a ${teamField} field` });
+            }
+        }
+
+        return result;
+    });
+};
+
+// Validates and coerces a whole form definition, `formId` is the form being edited.
+// Throws ApiError 400 listing { path, message } for every problem found. On an edit, `isEdited(path)` tells
+// what the request changed: problems elsewhere were already stored, they come back as `warnings` and keep their value.
+const parseFormDefinition = async ({ info = {}, sections = [] }, { formId, isEdited = () => true } = {}) => {
+    const errors = [];
+    const read = createReader(errors);
+
+    const parsedInfo = parseInfo(info, read, errors);
+    const parsedSections = parseSections(parseJson(sections, 'sections', errors) ?? [], parsedInfo.participationType, read, errors);
+
+    if (parsedInfo.relatedEvent && isObjectId(parsedInfo.relatedEvent)) {
+        if (parsedInfo.relatedEvent === formId) {
+            errors.push({ path: 'info.relatedEvent', message: 'A form cannot be related to itself' });
+        } else {
+            const related = await prisma.form.findUnique({ where: { id: parsedInfo.relatedEvent }, select: { id: true } });
+            if (!related) {
+                errors.push({ path: 'info.relatedEvent', message: 'No form with this id' });
+            }
+        }
+    }
+
+    const rejected = errors.filter(error => isEdited(error.path));
+    if (rejected.length > 0) {
+        throw new ApiError(400, 'Invalid form definition', rejected);
+    }
+
+    const warnings = errors.filter(error => !isEdited(error.path));
+    warnings.forEach(({ path }) => {
+        const [, key, nested] = /^info\.(\w+)(?:\.(\w+))?$/.exec(path) || [];
+        if (nested) {
+            parsedInfo[key][nested] = info[key]?.[nested];
+        } else if (key) {
+            parsedInfo[key] = info[key];
+        }
+    });
+
+    return { info: parsedInfo, sections: parsedSections, warnings };
+};
+
+module.exports = {
+    PARTICIPATION_TYPES,
+    FIELD_TYPES,
+    OPTION_TYPES,
+    OPERATORS,
+    TEAM_SECTIONS,
+    isTrue,
+    toNumber,
+    compilePattern,
+    parseJson,
+    parseFormDefinition
+};
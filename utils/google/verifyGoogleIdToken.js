@@ -0,0 +1,44 @@
+const { OAuth2Client } = require('google-auth-library');
+const { ApiError } = require('../error/ApiError');
+
+const client = new OAuth2Client();
+
+// GOOGLE_CLIENT_ID may list several comma separated client ids (web, android, ...)
+const getAudience = () => (process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map((clientId) => clientId.trim())
+    .filter(Boolean);
+
+// Verifies the signature, expiry, issuer and audience of a Google ID token and returns its payload
+const verifyGoogleIdToken = async (idToken) => {
+    if (!idToken) {
+        throw new ApiError(400, "Missing fields: credential");
+    }
+
+    const audience = getAudience();
+    if (audience.length === 0) {
+        console.error('GOOGLE_CLIENT_ID is not configured');
+        throw new ApiError(500, "Google sign-in is not configured");
+    }
+
+    let payload;
+    try {
+        const ticket = await client.verifyIdToken({ idToken, audience });
+        payload = ticket.getPayload();
+    } catch (error) {
+        console.error('Google ID token verification failed:', error.message);
+        throw new ApiError(401, "Invalid Google credential");
+    }
+
+    if (!payload?.sub || !payload.email) {
+        throw new ApiError(401, "Invalid Google credential");
+    }
+
+    if (!payload.email_verified) {
+        throw new ApiError(403, "Google account email is not verified");
+    }
+
+    return payload;
+};
+
+module.exports = verifyGoogleIdToken;
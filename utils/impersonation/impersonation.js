@@ -0,0 +1,76 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const jwt = require('jsonwebtoken');
+const getActiveSession = require('../session/getActiveSession');
+const { hasPermission } = require('../access/permissions');
+const { AuditActions, recordAudit } = require('../audit/recordAudit');
+
+// Sent next to the admin's own cookie, so impersonating never signs the admin out
+const IMPERSONATION_HEADER = 'x-impersonation-token';
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30;
+const MAX_IMPERSONATION_MINUTES = 120;
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const getImpersonationToken = (req) => {
+    const token = req.headers[IMPERSONATION_HEADER];
+    return token ? token.replace(/^Bearer /, '') : null;
+};
+
+// Returns { user, impersonator, session } for a live impersonation token, null otherwise.
+// The admin has to still be allowed to impersonate on every request.
+const authenticateImpersonation = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.impersonatedBy || !decoded.readOnly) {
+        return null;
+    }
+
+    const user = await prisma.user.findUnique({ where: { email: decoded.email } });
+    if (!user) {
+        return null;
+    }
+
+    const session = await getActiveSession(decoded.sid, user.id);
+    if (!session || session.impersonatedById !== decoded.impersonatedBy) {
+        return null;
+    }
+
+    const impersonator = await prisma.user.findUnique({ where: { id: session.impersonatedById } });
+    if (!impersonator || !hasPermission(impersonator, 'user.impersonate')) {
+        return null;
+    }
+
+    return { user, impersonator, session };
+};
+
+// Routes opt in with allowImpersonation when they read through a POST,
+// and out with blockImpersonation when they write through a GET
+const isReadOnlyRequest = (req) => req.impersonationAllowed ?? READ_ONLY_METHODS.includes(req.method);
+
+// Logs the request once the response is sent, so the status is known
+const auditImpersonatedRequest = (req, res) => {
+    res.on('finish', () => {
+        recordAudit(req, {
+            action: AuditActions.IMPERSONATION_REQUEST,
+            actor: req.impersonator,
+            target: req.user,
+            metadata: {
+                sessionId: req.authSession.id,
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode
+            }
+        });
+    });
+};
+
+module.exports = {
+    IMPERSONATION_HEADER,
+    IMPERSONATION_TTL_MINUTES,
+    MAX_IMPERSONATION_MINUTES,
+    getImpersonationToken,
+    authenticateImpersonation,
+    isReadOnlyRequest,
+    auditImpersonatedRequest
+};
@@ -0,0 +1,48 @@
+const refreshStudyYears = require('./refreshStudyYears');
+const transitionGraduates = require('./transitionGraduates');
+const runJobOnce = require('./runJobOnce');
+const { getNextRollover, getAcademicYearLabel } = require('../user/rollNumber');
+
+// setTimeout overflows past ~24.8 days, longer waits are chained
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const waitUntil = (date, callback) => {
+    const delay = date.getTime() - Date.now();
+    if (delay > MAX_TIMEOUT) {
+        return setTimeout(() => waitUntil(date, callback), MAX_TIMEOUT).unref();
+    }
+    return setTimeout(callback, Math.max(0, delay)).unref();
+};
+
+// Every replica calls this, only one of them runs the rollover of an academic year
+const runRollover = async () => {
+    const academicYear = getAcademicYearLabel();
+    try {
+        const ran = await runJobOnce('academicRollover', academicYear, async () => {
+            await refreshStudyYears();
+            await transitionGraduates();
+        });
+        if (!ran) {
+            console.log(`Academic rollover for ${academicYear} already done or running on another instance`);
+        }
+    } catch (error) {
+        console.error('Error running academic rollover:', error);
+    }
+};
+
+// Runs once at startup, to catch a rollover missed while the server was down, then at every academic rollover
+const scheduleAcademicRollover = () => {
+    const scheduleNext = () => {
+        const nextRollover = getNextRollover();
+        console.log(`Next academic rollover at ${nextRollover.toISOString()}`);
+        waitUntil(nextRollover, async () => {
+            await runRollover();
+            scheduleNext();
+        });
+    };
+
+    runRollover();
+    scheduleNext();
+};
+
+module.exports = { scheduleAcademicRollover, runRollover };
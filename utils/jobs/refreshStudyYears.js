@@ -0,0 +1,39 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { getRollNumberProfile } = require('../user/rollNumber');
+
+const BATCH_SIZE = 500;
+
+// Recomputes `year` from the roll number (or KIIT email) of every user, only changed users are written
+const refreshStudyYears = async (date = new Date()) => {
+    let cursor;
+    let updated = 0;
+
+    while (true) {
+        const users = await prisma.user.findMany({
+            select: { id: true, email: true, rollNumber: true, year: true },
+            orderBy: { id: 'asc' },
+            take: BATCH_SIZE,
+            ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+        });
+
+        if (users.length === 0) break;
+        cursor = users[users.length - 1].id;
+
+        for (const user of users) {
+            const profile = getRollNumberProfile(user, date);
+            if (!profile || profile.year === user.year) continue;
+
+            await prisma.user.update({
+                where: { id: user.id },
+                data: { year: profile.year }
+            });
+            updated++;
+        }
+    }
+
+    console.log(`Study years refreshed, ${updated} users updated`);
+    return updated;
+};
+
+module.exports = refreshStudyYears;
@@ -0,0 +1,43 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const os = require('os');
+
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+// A lease outlives any normal run, an instance that dies mid-run frees the job once it runs out
+const DEFAULT_LEASE_MINUTES = 30;
+
+// Runs `job` unless it already completed for `period`, and only on the one replica that takes the lease.
+// Returns false when the job was skipped. A failed run frees the lease so the next start retries it.
+const runJobOnce = async (name, period, job, { leaseMinutes = DEFAULT_LEASE_MINUTES } = {}) => {
+    try {
+        await prisma.jobRun.upsert({ where: { name }, create: { name }, update: {} });
+    } catch (error) {
+        // Another replica created it at the same moment
+        if (error.code !== 'P2002') throw error;
+    }
+
+    const now = new Date();
+    const { count } = await prisma.jobRun.updateMany({
+        where: { name, lastPeriod: { not: period }, lockedUntil: { lt: now } },
+        data: { lockedUntil: new Date(now.getTime() + leaseMinutes * 60 * 1000), lockedBy: INSTANCE }
+    });
+    if (count === 0) {
+        return false;
+    }
+
+    try {
+        await job();
+    } catch (error) {
+        await prisma.jobRun.update({ where: { name }, data: { lockedUntil: new Date() } });
+        throw error;
+    }
+
+    await prisma.jobRun.update({
+        where: { name },
+        data: { lastPeriod: period, lastRunAt: new Date(), lockedUntil: new Date() }
+    });
+    return true;
+};
+
+module.exports = runJobOnce;
@@ -0,0 +1,31 @@
+const { PrismaClient, AccessTypes } = require('@prisma/client');
+const prisma = new PrismaClient();
+const updateUser = require('../user/updateUser');
+
+// Accounts that are never moved to ALUMNI automatically
+const EXCLUDED_ACCESS = [AccessTypes.USER, AccessTypes.ADMIN, AccessTypes.ALUMNI, AccessTypes.EX_MEMBER];
+
+// Moves members whose study year has run out to ALUMNI. Run after refreshStudyYears so `year` is current.
+const transitionGraduates = async () => {
+    const graduates = await prisma.user.findMany({
+        where: {
+            year: 'Passout',
+            access: { notIn: EXCLUDED_ACCESS }
+        },
+        select: { id: true, email: true, access: true }
+    });
+
+    for (const graduate of graduates) {
+        try {
+            await updateUser({ id: graduate.id }, { access: AccessTypes.ALUMNI }, { accessChangeReason: 'GRADUATED' });
+            console.log(`Moved ${graduate.email} from ${graduate.access} to ALUMNI`);
+        } catch (error) {
+            console.error(`Error moving ${graduate.email} to ALUMNI:`, error);
+        }
+    }
+
+    console.log(`Alumni transition done, ${graduates.length} members graduated`);
+    return graduates.length;
+};
+
+module.exports = transitionGraduates;
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('../error/ApiError');
+const { hashToken } = require('../session/tokens');
+
+const MAGIC_LINK_PURPOSE = 'MAGIC_LINK';
+const MAGIC_LINK_TTL_MINUTES = Number(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+const BINDING_COOKIE = 'magicLinkBinding';
+
+const bindingCookieOptions = {
+    httpOnly: true,
+    secure: true,
+    path: '/api/auth/magicLink',
+    maxAge: MAGIC_LINK_TTL_MINUTES * 60 * 1000
+};
+
+// The link carries a signed reference to the magicLink record, the record makes it single use
+const signMagicLinkToken = (magicLink) => jwt.sign(
+    { jti: magicLink.id, email: magicLink.email, purpose: MAGIC_LINK_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: `${MAGIC_LINK_TTL_MINUTES}m` }
+);
+
+const verifyMagicLinkToken = (token) => {
+    if (!token) {
+        throw new ApiError(400, "Missing fields: token");
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new ApiError(401, "Sign-in link has expired. Please request a new one");
+    }
+
+    if (decoded.purpose !== MAGIC_LINK_PURPOSE || !decoded.jti) {
+        throw new ApiError(401, "Invalid sign-in link");
+    }
+
+    return decoded;
+};
+
+// Random nonce kept in the requesting browser, only its hash is stored with the link
+const generateBinding = () => {
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    return { nonce, hash: hashToken(nonce) };
+};
+
+const isBindingMatch = (magicLink, nonce) => {
+    if (!nonce) return false;
+    const expected = Buffer.from(magicLink.bindingHash, 'hex');
+    const actual = Buffer.from(hashToken(nonce), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const setBindingCookie = (res, nonce) => res.cookie(BINDING_COOKIE, nonce, bindingCookieOptions);
+
+const clearBindingCookie = (res) => {
+    const { maxAge, ...options } = bindingCookieOptions;
+    res.clearCookie(BINDING_COOKIE, options);
+};
+
+module.exports = {
+    BINDING_COOKIE,
+    MAGIC_LINK_TTL_MINUTES,
+    signMagicLinkToken,
+    verifyMagicLinkToken,
+    generateBinding,
+    isBindingMatch,
+    setBindingCookie,
+    clearBindingCookie
+};
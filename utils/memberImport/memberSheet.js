@@ -0,0 +1,175 @@
+const XLSX = require('xlsx');
+const { PrismaClient, AccessTypes } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { getRollNumberProfile } = require('../user/rollNumber');
+
+const SHEET_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+// Sheet headers are matched ignoring case, spaces and underscores. Anything else is ignored.
+const COLUMNS = {
+    email: 'email',
+    name: 'name',
+    access: 'access',
+    year: 'year',
+    rollnumber: 'rollNumber',
+    school: 'school',
+    college: 'college',
+    contactno: 'contactNo',
+    whatsappno: 'whatsappNo',
+    extra: 'extra',
+};
+
+const RowActions = { CREATE: 'CREATE', UPDATE: 'UPDATE', SKIP: 'SKIP' };
+const RowStatuses = { VALID: 'VALID', INVALID: 'INVALID', DUPLICATE: 'DUPLICATE' };
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_]+/g, '');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Spreadsheets like to turn straight quotes into curly ones
+const parseExtra = (value) => {
+    if (typeof value === 'object') return value;
+    const extra = JSON.parse(String(value).replace(/[‘’]/g, '"').replace(/[“”]/g, '"'));
+    if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+        throw new Error('extra must be a JSON object');
+    }
+    return extra;
+};
+
+// Reads the first sheet. `row` is the spreadsheet row number, the header being row 1.
+const parseMemberSheet = (filePath) => {
+    const workbook = XLSX.readFile(filePath);
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const entries = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }) : [];
+
+    const headers = entries.length > 0 ? Object.keys(entries[0]) : [];
+    const ignoredColumns = headers.filter(header => !COLUMNS[normalizeHeader(header)]);
+
+    const rows = entries.map((entry, index) => {
+        const values = {};
+        for (const [header, value] of Object.entries(entry)) {
+            const field = COLUMNS[normalizeHeader(header)];
+            if (field && String(value).trim() !== '') {
+                values[field] = field === 'extra' ? value : String(value).trim();
+            }
+        }
+        return { row: index + 2, values };
+    });
+
+    return { rows, ignoredColumns };
+};
+
+// Validates one row and turns it into the data createOrUpdateUser receives
+const validateRow = ({ values }) => {
+    const errors = [];
+    const data = {};
+
+    // Emails are compared and stored lowercase, whatever the sheet says
+    const email = values.email ? values.email.trim().toLowerCase() : null;
+    if (!email) {
+        errors.push('Email is required');
+    } else if (!EMAIL_PATTERN.test(email)) {
+        errors.push(`Invalid email ${values.email}`);
+    }
+
+    if (!values.access) {
+        errors.push('Access is required');
+    } else {
+        data.access = values.access.toUpperCase().replace(/\s+/g, '_');
+        if (!Object.values(AccessTypes).includes(data.access)) {
+            errors.push(`Invalid access ${values.access}`);
+        }
+    }
+
+    for (const field of ['name', 'year', 'rollNumber', 'school', 'college', 'contactNo', 'whatsappNo']) {
+        if (values[field]) data[field] = values[field];
+    }
+
+    if (values.extra) {
+        try {
+            data.extra = parseExtra(values.extra);
+        } catch (error) {
+            errors.push(`Invalid JSON in extra: ${error.message}`);
+        }
+    }
+
+    // Study year, school and college follow from the roll number (or a KIIT email)
+    const rollNumberProfile = getRollNumberProfile({ rollNumber: data.rollNumber, email });
+    if (rollNumberProfile) {
+        Object.assign(data, rollNumberProfile);
+    }
+
+    return { errors, email, data };
+};
+
+// lowercase email -> { email, access } of the users behind `emails` that have an account.
+// Accounts may have been stored with capitals, so the match ignores case.
+const findCurrentAccess = async (emails) => {
+    const unique = [...new Set(emails.filter(Boolean).map(email => email.toLowerCase()))];
+    if (unique.length === 0) {
+        return new Map();
+    }
+    const users = await prisma.user.findMany({
+        where: { OR: unique.map(email => ({ email: { equals: email, mode: 'insensitive' } })) },
+        select: { email: true, access: true }
+    });
+    return new Map(users.map(user => [user.email.toLowerCase(), user]));
+};
+
+// Decides what happens to every row against the users as they are now.
+// Emails listed more than once are all left out, there is no telling which row is right.
+const planMemberImport = async (rows) => {
+    const validated = rows.map(sheetRow => ({ sheetRow, ...validateRow(sheetRow) }));
+
+    const counts = {};
+    for (const { email } of validated) {
+        if (email) counts[email] = (counts[email] || 0) + 1;
+    }
+
+    const currentAccess = await findCurrentAccess(validated.map(({ email }) => email));
+
+    return validated.map(({ sheetRow, errors, email, data }) => {
+        const existing = currentAccess.get(email) || null;
+        const existingAccess = existing?.access || null;
+
+        let status = RowStatuses.VALID;
+        if (errors.length > 0) {
+            status = RowStatuses.INVALID;
+        } else if (counts[email] > 1) {
+            status = RowStatuses.DUPLICATE;
+            errors.push(`${email} appears ${counts[email]} times in the sheet`);
+        }
+
+        return {
+            row: sheetRow.row,
+            // Updates address the account by the email it was stored with
+            email: existing?.email || email,
+            name: data.name || null,
+            access: data.access || null,
+            previousAccess: existingAccess,
+            action: status !== RowStatuses.VALID ? RowActions.SKIP : existingAccess ? RowActions.UPDATE : RowActions.CREATE,
+            status,
+            errors,
+            data
+        };
+    });
+};
+
+const summarizeRows = (rows) => ({
+    total: rows.length,
+    creates: rows.filter(row => row.action === RowActions.CREATE).length,
+    updates: rows.filter(row => row.action === RowActions.UPDATE).length,
+    accessChanges: rows.filter(row => row.action === RowActions.UPDATE && row.previousAccess !== row.access).length,
+    invalid: rows.filter(row => row.status === RowStatuses.INVALID).length,
+    duplicates: rows.filter(row => row.status === RowStatuses.DUPLICATE).length,
+});
+
+module.exports = {
+    SHEET_EXTENSIONS,
+    RowActions,
+    RowStatuses,
+    parseMemberSheet,
+    findCurrentAccess,
+    planMemberImport,
+    summarizeRows
+};
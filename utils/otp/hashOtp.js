@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Keyed hash so a leaked otp collection cannot be brute forced offline. Email and
+// purpose are part of the input, a hash is useless for any other email or purpose.
+const hashOtp = (email, purpose, otp) => crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${email.trim().toLowerCase()}:${purpose}:${String(otp).trim()}`)
+    .digest('hex');
+
+const isOtpMatch = (otpRecord, otp) => {
+    const expected = Buffer.from(otpRecord.otpHash, 'hex');
+    const actual = Buffer.from(hashOtp(otpRecord.email, otpRecord.for, otp), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { hashOtp, isOtpMatch };
@@ -0,0 +1,19 @@
+// Outcome codes shared by every OTP purpose (EMAIL_VERIFICATION, FORGOT_PASSWORD).
+// Clients receive them in ApiError.errors[0].code, or as `code` on success.
+const OtpStatus = {
+    SENT: 'OTP_SENT',
+    VERIFIED: 'OTP_VERIFIED',
+    INVALID: 'OTP_INVALID',
+    NOT_FOUND: 'OTP_NOT_FOUND',
+    EXPIRED: 'OTP_EXPIRED',
+    LOCKED: 'OTP_LOCKED',
+    RESEND_COOLDOWN: 'OTP_RESEND_COOLDOWN',
+};
+
+// Wrong guesses allowed for a single code before it is locked and a new one has to be sent
+const MAX_OTP_ATTEMPTS = 5;
+
+// Seconds to wait between two OTP emails for the same email and purpose
+const OTP_RESEND_COOLDOWN = 60;
+
+module.exports = { OtpStatus, MAX_OTP_ATTEMPTS, OTP_RESEND_COOLDOWN };
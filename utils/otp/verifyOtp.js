@@ -1,48 +1,66 @@
-const { PrismaClient, OtpPurpose } = require('@prisma/client');
+const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
-const sendOtpToMail = require('../email/generateOtpAndSendMail');
 const { ApiError } = require('../error/ApiError');
+const { getActiveLock, recordFailedAttempt, recordSuccessfulAttempt } = require('../throttle/authThrottle');
+const { isOtpMatch } = require('./hashOtp');
+const { OtpStatus, MAX_OTP_ATTEMPTS } = require('./otpStatus');
 
-const verifyOtp = async (email, otp, purpose, deleteOtp = false) => {
+// Verify an OTP for the given purpose. Never throws for a wrong, expired or locked code,
+// the result carries `code` (see otpStatus.js) and the HTTP `status` to respond with; `id` is set only on success.
+// Expired codes are not reissued, the client has to ask for a new one through /api/auth/resendOtp.
+const verifyOtp = async (email, otp, purpose, deleteOtp = false, ip = null) => {
     console.log("Entering verify otp");
     try {
-        console.log(email, otp, purpose);
+        console.log(email, purpose);
+
+        // Stop guessing once the account or IP has too many wrong OTPs
+        const lock = await getActiveLock('OTP_VERIFY', { email, ip });
+        if (lock) {
+            return { message: `Too many wrong OTPs. Try again after ${Math.ceil(lock.retryAfter / 60)} minute(s)`, code: OtpStatus.LOCKED, expired: false, id: null, status : 429 };
+        }
+
         const hasOtp = await prisma.otp.findFirst({
-            where: { email: email, otp: otp, for: purpose }
+            where: { email: email, for: purpose }
         });
 
-        console.log(hasOtp);
-
         if (!hasOtp) {
-            return { message: "OTP mismatch or not found", expired: false, id: null, status : 404 };
+            return { message: "OTP not found. Please request a new OTP", code: OtpStatus.NOT_FOUND, expired: false, id: null, status : 404 };
+        }
+
+        // The TTL monitor only runs every minute, so expiry is checked here as well
+        if (hasOtp.expiresAt < new Date()) {
+            return { message: "OTP has expired. Please request a new OTP", code: OtpStatus.EXPIRED, expired: true, id: null, status : 410 };
         }
 
-        // Calculate if the OTP has expired
-        const currentTime = new Date();
-        const otpCreationTime = new Date(hasOtp.createdAt);
-        const otpValidityDuration = hasOtp.age * 60000;
-        const otpExpirationTime = new Date(otpCreationTime.getTime() + otpValidityDuration);
-        
-        console.log(currentTime);
-        console.log(otpCreationTime);
-        console.log(otpValidityDuration);
-        console.log(otpExpirationTime);
-        
-        if (currentTime > otpExpirationTime) {
+        // Spend an attempt before comparing, in one step, so guesses sent side by side cannot all get past the cap
+        const { count } = await prisma.otp.updateMany({
+            where: { id: hasOtp.id, attempts: { lt: MAX_OTP_ATTEMPTS } },
+            data: { attempts: { increment: 1 } }
+        });
+        if (count === 0) {
+            return { message: "Too many wrong attempts for this OTP. Please request a new OTP", code: OtpStatus.LOCKED, expired: false, id: null, status : 423 };
+        }
 
-            console.log("OTP has expired, sending a new OTP");
-            // Send the new OTP to the user
+        if (!isOtpMatch(hasOtp, otp)) {
+            await recordFailedAttempt('OTP_VERIFY', { email, ip });
 
-            // Use Promise to send the email
-            const updatedOtp = sendOtpToMail(email, hasOtp.for, hasOtp.template, hasOtp.subject, true, {}, hasOtp.age)
-                .then(() => {
-                    console.log(`OTP sent successfully to ${email}`);
-                })
-                .catch(error => {
-                    console.error('Error sending OTP:', error);
-                });
+            const updatedOtp = await prisma.otp.findUnique({
+                where: { id: hasOtp.id },
+                select: { attempts: true }
+            });
+            const attemptsLeft = Math.max(0, MAX_OTP_ATTEMPTS - (updatedOtp?.attempts ?? MAX_OTP_ATTEMPTS));
+            if (attemptsLeft === 0) {
+                return { message: "Too many wrong attempts for this OTP. Please request a new OTP", code: OtpStatus.LOCKED, expired: false, id: null, status : 423 };
+            }
+            return { message: `Invalid OTP. ${attemptsLeft} attempt(s) left`, code: OtpStatus.INVALID, expired: false, id: null, status : 400, attemptsLeft };
+        }
 
-            return { message: `OTP expired. A new OTP has been sent to ${email}.`, expired: true, is: updatedOtp.id, status : 201 };
+        // A right code does not count against the ones kept for a later step
+        if (!deleteOtp) {
+            await prisma.otp.updateMany({
+                where: { id: hasOtp.id },
+                data: { attempts: { decrement: 1 } }
+            });
         }
 
         if (deleteOtp) {
@@ -55,7 +73,9 @@ const verifyOtp = async (email, otp, purpose, deleteOtp = false) => {
             }
         }
 
-        return { message: "Valid OTP", expired: false, id:hasOtp.id, status : 200 }; // OTP verified successfully
+        await recordSuccessfulAttempt('OTP_VERIFY', { email });
+
+        return { message: "Valid OTP", code: OtpStatus.VERIFIED, expired: false, id:hasOtp.id, status : 200 }; // OTP verified successfully
     } catch (error) {
         console.error('Error verifying OTP:', error);
         throw new ApiError(error.statusCode || 500, 'Error verifying OTP', error);
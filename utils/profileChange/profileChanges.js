@@ -0,0 +1,77 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ApiError } = require('../error/ApiError');
+const { sendMail } = require('../email/nodeMailer');
+const loadTemplate = require('../email/loadTemplate');
+const escapeHtml = require('../email/escapeHtml');
+
+// Fields a USER can ask to change, the ones editProfile lets them edit themselves
+const PROFILE_CHANGE_FIELDS = ['name', 'year', 'rollNumber', 'school', 'college', 'contactNo', 'whatsappNo'];
+
+const MAX_VALUE_LENGTH = 100;
+const MAX_REASON_LENGTH = 500;
+
+// Validates requested changes against `user`. Returns the changes and the values they replace.
+const parseProfileChanges = (input, reason, user) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ApiError(400, `changes must be an object of ${PROFILE_CHANGE_FIELDS.join(', ')}`);
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        throw new ApiError(400, 'A reason for the change is required');
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+        throw new ApiError(400, `The reason can be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    const errors = [];
+    const changes = {};
+    for (const [field, value] of Object.entries(input)) {
+        if (!PROFILE_CHANGE_FIELDS.includes(field)) {
+            errors.push({ field, message: 'This field cannot be changed through a request' });
+        } else if (typeof value !== 'string' || !value.trim() || value.length > MAX_VALUE_LENGTH) {
+            errors.push({ field, message: `Must be text of 1 to ${MAX_VALUE_LENGTH} characters` });
+        } else if (value.trim() !== (user[field] ?? '')) {
+            changes[field] = value.trim();
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, 'Invalid profile changes', errors);
+    }
+    if (Object.keys(changes).length === 0) {
+        throw new ApiError(400, 'Nothing to change, the profile already has these values');
+    }
+
+    const previous = Object.fromEntries(Object.keys(changes).map(field => [field, user[field] ?? null]));
+    return { changes, previous };
+};
+
+// Field by field comparison a reviewer decides on. `changedSinceRequest` flags values edited after the request was made.
+const buildProfileDiff = (request, user) => Object.entries(request.changes).map(([field, requested]) => ({
+    field,
+    current: user?.[field] ?? null,
+    requested,
+    changedSinceRequest: (user?.[field] ?? null) !== (request.previous?.[field] ?? null)
+}));
+
+// Mail failures are logged, they never undo the decision
+const notifyProfileChangeDecision = async (request) => {
+    const user = await prisma.user.findUnique({
+        where: { id: request.userId },
+        select: { name: true, email: true }
+    });
+    if (!user) return;
+
+    const changes = Object.entries(request.changes)
+        .map(([field, value]) => `                <li><strong>${escapeHtml(field)}:</strong> ${escapeHtml(value)}</li>`)
+        .join('\n');
+
+    await sendMail(user.email, `Profile change ${request.status.toLowerCase()}`, loadTemplate('profileChangeDecision', {
+        name: escapeHtml(user.name || ''),
+        status: request.status,
+        changes,
+        comment: escapeHtml(request.reviewComment || '-')
+    }));
+};
+
+module.exports = { PROFILE_CHANGE_FIELDS, parseProfileChanges, buildProfileDiff, notifyProfileChangeDecision };
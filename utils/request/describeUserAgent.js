@@ -0,0 +1,36 @@
+// Turn a raw user agent into a short label like "Chrome on Android" for the sessions list
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/],
+];
+
+const describeUserAgent = (userAgent) => {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) {
+        // Scripts and apps usually send something like "okhttp/4.9" or "PostmanRuntime/7.3"
+        return userAgent.split(' ')[0].slice(0, 50);
+    }
+
+    return `${browser ? browser[0] : 'Unknown browser'} on ${os ? os[0] : 'unknown OS'}`;
+};
+
+module.exports = { describeUserAgent };
@@ -0,0 +1,17 @@
+// Resolve the caller's IP and user agent. Requests reach us through nginx, which sets
+// X-Real-IP and appends the address it saw to X-Forwarded-For. The first X-Forwarded-For
+// entry is whatever the client sent, so it is never trusted.
+const getClientInfo = (req) => {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    const ip = req.headers['x-real-ip']
+        || (forwardedFor ? forwardedFor.split(',').pop().trim() : null)
+        || req.ip
+        || null;
+
+    return {
+        ip,
+        userAgent: req.headers['user-agent'] || null
+    };
+};
+
+module.exports = { getClientInfo };
@@ -0,0 +1,55 @@
+const { PrismaClient, RoleChangeStatus } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ApiError } = require('../error/ApiError');
+const { parseDepartmentAccess } = require('../access/departments');
+const { AuditActions, recordAudit } = require('../audit/recordAudit');
+const { notifyApprovers } = require('./roleChangeNotifications');
+
+// One open request per member, so approvals never race each other
+const assertNoPendingRoleChange = async (email) => {
+    const pending = await prisma.roleChangeRequest.findFirst({
+        where: { targetEmail: email, status: RoleChangeStatus.PENDING },
+        select: { id: true }
+    });
+
+    if (pending) {
+        throw new ApiError(409, `A role change for ${email} is already awaiting approval`, [{ code: "ROLE_CHANGE_PENDING", id: pending.id }]);
+    }
+};
+
+// `previous` is the member's current { id, access }, null when they have no account yet
+const proposeRoleChange = async (req, { email, previous, toAccess, changes = null, comment = null }) => {
+    await assertNoPendingRoleChange(email);
+
+    const request = await prisma.roleChangeRequest.create({
+        data: {
+            targetUserId: previous?.id || null,
+            targetEmail: email,
+            fromAccess: previous?.access || null,
+            toAccess,
+            department: parseDepartmentAccess(toAccess)?.department || parseDepartmentAccess(previous?.access)?.department || null,
+            changes: changes && Object.keys(changes).length > 0 ? changes : null,
+            proposedById: req.user.id,
+            proposedByEmail: req.user.email,
+            proposalComment: comment || null
+        }
+    });
+
+    await recordAudit(req, {
+        action: AuditActions.ROLE_CHANGE_PROPOSED,
+        target: { id: request.targetUserId, email },
+        department: request.department,
+        before: { access: request.fromAccess },
+        after: { access: toAccess },
+        metadata: { roleChangeRequestId: request.id }
+    });
+
+    notifyApprovers(request, req.user).catch(error => {
+        console.error('Error notifying role change approvers:', error);
+    });
+
+    console.log(`Role change ${request.fromAccess} -> ${toAccess} for ${email} proposed by ${req.user.email}`);
+    return request;
+};
+
+module.exports = { assertNoPendingRoleChange, proposeRoleChange };
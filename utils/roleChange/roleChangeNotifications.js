@@ -0,0 +1,58 @@
+const { PrismaClient, AccessTypes } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendMail } = require('../email/nodeMailer');
+const loadTemplate = require('../email/loadTemplate');
+const escapeHtml = require('../email/escapeHtml');
+
+const APPROVER_ACCESS = [AccessTypes.PRESIDENT, AccessTypes.VICEPRESIDENT, AccessTypes.ADMIN];
+
+const describe = (name, email) => (name ? `${name} (${email})` : email);
+
+// Mail failures are logged, they never undo the request or the decision
+const send = (to, subject, template) => sendMail(to, subject, template).catch(error => {
+    console.error(`Error sending role change email to ${to}:`, error);
+});
+
+const notifyApprovers = async (request, proposer) => {
+    const [approvers, member] = await Promise.all([
+        prisma.user.findMany({
+            where: { access: { in: APPROVER_ACCESS } },
+            select: { name: true, email: true }
+        }),
+        prisma.user.findUnique({ where: { email: request.targetEmail }, select: { name: true } })
+    ]);
+
+    approvers.forEach(approver => send(approver.email, 'Role change awaiting your approval', loadTemplate('roleChangeProposed', {
+        name: escapeHtml(approver.name || ''),
+        proposer: escapeHtml(describe(proposer.name, proposer.email)),
+        member: escapeHtml(describe(member?.name, request.targetEmail)),
+        fromAccess: request.fromAccess || 'No account',
+        toAccess: request.toAccess,
+        comment: escapeHtml(request.proposalComment || '-')
+    })));
+};
+
+// Both parties hear about the decision: the director who proposed it and the member
+const notifyDecision = async (request, reviewer) => {
+    const [proposer, member] = await Promise.all([
+        prisma.user.findUnique({ where: { id: request.proposedById }, select: { name: true, email: true } }),
+        prisma.user.findUnique({ where: { email: request.targetEmail }, select: { name: true, email: true } })
+    ]);
+
+    const placeholders = {
+        member: escapeHtml(describe(member?.name, request.targetEmail)),
+        fromAccess: request.fromAccess || 'No account',
+        toAccess: request.toAccess,
+        status: request.status,
+        reviewer: escapeHtml(reviewer.name || reviewer.email),
+        comment: escapeHtml(request.reviewComment || '-')
+    };
+    const subject = `Role change ${request.status.toLowerCase()}`;
+
+    [proposer, member].filter(Boolean).forEach(recipient => send(recipient.email, subject, loadTemplate('roleChangeDecision', {
+        ...placeholders,
+        name: escapeHtml(recipient.name || '')
+    })));
+};
+
+module.exports = { APPROVER_ACCESS, notifyApprovers, notifyDecision };
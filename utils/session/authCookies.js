@@ -0,0 +1,30 @@
+const { REFRESH_TOKEN_TTL_DAYS } = require('./tokens');
+
+const cookieOptions = {
+    httpOnly: true,
+    secure: true,
+};
+
+// The refresh token is only ever needed by /api/auth, keep it off every other request
+const refreshCookieOptions = {
+    ...cookieOptions,
+    path: '/api/auth',
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+};
+
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+    res.cookie('token', accessToken, cookieOptions);
+    res.cookie('refreshToken', refreshToken, refreshCookieOptions);
+};
+
+// A new access token for the same session, e.g. after the email in it changed
+const setAccessTokenCookie = (res, accessToken) => {
+    res.cookie('token', accessToken, cookieOptions);
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie('token', cookieOptions);
+    res.clearCookie('refreshToken', refreshCookieOptions);
+};
+
+module.exports = { setAuthCookies, setAccessTokenCookie, clearAuthCookies };
@@ -0,0 +1,32 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { signAccessToken, generateRefreshToken, getRefreshTokenExpiry } = require('./tokens');
+const { getClientInfo } = require('../request/getClientInfo');
+
+// Start a new session for the user and issue its first access/refresh token pair
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+    const { ip, userAgent } = getClientInfo(req);
+    const refreshToken = generateRefreshToken();
+
+    const session = await prisma.session.create({
+        data: {
+            userId: user.id,
+            refreshTokenHash: refreshToken.hash,
+            userAgent,
+            ip,
+            expiresAt: getRefreshTokenExpiry(),
+            mfaVerifiedAt: twoFactorVerified ? new Date() : null,
+            revokedAt: null
+        }
+    });
+
+    console.log(`Session ${session.id} created for ${user.email}`);
+
+    return {
+        session,
+        accessToken: signAccessToken(user, session),
+        refreshToken: refreshToken.token
+    };
+};
+
+module.exports = createSession;
@@ -0,0 +1,33 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Only refresh lastSeenAt once a minute to avoid a write on every request
+const LAST_SEEN_RESOLUTION = 60 * 1000;
+
+// Returns the session behind an access token, or null if it was revoked, expired or belongs to someone else
+const getActiveSession = async (sessionId, userId) => {
+    if (!sessionId) {
+        return null;
+    }
+
+    const session = await prisma.session.findUnique({
+        where: { id: sessionId }
+    });
+
+    if (!session || session.revokedAt || session.userId !== userId || session.expiresAt < new Date()) {
+        return null;
+    }
+
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION) {
+        prisma.session.update({
+            where: { id: session.id },
+            data: { lastSeenAt: new Date() }
+        }).catch(error => {
+            console.error('Error updating session last seen time:', error);
+        });
+    }
+
+    return session;
+};
+
+module.exports = getActiveSession;
@@ -0,0 +1,31 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Revoke a single session. Already revoked sessions keep their original reason.
+const revokeSession = async (sessionId, reason) => {
+    const { count } = await prisma.session.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    console.log(`Revoked session ${sessionId} (${reason})`);
+    return count;
+};
+
+// Revoke every active session of a user, optionally keeping the current one
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+    const where = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        where.id = { not: exceptSessionId };
+    }
+
+    const { count } = await prisma.session.updateMany({
+        where,
+        data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    console.log(`Revoked ${count} session(s) of user ${userId} (${reason})`);
+    return count;
+};
+
+module.exports = { revokeSession, revokeUserSessions };
@@ -0,0 +1,80 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ApiError } = require('../error/ApiError');
+const { hashToken, signAccessToken, generateRefreshToken } = require('./tokens');
+const { revokeSession } = require('./revokeSessions');
+const { getClientInfo } = require('../request/getClientInfo');
+
+// Exchange a refresh token for a new access/refresh token pair.
+// A refresh token that was already rotated means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+    if (!refreshToken) {
+        throw new ApiError(401, "Refresh token is required");
+    }
+
+    const hash = hashToken(refreshToken);
+
+    const session = await prisma.session.findUnique({
+        where: { refreshTokenHash: hash }
+    });
+
+    if (!session) {
+        const reusedSession = await prisma.session.findFirst({
+            where: { usedTokenHashes: { has: hash } }
+        });
+
+        if (reusedSession) {
+            console.log(`Refresh token reuse detected on session ${reusedSession.id}`);
+            await revokeSession(reusedSession.id, 'REFRESH_TOKEN_REUSE');
+            throw new ApiError(401, "Refresh token has already been used. Please login again");
+        }
+
+        throw new ApiError(401, "Invalid refresh token");
+    }
+
+    if (session.revokedAt) {
+        throw new ApiError(401, "Session has been revoked. Please login again");
+    }
+
+    if (session.expiresAt < new Date()) {
+        throw new ApiError(401, "Session has expired. Please login again");
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { id: session.userId }
+    });
+
+    if (!user) {
+        await revokeSession(session.id, 'USER_NOT_FOUND');
+        throw new ApiError(404, "User not found");
+    }
+
+    const { ip, userAgent } = getClientInfo(req);
+    const nextRefreshToken = generateRefreshToken();
+
+    // Matching on the old hash makes the rotation atomic; a parallel refresh with the same token loses
+    const { count } = await prisma.session.updateMany({
+        where: { id: session.id, refreshTokenHash: hash },
+        data: {
+            refreshTokenHash: nextRefreshToken.hash,
+            usedTokenHashes: { push: hash },
+            lastSeenAt: new Date(),
+            ip,
+            userAgent
+        }
+    });
+
+    if (count === 0) {
+        await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+        throw new ApiError(401, "Refresh token has already been used. Please login again");
+    }
+
+    return {
+        session,
+        user,
+        accessToken: signAccessToken(user, session),
+        refreshToken: nextRefreshToken.token
+    };
+};
+
+module.exports = rotateSession;
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Access tokens are short lived; the refresh token keeps the user signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, session) => jwt.sign(
+    { id: user.id, email: user.email, sid: session.id, loginTime: new Date(session.createdAt).toISOString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Marked so nothing can mistake it for the user's own sign-in, lives as long as the impersonation session
+const signImpersonationToken = (user, session, impersonator) => jwt.sign(
+    {
+        id: user.id,
+        email: user.email,
+        sid: session.id,
+        loginTime: new Date(session.createdAt).toISOString(),
+        impersonatedBy: impersonator.id,
+        readOnly: true
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((new Date(session.expiresAt).getTime() - Date.now()) / 1000)) }
+);
+
+// Only the hash of a refresh token is ever stored
+const generateRefreshToken = () => {
+    const token = crypto.randomBytes(48).toString('base64url');
+    return { token, hash: hashToken(token) };
+};
+
+const getRefreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL_DAYS,
+    hashToken,
+    signAccessToken,
+    signImpersonationToken,
+    generateRefreshToken,
+    getRefreshTokenExpiry
+};
@@ -0,0 +1,122 @@
+const { PrismaClient, AccessTypes } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { DEPARTMENTS, parseDepartmentAccess } = require('../access/departments');
+const getTenuresInYear = require('../tenure/getTenuresInYear');
+
+// Public fields of a member on the team page
+const TEAM_MEMBER_SELECT = {
+    id: true,
+    name: true,
+    access: true,
+    img: true,
+    blurhash: true,
+    email: true,
+    year: true,
+    extra: true,
+    teamOrder: true
+};
+
+const LEADERSHIP = [AccessTypes.PRESIDENT, AccessTypes.VICEPRESIDENT];
+
+const DEPARTMENT_TITLES = {
+    TECHNICAL: 'Technical',
+    CREATIVE: 'Creative',
+    MARKETING: 'Marketing',
+    OPERATIONS: 'Operations',
+    PR_AND_FINANCE: 'PR & Finance',
+    HUMAN_RESOURCE: 'Human Resource',
+};
+
+// Groups of a department, most senior first. `rank` as in utils/access/departments.js
+const RANK_GROUPS = [
+    { rank: 4, title: 'Director', group: 'directors' },
+    { rank: 3, title: 'Deputy Director', group: 'deputyDirectors' },
+    { rank: 2, title: 'Senior Executive', group: 'seniorExecutives' },
+    { rank: 1, title: 'Executive', group: 'members' },
+];
+const getRankGroup = (rank) => RANK_GROUPS.find(group => group.rank === rank);
+
+// Every access type listed on the team page
+const TEAM_ACCESS = Object.values(AccessTypes).filter(access => LEADERSHIP.includes(access) || parseDepartmentAccess(access));
+
+const OTHER_TITLES = {
+    ADMIN: 'Admin',
+    PRESIDENT: 'President',
+    VICEPRESIDENT: 'Vice President',
+    USER: 'Member',
+    ALUMNI: 'Alumni',
+    EX_MEMBER: 'Former Member',
+};
+
+// Human readable title of an access type, e.g. DEPUTY_DIRECTOR_PR_AND_FINANCE -> "Deputy Director, PR & Finance"
+const getRoleTitle = (access) => {
+    const role = parseDepartmentAccess(access);
+    if (role) {
+        return `${getRankGroup(role.rank).title}, ${DEPARTMENT_TITLES[role.department]}`;
+    }
+    return OTHER_TITLES[access] || access;
+};
+
+// Admin set positions first, the rest by name
+const byDisplayOrder = (a, b) => (a.teamOrder ?? Infinity) - (b.teamOrder ?? Infinity)
+    || (a.name || '').localeCompare(b.name || '');
+
+// Groups members into leadership, then every department from director down to members.
+// Members on no post of the team (USER, ADMIN, ALUMNI, ...) are left out.
+const buildTeamHierarchy = (members) => {
+    const entries = members.map(member => ({ ...member, title: getRoleTitle(member.access) }));
+
+    const leadership = entries
+        .filter(member => LEADERSHIP.includes(member.access))
+        .sort((a, b) => LEADERSHIP.indexOf(a.access) - LEADERSHIP.indexOf(b.access) || byDisplayOrder(a, b));
+
+    const departments = DEPARTMENTS.map(department => {
+        const group = { department, title: DEPARTMENT_TITLES[department] };
+        RANK_GROUPS.forEach(({ group: name }) => { group[name] = []; });
+
+        entries.forEach(member => {
+            const role = parseDepartmentAccess(member.access);
+            if (role?.department === department) {
+                group[getRankGroup(role.rank).group].push(member);
+            }
+        });
+        RANK_GROUPS.forEach(({ group: name }) => group[name].sort(byDisplayOrder));
+        return group;
+    });
+
+    return { leadership, departments };
+};
+
+// The team now, or as it was during an academic year ({ start, end } from getAcademicYearRange).
+// For a past year members carry the post they held then, not their current access.
+const getTeamHierarchy = async ({ range } = {}) => {
+    let members;
+
+    if (range) {
+        const tenures = await getTenuresInYear(range, { in: TEAM_ACCESS });
+        const users = await prisma.user.findMany({
+            where: { id: { in: [...tenures.keys()] } },
+            select: TEAM_MEMBER_SELECT
+        });
+        members = users.map(user => {
+            const tenure = tenures.get(user.id);
+            return { ...user, currentAccess: user.access, access: tenure.access, tenure: { startedAt: tenure.startedAt, endedAt: tenure.endedAt } };
+        });
+    } else {
+        members = await prisma.user.findMany({
+            where: { access: { in: TEAM_ACCESS } },
+            select: TEAM_MEMBER_SELECT
+        });
+    }
+
+    return { hierarchy: buildTeamHierarchy(members), count: members.length };
+};
+
+// The hierarchy as one list in display order, each member tagged with their title and department
+const flattenTeamHierarchy = ({ leadership, departments }) => [
+    ...leadership.map(member => ({ ...member, department: null })),
+    ...departments.flatMap(department => RANK_GROUPS.flatMap(({ group }) =>
+        department[group].map(member => ({ ...member, department: department.title }))))
+];
+
+module.exports = { DEPARTMENT_TITLES, getRoleTitle, buildTeamHierarchy, getTeamHierarchy, flattenTeamHierarchy };
@@ -0,0 +1,56 @@
+const { PrismaClient, AccessTypes } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { parseDepartmentAccess } = require('../access/departments');
+const { getAcademicYearLabel, getAcademicYearRange } = require('../user/rollNumber');
+const { OPEN_TENURE } = require('./recordAccessChange');
+
+const BATCH_SIZE = 500;
+
+// Opens a tenure for every member whose post predates tenure history. When they took the post is unknown,
+// so it counts from the start of the current academic year, earlier years stay without them.
+const backfillTenures = async (date = new Date()) => {
+    const academicYear = getAcademicYearLabel(date);
+    const { start } = getAcademicYearRange(academicYear);
+    let cursor;
+    let opened = 0;
+
+    while (true) {
+        const users = await prisma.user.findMany({
+            where: { access: { not: AccessTypes.USER } },
+            select: { id: true, access: true, deletedAt: true },
+            orderBy: { id: 'asc' },
+            take: BATCH_SIZE,
+            ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+        });
+
+        if (users.length === 0) break;
+        cursor = users[users.length - 1].id;
+
+        const members = users.filter(user => !user.deletedAt);
+        const open = await prisma.tenure.findMany({
+            where: { userId: { in: members.map(user => user.id) }, ...OPEN_TENURE },
+            select: { userId: true }
+        });
+        const hasOpenTenure = new Set(open.map(tenure => tenure.userId));
+
+        const missing = members.filter(user => !hasOpenTenure.has(user.id));
+        if (missing.length > 0) {
+            await prisma.tenure.createMany({
+                data: missing.map(user => ({
+                    userId: user.id,
+                    access: user.access,
+                    department: parseDepartmentAccess(user.access)?.department || null,
+                    academicYear,
+                    startedAt: start,
+                    endedAt: null
+                }))
+            });
+            opened += missing.length;
+        }
+    }
+
+    console.log(`Tenure backfill done, ${opened} tenures opened`);
+    return opened;
+};
+
+module.exports = backfillTenures;
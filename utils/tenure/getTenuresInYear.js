@@ -0,0 +1,21 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Posts held at any time during an academic year ({ start, end } from getAcademicYearRange),
+// one per user: the latest one they held in that year
+const getTenuresInYear = async ({ start, end }, accessFilter = {}) => {
+    const tenures = await prisma.tenure.findMany({
+        where: {
+            access: accessFilter,
+            startedAt: { lt: end },
+            OR: [{ endedAt: null }, { endedAt: { isSet: false } }, { endedAt: { gt: start } }]
+        },
+        orderBy: { startedAt: 'asc' }
+    });
+
+    const byUser = new Map();
+    tenures.forEach(tenure => byUser.set(tenure.userId, tenure));
+    return byUser;
+};
+
+module.exports = getTenuresInYear;
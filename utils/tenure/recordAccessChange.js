@@ -0,0 +1,40 @@
+const { PrismaClient, AccessTypes } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { parseDepartmentAccess } = require('../access/departments');
+const { getAcademicYearLabel } = require('../user/rollNumber');
+
+// Tenures written without an endedAt have no field at all, which `endedAt: null` does not match on MongoDB
+const OPEN_TENURE = { OR: [{ endedAt: null }, { endedAt: { isSet: false } }] };
+
+// Closes the open tenure of a user and opens one for the new access. USER is not a post, nothing is opened for it.
+// Failing to record history never fails the access change itself.
+const recordAccessChange = async (userId, fromAccess, toAccess, { reason = 'ACCESS_CHANGED', date = new Date() } = {}) => {
+    if (!userId || fromAccess === toAccess) {
+        return;
+    }
+
+    try {
+        await prisma.tenure.updateMany({
+            where: { userId, ...OPEN_TENURE },
+            data: { endedAt: date, endReason: reason }
+        });
+
+        if (toAccess && toAccess !== AccessTypes.USER) {
+            await prisma.tenure.create({
+                data: {
+                    userId,
+                    access: toAccess,
+                    department: parseDepartmentAccess(toAccess)?.department || null,
+                    academicYear: getAcademicYearLabel(date),
+                    startedAt: date,
+                    endedAt: null
+                }
+            });
+        }
+    } catch (error) {
+        console.error(`Error recording tenure change ${fromAccess} -> ${toAccess} for ${userId}:`, error);
+    }
+};
+
+module.exports = recordAccessChange;
+module.exports.OPEN_TENURE = OPEN_TENURE;
@@ -0,0 +1,157 @@
+const { PrismaClient, ThrottleKeyType } = require('@prisma/client');
+const prisma = new PrismaClient();
+const moment = require('moment-timezone');
+const { ApiError } = require('../error/ApiError');
+const { sendMail } = require('../email/nodeMailer');
+const loadTemplate = require('../email/loadTemplate');
+const escapeHtml = require('../email/escapeHtml');
+
+// Failures older than this no longer count towards a lock
+const FAILURE_WINDOW_MINUTES = 15;
+// First lock lasts BASE_LOCK_MINUTES, every further lock doubles it up to MAX_LOCK_MINUTES
+const BASE_LOCK_MINUTES = 5;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// Attempts allowed per account and per IP before a lock
+const THROTTLE_SCOPES = {
+    LOGIN: { account: 5, ip: 20, action: 'sign in', alertOwner: true },
+    TWO_FACTOR: { account: 5, ip: 20, action: 'verify a two-factor code', alertOwner: true },
+    OTP_VERIFY: { account: 5, ip: 20, action: 'verify a one-time password', alertOwner: true },
+    // Every OTP request counts, successful or not
+    OTP_REQUEST: { account: 5, ip: 15, action: 'request a one-time password', alertOwner: false },
+    MAGIC_LINK_REQUEST: { account: 3, ip: 10, action: 'request a sign-in link', alertOwner: false },
+};
+
+const getKeys = ({ email, ip }) => [
+    email ? { keyType: ThrottleKeyType.ACCOUNT, key: email.trim().toLowerCase() } : null,
+    ip ? { keyType: ThrottleKeyType.IP, key: ip } : null
+].filter(Boolean);
+
+const getLockMinutes = (lockCount) => Math.min(BASE_LOCK_MINUTES * 2 ** lockCount, MAX_LOCK_MINUTES);
+
+const sendLockAlert = async (scope, email, ip, lockedUntil) => {
+    const user = await prisma.user.findUnique({
+        where: { email },
+        select: { name: true, email: true }
+    });
+
+    // Nothing to alert for addresses without an account
+    if (!user) {
+        return;
+    }
+
+    const template = loadTemplate('accountLocked', {
+        name: escapeHtml(user.name || ''),
+        action: THROTTLE_SCOPES[scope].action,
+        ip: ip || 'unknown',
+        lockedUntil: moment(lockedUntil).tz('Asia/Kolkata').format('DD MMM YYYY, hh:mm A')
+    });
+
+    await sendMail(user.email, 'Your FED KIIT account has been temporarily locked', template);
+};
+
+// Returns the longest running lock for the email/IP pair, or null
+const getActiveLock = async (scope, identity) => {
+    const keys = getKeys(identity);
+    if (keys.length === 0) {
+        return null;
+    }
+
+    const locks = await prisma.authThrottle.findMany({
+        where: {
+            scope,
+            OR: keys,
+            lockedUntil: { gt: new Date() }
+        },
+        orderBy: { lockedUntil: 'desc' }
+    });
+
+    if (locks.length === 0) {
+        return null;
+    }
+
+    const lockedUntil = locks[0].lockedUntil;
+    return {
+        lockedUntil,
+        retryAfter: Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000)
+    };
+};
+
+const assertNotLocked = async (scope, identity) => {
+    const lock = await getActiveLock(scope, identity);
+    if (lock) {
+        throw new ApiError(
+            429,
+            `Too many failed attempts. Try again after ${Math.ceil(lock.retryAfter / 60)} minute(s)`,
+            [{ code: 'TOO_MANY_ATTEMPTS', ...lock }]
+        );
+    }
+};
+
+const recordFailedAttempt = async (scope, { email, ip }) => {
+    const policy = THROTTLE_SCOPES[scope];
+    const now = new Date();
+
+    for (const { keyType, key } of getKeys({ email, ip })) {
+        const where = { scope_keyType_key: { scope, keyType, key } };
+        const existing = await prisma.authThrottle.findUnique({ where });
+
+        const sinceLastFailure = existing?.lastFailedAt ? now - new Date(existing.lastFailedAt) : Infinity;
+        const windowExpired = sinceLastFailure > FAILURE_WINDOW_MINUTES * 60 * 1000;
+        // A quiet day forgives earlier locks
+        const forgiven = sinceLastFailure > MAX_LOCK_MINUTES * 60 * 1000;
+
+        const record = await prisma.authThrottle.upsert({
+            where,
+            create: { scope, keyType, key, failedCount: 1, lastFailedAt: now, lastIp: ip || null },
+            update: {
+                failedCount: windowExpired ? 1 : { increment: 1 },
+                lastFailedAt: now,
+                lastIp: ip || null,
+                ...(forgiven ? { lockCount: 0 } : {})
+            }
+        });
+
+        const limit = keyType === ThrottleKeyType.ACCOUNT ? policy.account : policy.ip;
+        if (record.failedCount < limit) {
+            continue;
+        }
+
+        const lockedUntil = new Date(now.getTime() + getLockMinutes(record.lockCount) * 60 * 1000);
+
+        // Guarded on the count so that parallel failures lock only once
+        const { count } = await prisma.authThrottle.updateMany({
+            where: { id: record.id, failedCount: { gte: limit } },
+            data: { lockedUntil, failedCount: 0, lockCount: { increment: 1 } }
+        });
+
+        if (count > 0) {
+            console.log(`[Throttle] ${scope} locked ${keyType} ${key} until ${lockedUntil.toISOString()}`);
+
+            if (keyType === ThrottleKeyType.ACCOUNT && policy.alertOwner) {
+                sendLockAlert(scope, key, ip, lockedUntil).catch(error => {
+                    console.error('[Throttle] Error sending lock alert:', error);
+                });
+            }
+        }
+    }
+};
+
+// A success clears the account counters, IP counters only decay with time
+const recordSuccessfulAttempt = async (scope, { email }) => {
+    if (!email) {
+        return;
+    }
+
+    await prisma.authThrottle.deleteMany({
+        where: { scope, keyType: ThrottleKeyType.ACCOUNT, key: email.trim().toLowerCase() }
+    });
+};
+
+module.exports = {
+    THROTTLE_SCOPES,
+    getActiveLock,
+    assertNotLocked,
+    recordFailedAttempt,
+    recordSuccessfulAttempt
+};
@@ -0,0 +1,34 @@
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('../error/ApiError');
+
+const CHALLENGE_PURPOSE = 'TWO_FACTOR_CHALLENGE';
+const CHALLENGE_TTL = '5m';
+
+// Proof that the first factor (password or Google) succeeded. It carries no session,
+// so verifyToken never accepts it as an access token.
+const signTwoFactorChallenge = (user, method) => jwt.sign(
+    { id: user.id, email: user.email, method, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+);
+
+const verifyTwoFactorChallenge = (challengeToken) => {
+    if (!challengeToken) {
+        throw new ApiError(400, "Missing fields: challengeToken");
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new ApiError(401, "Two-factor challenge has expired. Please login again");
+    }
+
+    if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new ApiError(401, "Invalid two-factor challenge");
+    }
+
+    return decoded;
+};
+
+module.exports = { signTwoFactorChallenge, verifyTwoFactorChallenge };
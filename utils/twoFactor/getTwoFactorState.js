@@ -0,0 +1,20 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { isTwoFactorMandatory } = require('./policy');
+
+// Decide what a successful first factor leads to: a second step, a forced enrollment, or nothing
+const getTwoFactorState = async (user) => {
+    const twoFactor = await prisma.twoFactor.findUnique({
+        where: { userId: user.id },
+        select: { enabled: true }
+    });
+
+    const enabled = Boolean(twoFactor?.enabled);
+
+    return {
+        enabled,
+        setupRequired: !enabled && isTwoFactorMandatory(user.access)
+    };
+};
+
+module.exports = getTwoFactorState;
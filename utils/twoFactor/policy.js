@@ -0,0 +1,32 @@
+const { AccessTypes } = require('@prisma/client');
+
+// How long a verified second factor counts as "recent" for sensitive routes
+const RECENT_TWO_FACTOR_MINUTES = 15;
+
+// Roles that can enroll in two-factor authentication
+const isTwoFactorEligible = (access) => access === AccessTypes.ADMIN
+    || access === AccessTypes.PRESIDENT
+    || access === AccessTypes.VICEPRESIDENT
+    || String(access).startsWith('DIRECTOR_');
+
+// Roles that must enroll, e.g. TWO_FACTOR_MANDATORY_ROLES=ADMIN,PRESIDENT
+const getMandatoryRoles = () => (process.env.TWO_FACTOR_MANDATORY_ROLES || AccessTypes.ADMIN)
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+const isTwoFactorMandatory = (access) => getMandatoryRoles().includes(access);
+
+const hasRecentTwoFactor = (session, minutes = RECENT_TWO_FACTOR_MINUTES) => {
+    if (!session?.mfaVerifiedAt) {
+        return false;
+    }
+    return Date.now() - new Date(session.mfaVerifiedAt).getTime() <= minutes * 60 * 1000;
+};
+
+module.exports = {
+    RECENT_TWO_FACTOR_MINUTES,
+    isTwoFactorEligible,
+    isTwoFactorMandatory,
+    hasRecentTwoFactor
+};
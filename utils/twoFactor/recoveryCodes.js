@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Codes are shown as "a1b2-c3d4", users tend to type them in any case and without the dash
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Returns the plain codes (shown to the user once) and their hashes (stored)
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(4).toString('hex');
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = { generateRecoveryCodes, hashRecoveryCode, normalizeRecoveryCode };
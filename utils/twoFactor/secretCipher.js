@@ -0,0 +1,26 @@
+// TOTP secrets must be readable by the server, so they are encrypted (AES-256-GCM) rather than hashed
+const crypto = require('crypto');
+
+const getKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_SECRET_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (plainText) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [iv, tag, encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encryptSecret, decryptSecret };
@@ -0,0 +1,117 @@
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps),
+// the flavour every authenticator app understands.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'FED KIIT';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// 160 bit secret, as recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getCurrentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// RFC 4226 HOTP value for a counter
+const generateHotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getCurrentStep(time));
+
+// Returns the matched time step, or null. Accepts one step of clock drift either way and
+// rejects steps at or before lastUsedStep so a code cannot be replayed.
+const verifyTotp = (secret, code, { window = 1, lastUsedStep = null, time = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const currentStep = getCurrentStep(time);
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) {
+            continue;
+        }
+        const expected = generateHotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+// otpauth:// URI understood by Google Authenticator, Authy, 1Password, ...
+const buildOtpAuthUri = (secret, accountName, issuer = ISSUER) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = [
+        `secret=${secret}`,
+        `issuer=${encodeURIComponent(issuer)}`,
+        'algorithm=SHA1',
+        `digits=${DIGITS}`,
+        `period=${STEP_SECONDS}`
+    ].join('&');
+
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpAuthUri
+};
@@ -0,0 +1,61 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { ApiError } = require('../error/ApiError');
+const { verifyTotp } = require('./totp');
+const { decryptSecret } = require('./secretCipher');
+const { hashRecoveryCode } = require('./recoveryCodes');
+const { assertNotLocked, recordFailedAttempt, recordSuccessfulAttempt } = require('../throttle/authThrottle');
+
+// Check an authenticator code or a recovery code against the user's enrolled second factor.
+// Used codes are burnt: the TOTP step is remembered and a recovery code is removed.
+// Wrong codes count towards the TWO_FACTOR lock of the account and the caller's IP.
+const verifySecondFactor = async (user, { code, recoveryCode }, ip = null) => {
+    const identity = { email: user.email, ip };
+
+    await assertNotLocked('TWO_FACTOR', identity);
+
+    const twoFactor = await prisma.twoFactor.findUnique({
+        where: { userId: user.id }
+    });
+
+    if (!twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled for this account");
+    }
+
+    if (code) {
+        const step = verifyTotp(decryptSecret(twoFactor.secret), code, { lastUsedStep: twoFactor.lastUsedStep });
+        if (step === null) {
+            await recordFailedAttempt('TWO_FACTOR', identity);
+            throw new ApiError(401, "Invalid authentication code");
+        }
+
+        await prisma.twoFactor.update({
+            where: { id: twoFactor.id },
+            data: { lastUsedStep: step }
+        });
+        await recordSuccessfulAttempt('TWO_FACTOR', identity);
+
+        return { method: 'TOTP', remainingRecoveryCodes: twoFactor.recoveryCodeHashes.length };
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        if (!twoFactor.recoveryCodeHashes.includes(hash)) {
+            await recordFailedAttempt('TWO_FACTOR', identity);
+            throw new ApiError(401, "Invalid recovery code");
+        }
+
+        const remaining = twoFactor.recoveryCodeHashes.filter(storedHash => storedHash !== hash);
+        await prisma.twoFactor.update({
+            where: { id: twoFactor.id },
+            data: { recoveryCodeHashes: { set: remaining } }
+        });
+        await recordSuccessfulAttempt('TWO_FACTOR', identity);
+
+        return { method: 'RECOVERY_CODE', remainingRecoveryCodes: remaining.length };
+    }
+
+    throw new ApiError(400, "Missing fields: code or recoveryCode");
+};
+
+module.exports = verifySecondFactor;
@@ -0,0 +1,105 @@
+const { PrismaClient, RoleChangeStatus } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { getRollNumberProfile } = require('./rollNumber');
+
+// Swaps `from` for `to` in the string values of a registration response or attendance info
+const replaceEmailValues = (object, from, to) => {
+    if (!object || typeof object !== 'object' || Array.isArray(object)) return object;
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, value === from ? to : value]));
+};
+
+// Moves the user to a new email, along with every place it is copied to:
+// team emails and responses of registrations, registration trackers, issued certificates, attendance,
+// pending role changes and form collaborators.
+const changeUserEmail = async (user, newEmail) => {
+    const oldEmail = user.email;
+
+    const data = { email: newEmail, pendingEmail: null };
+
+    // Moving to a KIIT address fills in what the roll number tells, unless already known
+    if (!user.rollNumber) {
+        const rollNumberProfile = getRollNumberProfile({ email: newEmail });
+        if (rollNumberProfile) {
+            Object.assign(data, rollNumberProfile);
+        }
+    }
+
+    const updatedUser = await prisma.user.update({
+        where: { id: user.id },
+        data
+    });
+
+    const registrations = await prisma.formRegistration.findMany({
+        where: { OR: [{ userId: user.id }, { regTeamMemEmails: { has: oldEmail } }] }
+    });
+    for (const registration of registrations) {
+        await prisma.formRegistration.update({
+            where: { id: registration.id },
+            data: {
+                value: {
+                    set: registration.value.map(value => value?.user_id === user.id ? replaceEmailValues(value, oldEmail, newEmail) : value)
+                },
+                regTeamMemEmails: {
+                    set: registration.regTeamMemEmails.map(email => email === oldEmail ? newEmail : email)
+                }
+            }
+        });
+    }
+
+    const trackers = await prisma.registrationTracker.findMany({
+        where: { regUserEmails: { has: oldEmail } },
+        select: { id: true, regUserEmails: true }
+    });
+    for (const tracker of trackers) {
+        await prisma.registrationTracker.update({
+            where: { id: tracker.id },
+            data: { regUserEmails: { set: tracker.regUserEmails.map(email => email === oldEmail ? newEmail : email) } }
+        });
+    }
+
+    await prisma.issuedCertificates.updateMany({
+        where: { email: oldEmail },
+        data: { email: newEmail }
+    });
+
+    const attendance = await prisma.attendance.findMany({
+        where: { userId: user.id },
+        select: { id: true, info: true }
+    });
+    for (const record of attendance) {
+        await prisma.attendance.update({
+            where: { id: record.id },
+            data: { info: replaceEmailValues(record.info, oldEmail, newEmail) }
+        });
+    }
+
+    // Approving a pending role change looks its member up by email
+    await prisma.roleChangeRequest.updateMany({
+        where: { targetEmail: oldEmail, status: RoleChangeStatus.PENDING },
+        data: { targetEmail: newEmail }
+    });
+
+    const forms = await prisma.form.findMany({
+        where: { collaborators: { some: { userId: user.id } } },
+        select: { id: true, collaborators: true }
+    });
+    for (const form of forms) {
+        await prisma.form.update({
+            where: { id: form.id },
+            data: {
+                collaborators: {
+                    set: form.collaborators.map(entry => entry.userId === user.id ? { ...entry, email: newEmail } : entry)
+                }
+            }
+        });
+    }
+
+    // Codes and links sent to the old address are of no use anymore
+    await prisma.otp.deleteMany({ where: { email: oldEmail } });
+    await prisma.magicLink.deleteMany({ where: { userId: user.id } });
+
+    console.log(`Email of user ${user.id} changed from ${oldEmail} to ${newEmail}`);
+    return updatedUser;
+};
+
+module.exports = { changeUserEmail, replaceEmailValues };
@@ -2,8 +2,8 @@ const { PrismaClient, AccessTypes } = require('@prisma/client');
 const prisma = new PrismaClient();
 const bcrypt = require('bcryptjs');
 const generateOtp = require('../otp/generateOTP');
-const { sendMail } = require('../email/nodeMailer');
-const loadTemplate = require('../email/loadTemplate');
+const sendWelcomeMail = require('./sendWelcomeMail');
+const recordAccessChange = require('../tenure/recordAccessChange');
 
 const createUser = async (data, sendMailFlag = false) => {
     data.editProfileCount = 5;
@@ -44,24 +44,13 @@ const createUser = async (data, sendMailFlag = false) => {
 
         console.log(`Created user with email ${data.email} and access ${data.access} successfully!`);
 
-        if (sendMailFlag || autoGeneratedPassword) {
-            const subject = 'Welcome to FED KIIT';
-            let templateName, placeholders;
-            if (autoGeneratedPassword) {
-                // Send email with password to the new auto-generated user
-                templateName = 'newUserAutoRegistration';
-                placeholders = { password: password, name: user.name };
-            } else {
-                // Send email to the newly registered user
-                templateName = "newUserRegistration";
-
-                placeholders = { name: user.name || " " };
-
-            }
+        // Members created directly (addMember, Excel import) start their first tenure here
+        if (user.access !== AccessTypes.USER) {
+            await recordAccessChange(user.id, null, user.access);
+        }
 
-            const templateContent = loadTemplate(templateName, placeholders);
-            console.log("Sending email to", user.email);
-            sendMail(user.email, subject, templateContent);
+        if (sendMailFlag || autoGeneratedPassword) {
+            sendWelcomeMail(user, autoGeneratedPassword ? password : null);
         }
 
         return user;
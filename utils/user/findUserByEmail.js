@@ -0,0 +1,14 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Finds the account behind an email, following the emails of accounts merged into another one
+const findUserByEmail = async (email, args = {}) => {
+    if (!email) return null;
+
+    const user = await prisma.user.findUnique({ where: { email }, ...args });
+    if (user) return user;
+
+    return prisma.user.findFirst({ where: { mergedEmails: { has: email } }, ...args });
+};
+
+module.exports = findUserByEmail;
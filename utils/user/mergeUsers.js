@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const { PrismaClient, AccessTypes, RoleChangeStatus, ProfileChangeStatus } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { replaceEmailValues } = require('./changeUserEmail');
+const { OPEN_TENURE } = require('../tenure/recordAccessChange');
+
+// Profile fields the surviving account takes from the merged one when it has none of its own
+const FILLABLE_FIELDS = ['name', 'year', 'img', 'blurhash', 'rollNumber', 'school', 'college', 'contactNo', 'whatsappNo'];
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const summarizeUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    access: user.access,
+    createdWith: user.createdWith || null
+});
+
+// Access of the merged account. Null when both hold a different post, an admin has to settle that first.
+const resolveAccess = (source, target) => {
+    if (source.access === target.access || source.access === AccessTypes.USER) {
+        return { access: target.access, from: 'TARGET' };
+    }
+    if (target.access === AccessTypes.USER) {
+        return { access: source.access, from: 'SOURCE' };
+    }
+    return null;
+};
+
+const findRegistrations = (client, user) => client.formRegistration.findMany({
+    where: { OR: [{ userId: user.id }, { regTeamMemEmails: { has: user.email } }] },
+    orderBy: { id: 'asc' }
+});
+
+// Works out everything merging `source` into `target` would do, without writing anything.
+// `report` is what an admin reviews, `steps` what applyUserMerge runs. `planHash` changes whenever either does.
+const planUserMerge = async (source, target) => {
+    const blockers = [];
+    const conflicts = [];
+
+    if (source.id === target.id) {
+        blockers.push({ type: 'SAME_ACCOUNT', message: 'Both emails belong to the same account' });
+    }
+    if (source.deletedAt || target.deletedAt) {
+        blockers.push({ type: 'DELETED_ACCOUNT', message: 'Deleted accounts cannot be merged' });
+    }
+
+    const access = resolveAccess(source, target);
+    if (!access) {
+        blockers.push({ type: 'ACCESS_CONFLICT', message: `The accounts hold different posts (${source.access}, ${target.access}), change one of them first` });
+    }
+
+    const pendingRoleChanges = await prisma.roleChangeRequest.count({
+        where: {
+            status: RoleChangeStatus.PENDING,
+            OR: [{ targetUserId: source.id }, { targetEmail: source.email }]
+        }
+    });
+    if (pendingRoleChanges > 0) {
+        blockers.push({ type: 'PENDING_ROLE_CHANGE', message: 'A role change for the merged account is waiting for review' });
+    }
+
+    const pendingProfileChanges = await prisma.profileChangeRequest.count({
+        where: { userId: source.id, status: ProfileChangeStatus.PENDING }
+    });
+    if (pendingProfileChanges > 0) {
+        blockers.push({ type: 'PENDING_PROFILE_CHANGE', message: 'A profile change of the merged account is waiting for review' });
+    }
+
+    // Registrations. A form both accounts registered for is the conflict that matters.
+    const [sourceRegistrations, targetRegistrations] = await Promise.all([
+        findRegistrations(prisma, source),
+        findRegistrations(prisma, target)
+    ]);
+    const targetByForm = new Map(targetRegistrations.map(registration => [registration.formId, registration]));
+
+    const registrations = { move: [], join: [], drop: [] };
+    for (const registration of sourceRegistrations) {
+        const targetRegistration = targetByForm.get(registration.formId);
+
+        if (!targetRegistration) {
+            registrations.move.push(registration.id);
+        } else if (targetRegistration.id === registration.id) {
+            registrations.join.push(registration.id);
+            conflicts.push({
+                type: 'SAME_TEAM',
+                formId: registration.formId,
+                teamName: registration.teamName,
+                resolution: 'The merged account leaves the team, the surviving account stays in it'
+            });
+        } else if (registration.userId === source.id && registration.regTeamMemEmails.every(email => email === source.email)) {
+            registrations.drop.push(registration.id);
+            conflicts.push({
+                type: 'REGISTERED_TWICE',
+                formId: registration.formId,
+                teamName: registration.teamName,
+                resolution: 'The registration of the merged account is removed, the surviving account keeps its own'
+            });
+        } else {
+            blockers.push({
+                type: 'REGISTRATION_CONFLICT',
+                formId: registration.formId,
+                message: `Both accounts are in different teams of form ${registration.formId}, remove one of the registrations first`
+            });
+        }
+    }
+
+    // Attendance follows the registrations
+    const droppedTeams = new Set(sourceRegistrations
+        .filter(registration => registrations.drop.includes(registration.id))
+        .map(registration => `${registration.formId}:${registration.teamCode}`));
+
+    const [sourceAttendance, targetAttendance] = await Promise.all([
+        prisma.attendance.findMany({ where: { userId: source.id }, orderBy: { id: 'asc' } }),
+        prisma.attendance.findMany({ where: { userId: target.id }, select: { id: true, formId: true, teamCode: true } })
+    ]);
+    const targetAttendanceByTeam = new Map(targetAttendance.map(record => [`${record.formId}:${record.teamCode}`, record.id]));
+
+    const attendance = { move: [], combine: [], remove: [] };
+    for (const record of sourceAttendance) {
+        const team = `${record.formId}:${record.teamCode}`;
+        if (droppedTeams.has(team)) {
+            attendance.remove.push(record.id);
+        } else if (targetAttendanceByTeam.has(team)) {
+            attendance.combine.push({ id: record.id, into: targetAttendanceByTeam.get(team) });
+        } else {
+            attendance.move.push(record.id);
+        }
+    }
+
+    // Certificates are all kept, one event issuing to both accounts is only pointed out
+    const [sourceCertificates, targetCertificates] = await Promise.all([
+        prisma.issuedCertificates.findMany({ where: { email: source.email }, select: { id: true, eventId: true } }),
+        prisma.issuedCertificates.findMany({ where: { email: target.email }, select: { eventId: true } })
+    ]);
+    const targetEvents = new Set(targetCertificates.map(certificate => certificate.eventId));
+    for (const eventId of new Set(sourceCertificates.map(certificate => certificate.eventId))) {
+        if (targetEvents.has(eventId)) {
+            conflicts.push({ type: 'DUPLICATE_CERTIFICATE', eventId, resolution: 'Both certificates are kept' });
+        }
+    }
+
+    // One identity per provider, the surviving account keeps its own
+    const targetProviders = new Set((target.identities || []).map(identity => identity.provider));
+    const identities = [];
+    for (const identity of source.identities || []) {
+        if (targetProviders.has(identity.provider)) {
+            conflicts.push({
+                type: 'IDENTITY_DROPPED',
+                provider: identity.provider,
+                email: identity.email || null,
+                resolution: `The ${identity.provider} sign-in of the surviving account is kept`
+            });
+        } else {
+            identities.push(identity);
+        }
+    }
+
+    const [sourceTwoFactor, targetTwoFactor] = await Promise.all([
+        prisma.twoFactor.findUnique({ where: { userId: source.id }, select: { enabled: true } }),
+        prisma.twoFactor.findUnique({ where: { userId: target.id }, select: { enabled: true } })
+    ]);
+    if (sourceTwoFactor?.enabled && !targetTwoFactor?.enabled) {
+        conflicts.push({ type: 'TWO_FACTOR_DROPPED', resolution: 'Two-factor authentication of the merged account is not carried over' });
+    }
+
+    // The surviving account keeps its own alumni profile
+    const alumniProfile = !target.alumniProfile && source.alumniProfile ? source.alumniProfile : null;
+    if (target.alumniProfile && source.alumniProfile) {
+        conflicts.push({ type: 'ALUMNI_PROFILE_DROPPED', resolution: 'The alumni profile of the surviving account is kept' });
+    }
+
+    const [tenures, profileChanges, apiKeys, collaborations] = await Promise.all([
+        prisma.tenure.count({ where: { userId: source.id } }),
+        prisma.profileChangeRequest.count({ where: { userId: source.id } }),
+        prisma.apiKey.count({ where: { createdById: source.id } }),
+        prisma.form.findMany({
+            where: { collaborators: { some: { userId: source.id } } },
+            select: { id: true }
+        })
+    ]);
+
+    const filledFields = Object.fromEntries(FILLABLE_FIELDS
+        .filter(field => isEmpty(target[field]) && !isEmpty(source[field]))
+        .map(field => [field, source[field]]));
+
+    const aliases = [...new Set([...(target.mergedEmails || []), source.email, ...(source.mergedEmails || [])])];
+    const regForm = [...new Set([...(target.regForm || []), ...(source.regForm || [])])];
+
+    const report = {
+        source: summarizeUser(source),
+        target: summarizeUser(target),
+        result: {
+            email: target.email,
+            access: access?.access || null,
+            aliases,
+            filledFields,
+            alumniProfile: alumniProfile ? 'SOURCE' : (target.alumniProfile ? 'TARGET' : null)
+        },
+        moves: {
+            registrations: registrations.move.length,
+            teamsLeft: registrations.join.length,
+            registrationsRemoved: registrations.drop.length,
+            attendanceMoved: attendance.move.length,
+            attendanceCombined: attendance.combine.length,
+            attendanceRemoved: attendance.remove.length,
+            certificates: sourceCertificates.length,
+            tenures,
+            profileChanges,
+            apiKeys,
+            formCollaborations: collaborations.length,
+            registeredForms: regForm.length - (target.regForm || []).length,
+            identities: identities.map(identity => identity.provider)
+        },
+        conflicts,
+        blockers
+    };
+
+    const steps = {
+        registrations,
+        attendance,
+        identities,
+        regForm,
+        aliases,
+        filledFields,
+        alumniProfile,
+        accessFrom: access?.from || null,
+        collaborationFormIds: collaborations.map(form => form.id)
+    };
+
+    // Registrations are hashed whole, a team changing since the preview invalidates it
+    const planHash = crypto.createHash('sha256')
+        .update(JSON.stringify({ report, steps, sourceRegistrations, targetRegistrations, sourceAttendance }))
+        .digest('hex');
+
+    return { report, steps, planHash };
+};
+
+// Runs a plan from planUserMerge in one transaction. The merged account is deleted, its emails sign in to `target`.
+const applyUserMerge = async (source, target, steps) => prisma.$transaction(async (tx) => {
+    const swapEmail = (email) => email === source.email ? target.email : email;
+
+    // Registrations of the merged account now belong to the surviving one
+    const registrations = await tx.formRegistration.findMany({
+        where: { id: { in: [...steps.registrations.move, ...steps.registrations.join, ...steps.registrations.drop] } }
+    });
+    const leftForms = new Set();
+
+    for (const registration of registrations) {
+        if (steps.registrations.drop.includes(registration.id)) {
+            await tx.formRegistration.delete({ where: { id: registration.id } });
+            const tracker = await tx.registrationTracker.findUnique({ where: { formId: registration.formId } });
+            if (tracker) {
+                await tx.registrationTracker.update({
+                    where: { id: tracker.id },
+                    data: {
+                        regTeamNames: { set: tracker.regTeamNames.filter(name => name !== registration.teamName) },
+                        totalRegistrationCount: { decrement: 1 }
+                    }
+                });
+            }
+            leftForms.add(registration.formId);
+        } else if (steps.registrations.join.includes(registration.id)) {
+            await tx.formRegistration.update({
+                where: { id: registration.id },
+                data: {
+                    userId: registration.userId === source.id ? target.id : registration.userId,
+                    value: { set: registration.value.filter(value => value?.user_id !== source.id) },
+                    regTeamMemEmails: { set: registration.regTeamMemEmails.filter(email => email !== source.email) },
+                    teamSize: { decrement: 1 }
+                }
+            });
+            await tx.registrationTracker.updateMany({
+                where: { formId: registration.formId },
+                data: { totalRegistrationCount: { decrement: 1 } }
+            });
+            leftForms.add(registration.formId);
+        } else {
+            await tx.formRegistration.update({
+                where: { id: registration.id },
+                data: {
+                    userId: registration.userId === source.id ? target.id : registration.userId,
+                    value: {
+                        set: registration.value.map(value => value?.user_id === source.id
+                            ? { ...replaceEmailValues(value, source.email, target.email), user_id: target.id }
+                            : value)
+                    },
+                    regTeamMemEmails: { set: registration.regTeamMemEmails.map(swapEmail) }
+                }
+            });
+        }
+    }
+
+    // Trackers drop the merged email where the surviving account was already counted
+    const trackers = await tx.registrationTracker.findMany({
+        where: { regUserEmails: { has: source.email } },
+        select: { id: true, formId: true, regUserEmails: true }
+    });
+    for (const tracker of trackers) {
+        await tx.registrationTracker.update({
+            where: { id: tracker.id },
+            data: {
+                regUserEmails: {
+                    set: leftForms.has(tracker.formId)
+                        ? tracker.regUserEmails.filter(email => email !== source.email)
+                        : tracker.regUserEmails.map(swapEmail)
+                }
+            }
+        });
+    }
+
+    await tx.attendance.deleteMany({ where: { id: { in: steps.attendance.remove } } });
+    for (const { id, into } of steps.attendance.combine) {
+        const [record, kept] = await Promise.all([
+            tx.attendance.findUnique({ where: { id } }),
+            tx.attendance.findUnique({ where: { id: into } })
+        ]);
+        await tx.attendance.update({
+            where: { id: into },
+            data: {
+                isPresent: kept.isPresent || record.isPresent,
+                isPaymentVerified: kept.isPaymentVerified || record.isPaymentVerified,
+                markedAt: kept.markedAt || record.markedAt
+            }
+        });
+        await tx.attendance.delete({ where: { id } });
+    }
+    const movedAttendance = await tx.attendance.findMany({
+        where: { id: { in: steps.attendance.move } },
+        select: { id: true, info: true }
+    });
+    for (const record of movedAttendance) {
+        await tx.attendance.update({
+            where: { id: record.id },
+            data: { userId: target.id, info: replaceEmailValues(record.info, source.email, target.email) }
+        });
+    }
+
+    await tx.issuedCertificates.updateMany({
+        where: { email: source.email },
+        data: { email: target.email }
+    });
+
+    // The posts of the merged account become history of the surviving one
+    if (steps.accessFrom !== 'SOURCE') {
+        await tx.tenure.updateMany({
+            where: { userId: source.id, ...OPEN_TENURE },
+            data: { endedAt: new Date(), endReason: 'ACCOUNT_MERGED' }
+        });
+    }
+    await tx.tenure.updateMany({
+        where: { userId: source.id },
+        data: { userId: target.id }
+    });
+
+    // Decided profile changes stay in the history of the surviving account, pending ones block the merge
+    await tx.profileChangeRequest.updateMany({
+        where: { userId: source.id },
+        data: { userId: target.id }
+    });
+    await tx.apiKey.updateMany({
+        where: { createdById: source.id },
+        data: { createdById: target.id }
+    });
+
+    const forms = await tx.form.findMany({
+        where: { id: { in: steps.collaborationFormIds } },
+        select: { id: true, collaborators: true }
+    });
+    for (const form of forms) {
+        const merged = form.collaborators.find(entry => entry.userId === source.id);
+        const existing = form.collaborators.find(entry => entry.userId === target.id);
+        const collaborators = form.collaborators
+            .filter(entry => entry.userId !== source.id)
+            .map(entry => entry === existing
+                ? { ...entry, capabilities: [...new Set([...entry.capabilities, ...merged.capabilities])] }
+                : entry);
+        if (!existing) {
+            collaborators.push({ ...merged, userId: target.id, email: target.email });
+        }
+        await tx.form.update({
+            where: { id: form.id },
+            data: { collaborators: { set: collaborators } }
+        });
+    }
+
+    await tx.twoFactor.deleteMany({ where: { userId: source.id } });
+    await tx.otp.deleteMany({ where: { email: source.email } });
+    await tx.magicLink.deleteMany({ where: { userId: source.id } });
+
+    await tx.user.delete({ where: { id: source.id } });
+
+    return tx.user.update({
+        where: { id: target.id },
+        data: {
+            ...steps.filledFields,
+            ...(steps.accessFrom === 'SOURCE' ? { access: source.access } : {}),
+            extra: source.extra || target.extra ? { ...(source.extra || {}), ...(target.extra || {}) } : undefined,
+            identities: { set: [...(target.identities || []), ...steps.identities] },
+            regForm: { set: steps.regForm },
+            mergedEmails: { set: steps.aliases },
+            ...(steps.alumniProfile ? { alumniProfile: { set: steps.alumniProfile } } : {})
+        }
+    });
+}, { timeout: 60000 });
+
+module.exports = { planUserMerge, applyUserMerge };
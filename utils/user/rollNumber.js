@@ -0,0 +1,148 @@
+const moment = require('moment-timezone');
+
+const KIIT_COLLEGE = 'Kalinga Institute of Industrial Technology';
+const KIIT_EMAIL_DOMAIN = 'kiit.ac.in';
+
+// KIIT roll numbers read YY SS NNNN: admission year, school/programme code, serial.
+// `duration` is the programme length in years, used for the batch and the passout year.
+const SCHOOL_CODES = {
+    '01': { school: 'Civil Engineering', duration: 4 },
+    '02': { school: 'Mechanical Engineering', duration: 4 },
+    '03': { school: 'Electrical Engineering', duration: 4 },
+    '04': { school: 'Electronics and Telecommunication Engineering', duration: 4 },
+    '05': { school: 'Computer Science and Engineering', duration: 4 },
+    '06': { school: 'Information Technology', duration: 4 },
+    '07': { school: 'Electronics and Electrical Engineering', duration: 4 },
+    '08': { school: 'Electronics and Computer Science Engineering', duration: 4 },
+    '09': { school: 'Mechanical Engineering (Automobile)', duration: 4 },
+    '10': { school: 'Mechatronics Engineering', duration: 4 },
+    '11': { school: 'Aerospace Engineering', duration: 4 },
+    '12': { school: 'Computer Science and Communication Engineering', duration: 4 },
+    '13': { school: 'Computer Science and Systems Engineering', duration: 4 },
+    '15': { school: 'Chemical Engineering', duration: 4 },
+    '16': { school: 'Biotechnology', duration: 4 },
+    '20': { school: 'Computer Applications', duration: 3 },
+    '21': { school: 'Master of Computer Applications', duration: 2 },
+    '22': { school: 'Management', duration: 3 },
+    '23': { school: 'Master of Business Administration', duration: 2 },
+    '24': { school: 'Law', duration: 5 },
+    '25': { school: 'Mass Communication', duration: 3 },
+    '26': { school: 'Fashion Technology', duration: 4 },
+    '27': { school: 'Architecture', duration: 5 },
+    '28': { school: 'Economics', duration: 3 },
+    '29': { school: 'Humanities and Social Sciences', duration: 3 },
+    '30': { school: 'Film and Media Sciences', duration: 3 },
+};
+
+const DEFAULT_DURATION = 4;
+
+// The academic year starts on the first day of this month (1-12), in IST
+const ROLLOVER_MONTH = Number(process.env.ACADEMIC_ROLLOVER_MONTH) || 7;
+const TIMEZONE = 'Asia/Kolkata';
+
+const ordinalYear = (year) => {
+    switch (year) {
+        case 1:
+            return '1st Year';
+        case 2:
+            return '2nd Year';
+        case 3:
+            return '3rd Year';
+        default:
+            return `${year}th Year`;
+    }
+};
+
+// Calendar year in which the academic year containing `date` started
+const getAcademicStartYear = (date = new Date()) => {
+    const now = moment(date).tz(TIMEZONE);
+    return now.month() + 1 >= ROLLOVER_MONTH ? now.year() : now.year() - 1;
+};
+
+// Start of the next academic year after `date`
+const getNextRollover = (date = new Date()) => moment
+    .tz({ year: getAcademicStartYear(date) + 1, month: ROLLOVER_MONTH - 1, day: 1 }, TIMEZONE)
+    .toDate();
+
+// Label of the academic year containing `date`, e.g. "2024-25"
+const getAcademicYearLabel = (date = new Date()) => {
+    const startYear = getAcademicStartYear(date);
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+// { start, end } of an academic year label like "2024-25" (or "2024"), null when malformed
+const getAcademicYearRange = (label) => {
+    const match = /^(\d{4})(?:-(\d{2}|\d{4}))?$/.exec(String(label ?? '').trim());
+    if (!match) return null;
+
+    const startYear = parseInt(match[1], 10);
+    if (match[2] && parseInt(match[2].slice(-2), 10) !== (startYear + 1) % 100) return null;
+
+    return {
+        start: moment.tz({ year: startYear, month: ROLLOVER_MONTH - 1, day: 1 }, TIMEZONE).toDate(),
+        end: moment.tz({ year: startYear + 1, month: ROLLOVER_MONTH - 1, day: 1 }, TIMEZONE).toDate(),
+    };
+};
+
+const getStudyYear = ({ admissionYear, duration }, date = new Date()) => {
+    const yearOfStudy = getAcademicStartYear(date) - admissionYear + 1;
+    if (yearOfStudy > duration) return 'Passout';
+    return ordinalYear(Math.max(1, yearOfStudy));
+};
+
+// Returns null when the value is not a KIIT roll number
+const parseRollNumber = (value) => {
+    const rollNumber = String(value ?? '').trim();
+    if (!/^\d{7,10}$/.test(rollNumber)) return null;
+
+    const admissionYear = 2000 + parseInt(rollNumber.substring(0, 2), 10);
+    const schoolCode = rollNumber.substring(2, 4);
+    const programme = SCHOOL_CODES[schoolCode];
+    const duration = programme?.duration || DEFAULT_DURATION;
+
+    if (admissionYear > getAcademicStartYear() + 1) return null;
+
+    return {
+        rollNumber,
+        admissionYear,
+        graduationYear: admissionYear + duration,
+        batch: `${admissionYear}-${admissionYear + duration}`,
+        schoolCode,
+        school: programme?.school || null,
+        duration,
+    };
+};
+
+// Student mailboxes are <rollNumber>@kiit.ac.in
+const parseKiitEmail = (email) => {
+    const [localPart, domain] = String(email ?? '').trim().toLowerCase().split('@');
+    if (domain !== KIIT_EMAIL_DOMAIN) return null;
+    return parseRollNumber(localPart);
+};
+
+// User fields derived from the roll number, falling back to a KIIT email. Null when neither parses.
+const getRollNumberProfile = ({ rollNumber, email }, date = new Date()) => {
+    const parsed = parseRollNumber(rollNumber) || parseKiitEmail(email);
+    if (!parsed) return null;
+
+    return {
+        rollNumber: parsed.rollNumber,
+        year: getStudyYear(parsed, date),
+        college: KIIT_COLLEGE,
+        ...(parsed.school ? { school: parsed.school } : {}),
+    };
+};
+
+module.exports = {
+    SCHOOL_CODES,
+    KIIT_COLLEGE,
+    ordinalYear,
+    getAcademicStartYear,
+    getNextRollover,
+    getAcademicYearLabel,
+    getAcademicYearRange,
+    getStudyYear,
+    parseRollNumber,
+    parseKiitEmail,
+    getRollNumberProfile,
+};
@@ -0,0 +1,25 @@
+const { sendMail } = require('../email/nodeMailer');
+const loadTemplate = require('../email/loadTemplate');
+
+// Welcomes a new account. `password` is set for accounts created with a generated password, the mail hands it out.
+const sendWelcomeMail = (user, password = null) => {
+    const subject = 'Welcome to FED KIIT';
+    let templateName, placeholders;
+    if (password) {
+        // Send email with password to the new auto-generated user
+        templateName = 'newUserAutoRegistration';
+        placeholders = { password: password, name: user.name };
+    } else {
+        // Send email to the newly registered user
+        templateName = "newUserRegistration";
+
+        placeholders = { name: user.name || " " };
+
+    }
+
+    const templateContent = loadTemplate(templateName, placeholders);
+    console.log("Sending email to", user.email);
+    sendMail(user.email, subject, templateContent);
+};
+
+module.exports = sendWelcomeMail;
@@ -1,10 +1,17 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { ApiError } = require('../error/ApiError');
+const recordAccessChange = require('../tenure/recordAccessChange');
 
-const updateUser = async (key, data) => {
+// `accessChangeReason` is kept on the tenure closed by an access change, e.g. GRADUATED
+const updateUser = async (key, data, { accessChangeReason } = {}) => {
     console.log("Updating existing user", key, data);
 
+    // Read the current access first so the tenure history can follow the change
+    const previous = data.access
+        ? await prisma.user.findUnique({ where: key, select: { access: true } })
+        : null;
+
     let newFormIds = null;
 
     // Build the update data object
@@ -29,6 +36,10 @@ const updateUser = async (key, data) => {
         data: updateData
     });
 
+    if (previous) {
+        await recordAccessChange(user.id, previous.access, user.access, { reason: accessChangeReason });
+    }
+
     console.log(`Updated user with ${JSON.stringify(key)} successfully!`);
     return user;
 };
@@ -0,0 +1,4 @@
+// Whether `value` can be a MongoDB ObjectId, Prisma throws on ids that cannot
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value ?? ''));
+
+module.exports = isObjectId;